@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+/**
+ * Get the headers authenticating requests, as given by the host page in the authHeaders
+ * property: an object like { Authorization: 'Bearer …' }, or a (possibly async) function
+ * returning one, e.g. to refresh a token before it expires
+ * @param {Object|Function|null} source - The authHeaders property
+ * @returns {Promise<Object>} - The headers, an empty object if there are none
+ */
+export async function resolveAuthHeaders(source) {
+  if (!source) return {};
+  const headers = typeof source === 'function' ? await source() : source;
+  return headers || {};
+}
+
+/**
+ * Read the user from the response of the login endpoint, which reports
+ * { user, groups, dba } like the login of TEI Publisher and jinks
+ * @param {Object|null} data - The parsed response
+ * @returns {Object|null} - { name, groups }, null if nobody is logged in
+ */
+export function parseLoginResponse(data) {
+  if (!data) return null;
+  const name = typeof data.user === 'string' ? data.user : data.user?.name || data.name;
+  if (!name) return null;
+  const groups = Array.isArray(data.groups) ? [...data.groups] : [];
+  if (data.dba && !groups.includes('dba')) {
+    groups.push('dba');
+  }
+  return { name, groups };
+}
+
+/**
+ * Check whether a user counts as logged in, the guest account of eXist-db does not
+ * @param {Object|null} user - { name, groups }
+ * @returns {boolean} - True for users other than guest
+ */
+export function isLoggedIn(user) {
+  return !!user && user.name !== 'guest';
+}
@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { extractItems, mapItem } from './item-schema.js';
+
+/**
+ * Base class of the backends the file manager talks to. An adapter translates the
+ * operations of the component into requests to a particular server. Paths are absolute
+ * database paths like /db/apps/test/data/a.xml, collections are given without a
+ * trailing slash. Methods reject with an Error whose message is shown to the user;
+ * a status property with the HTTP status lets the component react to 401.
+ *
+ * Adapters don't need to extend this class, any object with the methods used is fine.
+ * Operations an adapter doesn't override are reported as not supported.
+ */
+export class BackendAdapter {
+  constructor() {
+    this.fetch = (url, options) => fetch(url, options);
+    this.getAuthHeaders = async () => ({});
+  }
+
+  /**
+   * Called by the component with the functions requests should go through: fetch adds
+   * the auth headers and asks for a login after a 401, getAuthHeaders is for requests
+   * not sent with fetch, e.g. uploads reporting their progress
+   * @param {Object} client - { fetch, getAuthHeaders }
+   */
+  connect({ fetch, getAuthHeaders }) {
+    this.fetch = fetch;
+    this.getAuthHeaders = getAuthHeaders;
+  }
+
+  /**
+   * List a page of a collection
+   * @param {string} path - The collection
+   * @param {Object} options - { start, end, sort, order, foldersFirst }
+   * @returns {Promise<Object|Array>} - The listing, either an array of items or an object
+   *   with an items array, plus optional total and the collection's own permissions
+   */
+  async listCollection(path, options) {
+    throw this.unsupported('Listing collections');
+  }
+
+  /**
+   * Find the items in a response of listCollection() or search()
+   * @param {Object|Array} data - The response
+   * @returns {Array<Object>} - The raw items, each passed to mapItem()
+   * @throws {Error} - If the response isn't understood
+   */
+  extractItems(data) {
+    return extractItems(data);
+  }
+
+  /**
+   * Translate an item of the backend into the item schema of item-schema.js. The default
+   * understands the property names of jinks and eXide
+   * @param {Object} raw - An item as returned by extractItems()
+   * @returns {Object} - The item, missing path and type are completed by the component
+   */
+  mapItem(raw) {
+    return mapItem(raw);
+  }
+
+  /**
+   * Search below a collection, by name or glob pattern, or by content
+   * @param {string} path - The collection
+   * @param {Object} options - { query, content, start, end, sort, order }
+   * @returns {Promise<Object|Array>} - Matching items, like listCollection()
+   */
+  async search(path, options) {
+    throw this.unsupported('Searching');
+  }
+
+  /**
+   * Upload a file into a collection
+   * @param {string} collection - The target collection
+   * @param {File} file - The file
+   * @param {Object} options - { name, overwrite, onProgress, signal }, with the name to store
+   *   the file under if not its own, onProgress(loaded, total) and an AbortSignal
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async upload(collection, file, options) {
+    throw this.unsupported('Uploading');
+  }
+
+  /**
+   * @param {string} collection - The parent collection
+   * @param {string} name - Name of the new collection
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async createCollection(collection, name) {
+    throw this.unsupported('Creating collections');
+  }
+
+  /**
+   * Create a collection unless it exists already, e.g. the trash or the folders of an
+   * upload. The default suits backends which create collections idempotently, like jinks;
+   * others override it to accept their response for an existing collection.
+   * @param {string} collection - The parent collection
+   * @param {string} name - Name of the collection
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async ensureCollection(collection, name) {
+    return this.createCollection(collection, name);
+  }
+
+  /**
+   * @param {string} collection - The collection shown, relative paths are resolved against it
+   * @param {string[]} paths - Items to delete
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async deleteItems(collection, paths) {
+    throw this.unsupported('Deleting');
+  }
+
+  /**
+   * @param {string} collection - The collection containing the item
+   * @param {string} name - Current name of the item
+   * @param {string} newName - The new name
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async renameItem(collection, name, newName) {
+    throw this.unsupported('Renaming');
+  }
+
+  /**
+   * @param {string} collection - The collection containing the item
+   * @param {string} name - Name of the item
+   * @param {Object} changes - Any of owner, group and permissions (symbolic), plus recursive
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async changePermissions(collection, name, changes) {
+    throw this.unsupported('Changing permissions');
+  }
+
+  /**
+   * @param {string} collection - The collection the items are in
+   * @param {string[]} sources - Paths of the items
+   * @param {string} target - The target collection
+   * @param {Object} options - { overwrite, names } where names maps source paths to the
+   *   names of copies kept next to an existing item
+   * @returns {Promise<Object>} - The response of the server
+   */
+  async copyItems(collection, sources, target, options) {
+    throw this.unsupported('Copying');
+  }
+
+  /**
+   * Like copyItems(), removing the sources
+   */
+  async moveItems(collection, sources, target, options) {
+    throw this.unsupported('Moving');
+  }
+
+  /**
+   * URL the content of a resource can be loaded from, e.g. for thumbnails and downloads
+   * @param {string} path - The resource
+   * @returns {string} - The URL
+   */
+  getFileUrl(path) {
+    throw this.unsupported('Reading files');
+  }
+
+  /**
+   * @param {string} path - The resource
+   * @returns {Promise<Blob>} - Its content
+   */
+  async readFile(path) {
+    const response = await this.fetch(this.getFileUrl(path));
+    await this.checkResponse(response, 'Read');
+    return response.blob();
+  }
+
+  /**
+   * @param {string} path - The resource
+   * @param {string|Blob} content - The new content
+   * @param {string} contentType - Its mime-type
+   */
+  async writeFile(path, content, contentType) {
+    throw this.unsupported('Saving files');
+  }
+
+  /**
+   * Reject responses with an error status, reporting the beginning of the response
+   * @param {Response} response - The response
+   * @param {string} label - What was requested, for the console
+   */
+  async checkResponse(response, label) {
+    if (response.ok) return;
+    const errorText = await response.text();
+    console.error(`${label} HTTP error:`, response.status, errorText);
+    const error = new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  /**
+   * @param {string} operation - e.g. 'Searching'
+   * @returns {Error} - The error rejecting an operation the backend doesn't offer
+   */
+  unsupported(operation) {
+    return new Error(`${operation} is not supported by this backend`);
+  }
+}
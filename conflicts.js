@@ -0,0 +1,67 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+/**
+ * Find a name which does not exist yet by appending a counter before the extension
+ * @param {string} name - The conflicting name, e.g. 'file.xml'
+ * @param {Set<string>} existingNames - The names in the target collection
+ * @returns {string} - e.g. 'file (2).xml', or 'file (3).xml' if that exists too
+ */
+export function getUniqueName(name, existingNames) {
+  const dot = name.lastIndexOf('.');
+  const base = dot > 0 ? name.substring(0, dot) : name;
+  const extension = dot > 0 ? name.substring(dot) : '';
+
+  // Continue counting from an existing suffix, so 'file (2).xml' becomes 'file (3).xml'
+  const match = base.match(/^(.*) \((\d+)\)$/);
+  const stem = match ? match[1] : base;
+  let counter = match ? parseInt(match[2], 10) + 1 : 2;
+  while (existingNames.has(`${stem} (${counter})${extension}`)) {
+    counter++;
+  }
+  return `${stem} (${counter})${extension}`;
+}
+
+/**
+ * Decide what to do with items whose name already exists in their target collection.
+ * The sets of existing names are updated with the names written, so that items of the
+ * same batch cannot end up with the same name.
+ * @param {Array<Object>} items - { name, existing } with the name of each item and a Set
+ *   of the names in its target collection
+ * @param {Function} ask - Called as ask(name, remaining) for each conflict unless an earlier
+ *   decision was applied to all. Resolves to { action, applyToAll } with action one of
+ *   'overwrite', 'skip', 'rename' (keep both) or 'cancel'
+ * @returns {Promise<Array<Object>|null>} - { action, name } for each item, with action 'write'
+ *   for items without conflict and name the (possibly changed) target name; null if canceled
+ */
+export async function resolveConflicts(items, ask) {
+  let remaining = items.filter(item => item.existing.has(item.name)).length;
+  let appliedToAll = null;
+  const decisions = [];
+
+  for (const item of items) {
+    if (!item.existing.has(item.name)) {
+      item.existing.add(item.name);
+      decisions.push({ action: 'write', name: item.name });
+      continue;
+    }
+
+    let decision = appliedToAll;
+    if (!decision) {
+      decision = await ask(item.name, remaining);
+      if (decision.action === 'cancel') return null;
+      if (decision.applyToAll) appliedToAll = decision;
+    }
+    remaining--;
+
+    if (decision.action === 'rename') {
+      const name = getUniqueName(item.name, item.existing);
+      item.existing.add(name);
+      decisions.push({ action: 'rename', name });
+    } else {
+      decisions.push({ action: decision.action, name: item.name });
+    }
+  }
+
+  return decisions;
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getFileType } from './mime-types.js';
+import { getItemMimeType } from './item-metadata.js';
+
+// Content types used when saving files the server did not report a mime-type for
+const CONTENT_TYPES = {
+  xml: 'application/xml',
+  xquery: 'application/xquery',
+  json: 'application/json',
+  css: 'text/css',
+  javascript: 'application/javascript',
+  html: 'text/html'
+};
+
+/**
+ * Get the content type to store an edited file with
+ * @param {Object} item - The item object
+ * @returns {string} - The item's mime-type, or one derived from its file type
+ */
+export function getContentType(item) {
+  return getItemMimeType(item) || CONTENT_TYPES[getFileType(item)] || 'text/plain';
+}
+
+/**
+ * Find the next occurrence of a string, wrapping around at the end (or start) of the text
+ * @param {string} text - The text to search
+ * @param {string} query - The string to find
+ * @param {number} from - Where to start; searching backwards finds matches ending before it
+ * @param {Object} options - { matchCase, backwards }
+ * @returns {Array<number>|null} - [start, end] of the match, null if there is none
+ */
+export function findText(text, query, from, { matchCase = false, backwards = false } = {}) {
+  if (!query) return null;
+  const haystack = matchCase ? text : text.toLowerCase();
+  const needle = matchCase ? query : query.toLowerCase();
+
+  let index;
+  if (backwards) {
+    index = from - needle.length >= 0 ? haystack.lastIndexOf(needle, from - needle.length) : -1;
+    if (index < 0) index = haystack.lastIndexOf(needle);
+  } else {
+    index = haystack.indexOf(needle, from);
+    if (index < 0) index = haystack.indexOf(needle);
+  }
+  return index < 0 ? null : [index, index + needle.length];
+}
+
+/**
+ * Count the occurrences of a string
+ * @param {string} text - The text to search
+ * @param {string} query - The string to count
+ * @param {Object} options - { matchCase }
+ * @returns {number} - The number of non-overlapping occurrences
+ */
+export function countMatches(text, query, { matchCase = false } = {}) {
+  return replaceAllText(text, query, query, { matchCase }).count;
+}
+
+/**
+ * Replace all occurrences of a string
+ * @param {string} text - The text to search
+ * @param {string} query - The string to replace
+ * @param {string} replacement - The string to insert instead
+ * @param {Object} options - { matchCase }
+ * @returns {Object} - { text, count } with the new text and the number of replacements
+ */
+export function replaceAllText(text, query, replacement, { matchCase = false } = {}) {
+  if (!query) return { text, count: 0 };
+  const haystack = matchCase ? text : text.toLowerCase();
+  const needle = matchCase ? query : query.toLowerCase();
+
+  let result = '';
+  let position = 0;
+  let count = 0;
+  let index = haystack.indexOf(needle);
+  while (index >= 0) {
+    result += text.substring(position, index) + replacement;
+    position = index + needle.length;
+    count++;
+    index = haystack.indexOf(needle, position);
+  }
+  return { text: result + text.substring(position), count };
+}
+
+/**
+ * Check whether a text is a well-formed XML document
+ * @param {string} text - The XML source
+ * @returns {string|null} - The parser's error message, null if the document is well-formed
+ */
+export function checkWellFormed(text) {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  const error = document.getElementsByTagName('parsererror')[0];
+  if (!error) return null;
+  // Chrome wraps the message in a div, Firefox puts it before the source text
+  const message = error.querySelector('div')?.textContent || error.firstChild?.textContent || error.textContent;
+  return message.trim() || 'The document is not well-formed';
+}
@@ -4,6 +4,104 @@
 import iconsSvg from './icons.svg?raw';
 import stylesCss from './styles.css?inline';
 import { getFileType, isImageFile } from './mime-types.js';
+import {
+  LIST_COLUMNS,
+  SORT_KEYS,
+  getItemTypeLabel,
+  getItemSize,
+  getItemModified,
+  getItemCreated,
+  getItemDeleted,
+  getItemMimeType,
+  getItemOwner,
+  getItemPermissions,
+  formatPermissions,
+  formatSize,
+  formatDate,
+  sortItems
+} from './item-metadata.js';
+import { parseFilter, matchItem } from './item-filter.js';
+import { readDataTransfer, getUploadCollections } from './folder-upload.js';
+import { UploadQueue } from './upload-queue.js';
+import { resolveConflicts, getUniqueName } from './conflicts.js';
+import { OperationHistory } from './operation-history.js';
+import { getPreviewType, highlightCode, formatXml } from './file-preview.js';
+import { getContentType, findText, countMatches, replaceAllText, checkWellFormed } from './file-editor.js';
+import { normalizeOpenHandlers, parseOpenHandlers, matchesOpenHandler, expandUrl } from './open-handlers.js';
+import { parseAccept, acceptsItem } from './picker.js';
+import { resolveAuthHeaders, parseLoginResponse, isLoggedIn } from './auth.js';
+import { BackendAdapter } from './backend-adapter.js';
+import { extractItems, mapItem, normalizeItem } from './item-schema.js';
+import { JinksAdapter } from './jinks-adapter.js';
+import { WebDavAdapter } from './webdav-adapter.js';
+import { OPERATIONS, parseOperations, canWrite, canChangePermissions, parseMode, getCollectionAccess } from './permissions.js';
+
+// Selector matching a rendered item in both the grid and the list view
+const ITEM_SELECTOR = '.grid-item, .list-row';
+
+// Virtual scrolling: rows rendered above and below the visible area, the minimum tile
+// width used by the grid's auto-fill columns and the viewport height assumed without layout
+const VIRTUAL_OVERSCAN_ROWS = 3;
+const GRID_MIN_TILE_WIDTH = 120;
+const VIRTUAL_FALLBACK_HEIGHT = 800;
+
+// Keys typed within this many milliseconds of each other form one type-ahead search
+const TYPE_AHEAD_TIMEOUT = 1000;
+
+// Without a trash, deleted items are held in a sub-collection of their collection named with this
+// prefix, so that the deletion can be undone. They are deleted for good after HOLDING_TIMEOUT
+// milliseconds, or earlier if the component is removed, the page unloaded or the root changed.
+// Those left behind, e.g. after a crash, are deleted when their collection is listed
+const HOLDING_PREFIX = '.deleted-';
+const HOLDING_TIMEOUT = 10 * 60 * 1000;
+
+// File written into each batch collection of the trash, recording when the items were deleted
+// and where they came from: { deleted, items: { name: originalPath } }
+const TRASH_INFO = '.trashinfo.json';
+
+// Adapter methods behind the operations of permissions.js. Operations the adapter doesn't
+// implement are treated like disabled ones
+const OPERATION_METHODS = {
+  create: 'createCollection',
+  upload: 'upload',
+  copy: 'copyItems',
+  move: 'moveItems',
+  rename: 'renameItem',
+  delete: 'deleteItems',
+  edit: 'writeFile',
+  permissions: 'changePermissions'
+};
+
+// File types which can be edited, in the built-in editor or in eXide
+const EDITABLE_TYPES = ['xquery', 'javascript', 'css', 'xml', 'json', 'html'];
+
+// Checkboxes of the properties dialog: rows of the mode table and the special bits
+const MODE_ROWS = [
+  { label: 'Owner', bits: [0o400, 0o200, 0o100] },
+  { label: 'Group', bits: [0o040, 0o020, 0o010] },
+  { label: 'Other', bits: [0o004, 0o002, 0o001] }
+];
+const SPECIAL_BITS = [
+  { label: 'Set UID', bit: 0o4000 },
+  { label: 'Set GID', bit: 0o2000 },
+  { label: 'Sticky', bit: 0o1000 }
+];
+
+// Zoom factor applied per step when zooming images in the preview, and its limits
+const PREVIEW_ZOOM_STEP = 1.25;
+const PREVIEW_ZOOM_MIN = 0.05;
+const PREVIEW_ZOOM_MAX = 16;
+
+// Data type used to drag items within the file manager, carries a JSON array of paths
+const DRAG_MIME = 'application/x-jinks-file-manager';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
 
 class FileManager extends HTMLElement {
   constructor() {
@@ -14,32 +112,155 @@ class FileManager extends HTMLElement {
     this.apiBase = '/exist/apps/jinks'; // Use relative path for Vite proxy
     this.root = '/db/apps/jinks';
     
+    // Backend the API methods go through, see the adapter property
+    this.jinksAdapter = new JinksAdapter(this.apiBase);
+    this.webdavAdapter = null; // Used instead if the webdav attribute is set
+    this.customAdapter = null;
+    this.connectAdapter(this.jinksAdapter);
+    
     // State management
     this.currentPath = this.root;
     this.items = [];
+    this.visibleItems = []; // Items shown after applying the filter, indices refer to this list
+    this.filter = null;
+    this.filterMatches = new Map(); // path -> ranges of the name matching the filter
+    this.search = null; // { query, content } while search results are shown instead of a collection
+    this.trash = null; // Collection deleted items are moved to, if set
+    this.trashView = false; // Whether the trash is shown instead of a collection
     this.selectedItems = new Set();
     this.lastSelectedIndex = null; // Track last selected item index for range selection
+    this.rangeAnchor = null; // Path range selection with Shift+arrow keys extends from
+    this.focusPath = null; // Path of the item in the tab order of the grid (roving tabindex)
+    this.pendingGridFocus = false; // Whether to focus the grid once the collection is rendered
+    this.typeAhead = { text: '', time: 0 };
+    this.menuReturnFocus = null; // Element to focus again when the context menu closes
+    this.reportedSelection = ''; // Selection of the last selection-change event
     this.clipboard = null;
     this.clipboardMode = 'copy'; // 'copy' or 'cut'
     this.loadedRanges = [];
     this.pageSize = 100;
+    this.nextStart = 0; // Offset of the next page to request from the server
+    this.hasMore = false; // Whether the server has more items than loaded so far
     this.loading = false;
+    this.loadId = 0; // Id of the latest listing requested, responses of earlier ones are ignored
     this.cache = new Map();
     this.messageTimeout = null;
     
+    // View state - kept when navigating between collections
+    this.view = 'grid'; // 'grid' or 'list'
+    this.sortKey = 'name';
+    this.sortDirection = 'asc'; // 'asc' or 'desc'
+    this.foldersFirst = true;
+    
+    // Collection tree: path -> { path, name, children (null until loaded), expanded, loading }
+    this.showTree = false;
+    this.treeCollapsed = false;
+    this.treeNodes = new Map();
+    this.treeFocusPath = null;
+    
+    // Paths of the items currently dragged within the file manager
+    this.dragPaths = null;
+    
+    // Uploads run through a queue with a limited number of parallel requests
+    this.uploadQueue = new UploadQueue(
+      (collection, file, options) => this.uploadFile(collection, file, options),
+      { concurrency: 3, onChange: (entry, kind) => this.handleUploadChange(entry, kind) }
+    );
+    this.uploadPanelHidden = false;
+    this.uploadRenderFrame = null;
+    this.uploadsCompleted = false;
+    
+    // Undo/redo history of rename, move, copy, create and delete operations
+    this.history = new OperationHistory({ onChange: () => this.updateHistoryButtons() });
+    this.trashReady = false;
+    this.heldCollections = new Set(); // Holding collections of this session, purged when their operation expires
+    this.holdingTimers = new Set();
+    
+    // Preview pane, the zoom of images is null while they are fit into the pane
+    this.preview = null; // { item, type, text, error, editing } of the file shown
+    this.previewZoom = null;
+    this.previewFormatted = true; // Whether XML is pretty-printed
+    
+    // "Open with" handlers registered by the host page (see open-handlers.js), eXide is built in
+    this.openHandlers = [];
+    this.exide = true;
+    
+    // Picker mode: items matching accept can be chosen, the paths chosen are the form value
+    this.mode = 'browse'; // 'browse' or 'picker'
+    this.accept = parseAccept(null);
+    this.multiple = false;
+    this.values = [];
+    this.internals = this.attachInternals ? this.attachInternals() : null;
+    
+    // Permissions: operations can be disabled altogether, or depend on the write permission of
+    // the current user for items and the current collection (as far as the API reports them)
+    this.readOnly = false;
+    this.disabledOperations = new Set();
+    this.user = null; // { name, groups } of the current user
+    this.collectionAccess = null; // Permissions of the current collection
+    
+    // Properties dialog: { items, touched } where touched maps mode bits changed to their value
+    this.properties = null;
+    
+    // Authentication: requests carry the session cookie of the page, plus the headers in
+    // authHeaders for token based setups. With login enabled, a 401 asks for credentials
+    this.loginEnabled = false;
+    this.loginUrl = null; // Defaults to {api-base}/api/login
+    this.authHeaders = null; // Object or (async) function returning one
+    this.loginPromise = null; // Pending while the login dialog is open
+    this.loginResolve = null;
+    
+    // Virtual scrolling state, row heights are estimates corrected after rendering
+    this.rowHeights = { grid: 156, list: 33 };
+    this.renderedRange = null;
+    this.scrollFrame = null;
+    this.resizeObserver = null;
+    
     // Bind methods
     this.handleClick = this.handleClick.bind(this);
     this.handleContextMenu = this.handleContextMenu.bind(this);
     this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleGridKeyDown = this.handleGridKeyDown.bind(this);
+    this.handleGridFocusIn = this.handleGridFocusIn.bind(this);
+    this.handleContextMenuKeyDown = this.handleContextMenuKeyDown.bind(this);
     this.handlePaste = this.handlePaste.bind(this);
     this.handleDragEnter = this.handleDragEnter.bind(this);
     this.handleDragOver = this.handleDragOver.bind(this);
     this.handleDragLeave = this.handleDragLeave.bind(this);
     this.handleDrop = this.handleDrop.bind(this);
+    this.handleDragStart = this.handleDragStart.bind(this);
+    this.handleDragEnd = this.handleDragEnd.bind(this);
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleTreeClick = this.handleTreeClick.bind(this);
+    this.handleTreeKeyDown = this.handleTreeKeyDown.bind(this);
+    this.handleTreeContextMenu = this.handleTreeContextMenu.bind(this);
+    this.handleTreeDragOver = this.handleTreeDragOver.bind(this);
+    this.handleTreeDragLeave = this.handleTreeDragLeave.bind(this);
+    this.handleTreeDrop = this.handleTreeDrop.bind(this);
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+    this.handlePageHide = this.handlePageHide.bind(this);
   }
   
   static get observedAttributes() {
-    return ['api-base', 'root'];
+    return ['api-base', 'root', 'view', 'sort', 'sort-order', 'folders-first', 'tree', 'upload-concurrency', 'trash', 'open-handlers', 'exide', 'mode', 'accept', 'multiple', 'required', 'readonly', 'disabled-operations', 'user', 'user-groups', 'login', 'login-url', 'webdav'];
+  }
+  
+  // Lets the picker take part in forms
+  static get formAssociated() {
+    return true;
+  }
+  
+  // Adapter classes for host pages, which only load the bundle
+  static get BackendAdapter() {
+    return BackendAdapter;
+  }
+  
+  static get JinksAdapter() {
+    return JinksAdapter;
+  }
+  
+  static get WebDavAdapter() {
+    return WebDavAdapter;
   }
   
   attributeChangedCallback(name, oldValue, newValue) {
@@ -48,6 +269,7 @@ class FileManager extends HTMLElement {
     switch (name) {
       case 'api-base':
         this.apiBase = newValue || '/exist/apps/eXide';
+        this.jinksAdapter.apiBase = this.apiBase;
         // Refresh collection if already connected
         if (this.isConnected && this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
           setTimeout(() => {
@@ -55,6 +277,17 @@ class FileManager extends HTMLElement {
           }, 0);
         }
         break;
+      case 'webdav':
+        this.webdavAdapter = newValue ? new WebDavAdapter(newValue) : null;
+        this.connectAdapter(this.adapter);
+        this.cache.clear();
+        if (this.isConnected && this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+          this.updatePermissions();
+          setTimeout(() => {
+            this.loadCollection(this.currentPath);
+          }, 0);
+        }
+        break;
       case 'root':
         this.root = newValue;
         this.currentPath = this.root;
@@ -63,6 +296,10 @@ class FileManager extends HTMLElement {
         this.loadedRanges = [];
         this.items = [];
         this.selectedItems.clear();
+        this.treeNodes.clear();
+        this.treeFocusPath = null;
+        // Operations on the previous root cannot be undone from the new one
+        this.discardHistory();
         // Only load collection if root is set and component is connected
         if (this.root && this.root.trim() && this.isConnected && this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
           setTimeout(() => {
@@ -70,6 +307,103 @@ class FileManager extends HTMLElement {
           }, 0);
         }
         break;
+      case 'view':
+        this.view = newValue === 'list' ? 'list' : 'grid';
+        if (this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+          this.updateViewToggle();
+          this.renderGrid();
+        }
+        break;
+      case 'sort':
+        // Unknown keys would be sent to the server as they are
+        this.sortKey = SORT_KEYS.some(option => option.key === newValue) ? newValue : 'name';
+        this.applySort();
+        break;
+      case 'sort-order':
+        this.sortDirection = newValue === 'desc' ? 'desc' : 'asc';
+        this.applySort();
+        break;
+      case 'upload-concurrency': {
+        const concurrency = parseInt(newValue, 10);
+        this.uploadQueue.concurrency = concurrency > 0 ? concurrency : 3;
+        this.uploadQueue.pump();
+        break;
+      }
+      case 'tree':
+        this.showTree = newValue !== null && newValue !== 'false';
+        if (this.shadowRoot && this.shadowRoot.querySelector('.tree-panel')) {
+          this.updateTreePanel();
+        }
+        break;
+      case 'trash':
+        this.trash = newValue ? newValue.replace(/\/+$/, '') : null;
+        this.trashReady = false;
+        if (this.shadowRoot && this.shadowRoot.querySelector('.btn-trash')) {
+          this.updateTrashMode();
+          if (this.trashView && !this.trash) {
+            this.loadCollection(this.currentPath);
+          }
+        }
+        break;
+      case 'open-handlers':
+        this.openHandlers = parseOpenHandlers(newValue);
+        break;
+      case 'exide':
+        // Enabled unless explicitly set to "false"
+        this.exide = newValue !== 'false';
+        break;
+      case 'mode':
+        this.mode = newValue === 'picker' ? 'picker' : 'browse';
+        if (this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+          this.updatePickerMode();
+          this.renderGrid();
+        }
+        break;
+      case 'accept':
+      case 'multiple':
+        this.accept = parseAccept(this.getAttribute('accept'));
+        this.multiple = this.hasAttribute('multiple');
+        if (this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+          this.renderGrid();
+          this.updatePickerBar();
+        }
+        break;
+      case 'required':
+        this.updateFormValue();
+        break;
+      case 'readonly':
+      case 'disabled-operations':
+        this.readOnly = this.hasAttribute('readonly');
+        this.disabledOperations = parseOperations(this.getAttribute('disabled-operations'));
+        if (this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+          this.updatePickerMode();
+          this.renderGrid();
+        }
+        break;
+      case 'user':
+      case 'user-groups':
+        this.setUser(this.hasAttribute('user') ? {
+          name: this.getAttribute('user'),
+          groups: (this.getAttribute('user-groups') || '').split(/[\s,]+/).filter(group => group)
+        } : null);
+        break;
+      case 'login':
+        this.loginEnabled = newValue !== null && newValue !== 'false';
+        if (this.shadowRoot && this.shadowRoot.querySelector('.user-box')) {
+          this.updateUserBox();
+          if (this.loginEnabled) {
+            this.checkLogin();
+          }
+        }
+        break;
+      case 'login-url':
+        this.loginUrl = newValue || null;
+        break;
+      case 'folders-first':
+        // Enabled unless explicitly set to "false"
+        this.foldersFirst = newValue !== 'false';
+        this.applySort();
+        break;
     }
   }
   
@@ -82,43 +416,171 @@ class FileManager extends HTMLElement {
         this.loadCollection(this.currentPath);
       }, 0);
     }
+    if (this.loginEnabled) {
+      this.checkLogin();
+    }
     this.setupEventListeners();
   }
   
   disconnectedCallback() {
     this.removeEventListeners();
+    // Deleted items held for undo are purged, nothing can undo their deletion anymore
+    this.discardHistory();
+  }
+  
+  // Public API for host applications, refresh() reloads the current view
+  navigate(path) {
+    return this.navigateTo(path);
+  }
+  
+  // Select the given items of the current view, paths which are not shown are ignored
+  select(paths) {
+    const shown = this.visibleItems.map(item => item.path || item.name);
+    this.selectedItems.clear();
+    paths.filter(path => shown.includes(path)).forEach(path => this.selectedItems.add(path));
+    const last = paths.filter(path => this.selectedItems.has(path)).pop();
+    this.lastSelectedIndex = last ? shown.indexOf(last) : null;
+    this.updateSelectionState();
+  }
+  
+  getSelection() {
+    return Array.from(this.selectedItems);
+  }
+  
+  // The backend: an adapter assigned by the host page, WebDAV if the webdav attribute is set,
+  // otherwise jinks at api-base
+  get adapter() {
+    return this.customAdapter || this.webdavAdapter || this.jinksAdapter;
+  }
+  
+  set adapter(adapter) {
+    this.customAdapter = adapter || null;
+    this.connectAdapter(this.adapter);
+    this.cache.clear();
+    if (this.isConnected && this.shadowRoot.querySelector('.grid-container')) {
+      this.updatePermissions();
+      this.loadCollection(this.currentPath);
+    }
+  }
+  
+  // Requests of the adapter carry the auth headers and ask for a login after a 401
+  connectAdapter(adapter) {
+    if (typeof adapter.connect === 'function') {
+      adapter.connect({
+        fetch: (url, options) => this.apiFetch(url, options),
+        getAuthHeaders: () => this.getAuthHeaders()
+      });
+    }
+  }
+  
+  // The chosen path, the first one if several were chosen (like a select element)
+  get value() {
+    return this.values[0] || '';
+  }
+  
+  set value(path) {
+    this.values = path ? [path] : [];
+    this.updateFormValue();
+  }
+  
+  get form() {
+    return this.internals ? this.internals.form : null;
+  }
+  
+  get name() {
+    return this.getAttribute('name');
+  }
+  
+  checkValidity() {
+    return this.internals ? this.internals.checkValidity() : true;
+  }
+  
+  formResetCallback() {
+    this.value = '';
+  }
+  
+  formStateRestoreCallback(state) {
+    this.values = typeof state === 'string' ? [state] : Array.from(state || []).map(([, path]) => path);
+    this.updateFormValue();
+  }
+  
+  // Upload a FileList or an array of files into the current or the given collection
+  upload(files, targetCollection = this.currentPath) {
+    return this.uploadFiles(Array.from(files), targetCollection);
   }
   
   setupEventListeners() {
     this.shadowRoot.addEventListener('click', this.handleClick);
     this.shadowRoot.addEventListener('contextmenu', this.handleContextMenu);
-    document.addEventListener('keydown', this.handleKeyDown);
+    this.addEventListener('keydown', this.handleKeyDown);
     document.addEventListener('paste', this.handlePaste);
+    window.addEventListener('beforeunload', this.handleBeforeUnload);
+    window.addEventListener('pagehide', this.handlePageHide);
     
-    // Drag and drop for file upload
+    // Drag and drop for file upload and for moving items onto collections
     const content = this.shadowRoot.querySelector('.content');
     if (content) {
+      content.addEventListener('dragstart', this.handleDragStart);
+      content.addEventListener('dragend', this.handleDragEnd);
       content.addEventListener('dragenter', this.handleDragEnter);
       content.addEventListener('dragover', this.handleDragOver);
       content.addEventListener('dragleave', this.handleDragLeave);
       content.addEventListener('drop', this.handleDrop);
     }
+    
+    // Breadcrumb segments are drop targets too
+    const breadcrumb = this.shadowRoot.querySelector('.breadcrumb');
+    if (breadcrumb) {
+      breadcrumb.addEventListener('dragover', this.handleDragOver);
+      breadcrumb.addEventListener('dragleave', this.handleDragLeave);
+      breadcrumb.addEventListener('drop', this.handleDrop);
+    }
+    
+    // Render further items while scrolling or when the available space changes
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    if (gridContainer) {
+      gridContainer.addEventListener('scroll', this.handleScroll, { passive: true });
+      if (typeof ResizeObserver !== 'undefined') {
+        this.resizeObserver = new ResizeObserver(() => this.renderWindow());
+        this.resizeObserver.observe(gridContainer);
+      }
+    }
   }
   
   removeEventListeners() {
     this.shadowRoot.removeEventListener('click', this.handleClick);
     this.shadowRoot.removeEventListener('contextmenu', this.handleContextMenu);
-    document.removeEventListener('keydown', this.handleKeyDown);
+    this.removeEventListener('keydown', this.handleKeyDown);
     document.removeEventListener('paste', this.handlePaste);
+    window.removeEventListener('beforeunload', this.handleBeforeUnload);
+    window.removeEventListener('pagehide', this.handlePageHide);
     
     // Remove drag and drop listeners
     const content = this.shadowRoot.querySelector('.content');
     if (content) {
+      content.removeEventListener('dragstart', this.handleDragStart);
+      content.removeEventListener('dragend', this.handleDragEnd);
       content.removeEventListener('dragenter', this.handleDragEnter);
       content.removeEventListener('dragover', this.handleDragOver);
       content.removeEventListener('dragleave', this.handleDragLeave);
       content.removeEventListener('drop', this.handleDrop);
     }
+    
+    const breadcrumb = this.shadowRoot.querySelector('.breadcrumb');
+    if (breadcrumb) {
+      breadcrumb.removeEventListener('dragover', this.handleDragOver);
+      breadcrumb.removeEventListener('dragleave', this.handleDragLeave);
+      breadcrumb.removeEventListener('drop', this.handleDrop);
+    }
+    
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    if (gridContainer) {
+      gridContainer.removeEventListener('scroll', this.handleScroll);
+    }
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+      this.resizeObserver = null;
+    }
   }
   
   render() {
@@ -127,6 +589,9 @@ class FileManager extends HTMLElement {
       ${iconsSvg}
       <div class="file-manager">
         <div class="toolbar">
+          <button class="btn-tree" title="Show or hide the collection tree" style="display: none;">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-sidebar"></use></svg>
+          </button>
           <button class="btn-create-collection" title="Create collection">
             <svg width="16" height="16" fill="currentColor"><use href="#icon-folder-plus"></use></svg>
             New Collection
@@ -135,41 +600,137 @@ class FileManager extends HTMLElement {
             <svg width="16" height="16" fill="currentColor"><use href="#icon-upload"></use></svg>
             Upload
           </button>
+          <button class="btn-upload-folder" title="Upload a folder including its sub-folders">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-upload-folder"></use></svg>
+            Upload Folder
+          </button>
           <button class="btn-paste" disabled title="Paste (Cmd+V / Ctrl+V)">
             <svg width="16" height="16" fill="currentColor"><use href="#icon-clipboard"></use></svg>
             Paste
           </button>
+          <button class="btn-undo" disabled title="Undo (Cmd+Z / Ctrl+Z)">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-undo"></use></svg>
+          </button>
+          <button class="btn-redo" disabled title="Redo (Cmd+Shift+Z / Ctrl+Shift+Z)">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-redo"></use></svg>
+          </button>
+          <button class="btn-search" title="Search below the root collection">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-search"></use></svg>
+            Search
+          </button>
+          <button class="btn-trash" title="Show the trash" style="display: none;">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-trash"></use></svg>
+            Trash
+          </button>
+          <button class="btn-empty-trash" title="Delete all items in the trash permanently">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-delete"></use></svg>
+            Empty Trash
+          </button>
           <div class="spacer"></div>
+          <div class="filter-box">
+            <svg width="14" height="14" fill="currentColor"><use href="#icon-filter"></use></svg>
+            <input type="search" class="filter-input" placeholder="Filter" title="Filter by name, glob (*.xml) or type (type:image)">
+          </div>
+          <div class="sort-controls">
+            <select class="sort-select" title="Sort by">
+              ${SORT_KEYS.map(option => `<option value="${option.key}">${option.label}</option>`).join('')}
+            </select>
+            <button class="btn-sort-direction" title="Toggle sort direction">
+              <svg width="12" height="12" fill="currentColor"><use href="#icon-sort-asc"></use></svg>
+            </button>
+            <label class="folders-first-toggle" title="Show collections before resources">
+              <input type="checkbox" class="folders-first-input">
+              Folders first
+            </label>
+          </div>
           <div class="clipboard-indicator" style="display: none;">
             <svg width="16" height="16" fill="currentColor"><use href="#icon-clipboard"></use></svg>
             <span class="clipboard-text"></span>
           </div>
+          <div class="view-toggle">
+            <button class="btn-view" data-view="grid" title="Grid view">
+              <svg width="16" height="16" fill="currentColor"><use href="#icon-view-grid"></use></svg>
+            </button>
+            <button class="btn-view" data-view="list" title="List view">
+              <svg width="16" height="16" fill="currentColor"><use href="#icon-view-list"></use></svg>
+            </button>
+          </div>
+          <div class="user-box" style="display: none;">
+            <svg width="16" height="16" fill="currentColor"><use href="#icon-person"></use></svg>
+            <span class="user-name"></span>
+            <button class="btn-login">Log in</button>
+            <button class="btn-logout">Log out</button>
+          </div>
+        </div>
+        <div class="search-bar" style="display: none;">
+          <input type="search" class="search-input" placeholder="Name or pattern, e.g. *.odd">
+          <label class="search-content-toggle" title="Search the contents of documents using the full-text index">
+            <input type="checkbox" class="search-content-input">
+            Search content
+          </label>
+          <button class="btn-search-run">Search</button>
+          <button class="btn-search-close" title="Close search">×</button>
         </div>
         <div class="breadcrumb"></div>
+        <div class="main">
+        <nav class="tree-panel" style="display: none;"></nav>
         <div class="content">
           <div class="grid-container"></div>
           <div class="loading" style="display: none;">
             <div class="spinner"></div>
             <span>Loading...</span>
           </div>
-          <div class="load-more-container" style="display: none;">
-            <button class="btn-load-more">Load More</button>
-          </div>
           <div class="empty-state" style="display: none;">
             <p>This collection is empty</p>
           </div>
         </div>
-        <div class="message-footer" style="display: none;">
-          <span class="message-text"></span>
+        <aside class="preview-panel" style="display: none;"></aside>
+        </div>
+        <div class="upload-panel" style="display: none;">
+          <div class="upload-panel-header">
+            <span class="upload-summary"></span>
+            <button class="btn-upload-retry-all" style="display: none;">Retry Failed</button>
+            <button class="btn-upload-clear">Clear Finished</button>
+            <button class="btn-upload-close" title="Hide uploads">×</button>
+          </div>
+          <ul class="upload-list"></ul>
+        </div>
+        <div class="picker-bar" style="display: none;">
+          <span class="picker-selection"></span>
+          <button class="btn-picker-cancel">Cancel</button>
+          <button class="btn-picker-choose" disabled>Choose</button>
+        </div>
+        <div class="message-footer" style="display: none;" aria-labelledby="message-text">
+          <span class="message-text" id="message-text"></span>
           <input type="text" class="message-input" style="display: none;" placeholder="Enter value...">
           <div class="message-actions">
+            <label class="message-option" style="display: none;">
+              <input type="checkbox" class="message-option-input">
+              <span class="message-option-label"></span>
+            </label>
+            <div class="message-choices" style="display: none;"></div>
             <button class="message-confirm-btn" style="display: none;">Confirm</button>
             <button class="message-cancel-btn" style="display: none;">Cancel</button>
             <button class="message-close" title="Close">×</button>
           </div>
         </div>
-        <div class="context-menu" style="display: none;"></div>
+        <div class="context-menu" role="menu" style="display: none;"></div>
+        <div class="live-region sr-only" aria-live="polite" aria-atomic="true"></div>
+        <dialog class="properties-dialog"></dialog>
+        <dialog class="login-dialog">
+          <form class="login-form">
+            <div class="login-title">Log in</div>
+            <label>User <input type="text" class="login-user" autocomplete="username"></label>
+            <label>Password <input type="password" class="login-password" autocomplete="current-password"></label>
+            <div class="login-error"></div>
+            <div class="login-actions">
+              <button type="button" class="btn-login-cancel">Cancel</button>
+              <button type="submit" class="btn-login-submit">Log in</button>
+            </div>
+          </form>
+        </dialog>
         <input type="file" class="file-input" multiple style="display: none;">
+        <input type="file" class="folder-input" webkitdirectory style="display: none;">
       </div>
     `;
     
@@ -183,6 +744,19 @@ class FileManager extends HTMLElement {
     uploadBtn.addEventListener('click', () => fileInput.click());
     fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
     
+    // Setup folder upload button, files selected this way carry their webkitRelativePath
+    const uploadFolderBtn = this.shadowRoot.querySelector('.btn-upload-folder');
+    const folderInput = this.shadowRoot.querySelector('.folder-input');
+    uploadFolderBtn.addEventListener('click', () => folderInput.click());
+    folderInput.addEventListener('change', (e) => this.handleFileSelect(e));
+    
+    // Setup upload panel
+    const uploadPanel = this.shadowRoot.querySelector('.upload-panel');
+    uploadPanel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handleUploadPanelClick(e);
+    });
+    
     // Setup paste button
     const pasteBtn = this.shadowRoot.querySelector('.btn-paste');
     pasteBtn.addEventListener('click', () => this.performPaste());
@@ -190,6 +764,149 @@ class FileManager extends HTMLElement {
     // Update paste button state
     this.updatePasteButton();
     
+    // Setup undo/redo buttons
+    this.shadowRoot.querySelector('.btn-undo').addEventListener('click', () => this.undo());
+    this.shadowRoot.querySelector('.btn-redo').addEventListener('click', () => this.redo());
+    this.updateHistoryButtons();
+    
+    // Setup trash buttons
+    this.shadowRoot.querySelector('.btn-trash').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.trashView) {
+        this.loadCollection(this.currentPath);
+      } else {
+        this.confirmDiscardChanges().then(confirmed => confirmed && this.loadTrash());
+      }
+    });
+    this.shadowRoot.querySelector('.btn-empty-trash').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.emptyTrash();
+    });
+    this.updateTrashMode();
+    
+    // Setup picker buttons
+    this.shadowRoot.querySelector('.btn-picker-choose').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.choose();
+    });
+    this.shadowRoot.querySelector('.btn-picker-cancel').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.emit('cancel', {});
+    });
+    this.updatePickerMode();
+    
+    // Setup view toggle buttons
+    this.shadowRoot.querySelectorAll('.btn-view').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.setView(btn.dataset.view);
+      });
+    });
+    this.updateViewToggle();
+    
+    // Setup collection tree
+    const treeBtn = this.shadowRoot.querySelector('.btn-tree');
+    treeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.treeCollapsed = !this.treeCollapsed;
+      this.updateTreePanel();
+    });
+    const treePanel = this.shadowRoot.querySelector('.tree-panel');
+    treePanel.addEventListener('click', this.handleTreeClick);
+    treePanel.addEventListener('keydown', this.handleTreeKeyDown);
+    treePanel.addEventListener('contextmenu', this.handleTreeContextMenu);
+    treePanel.addEventListener('dragover', this.handleTreeDragOver);
+    treePanel.addEventListener('dragleave', this.handleTreeDragLeave);
+    treePanel.addEventListener('drop', this.handleTreeDrop);
+    this.updateTreePanel();
+    
+    // Keyboard navigation of the items, focus moves between them with a roving tabindex
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    gridContainer.addEventListener('keydown', this.handleGridKeyDown);
+    gridContainer.addEventListener('focusin', this.handleGridFocusIn);
+    this.shadowRoot.querySelector('.context-menu').addEventListener('keydown', this.handleContextMenuKeyDown);
+    
+    // Setup preview pane
+    const previewPanel = this.shadowRoot.querySelector('.preview-panel');
+    previewPanel.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handlePreviewClick(e);
+    });
+    previewPanel.addEventListener('keydown', (e) => this.handleEditorKeyDown(e));
+    
+    // Setup properties dialog
+    const propertiesDialog = this.shadowRoot.querySelector('.properties-dialog');
+    propertiesDialog.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.handlePropertiesClick(e);
+    });
+    propertiesDialog.addEventListener('change', (e) => this.handlePropertiesChange(e));
+    propertiesDialog.addEventListener('close', () => {
+      this.properties = null;
+    });
+    
+    // Setup login
+    const userBox = this.shadowRoot.querySelector('.user-box');
+    userBox.addEventListener('click', (e) => e.stopPropagation());
+    userBox.querySelector('.btn-login').addEventListener('click', () => this.login());
+    userBox.querySelector('.btn-logout').addEventListener('click', () => this.logout());
+    const loginDialog = this.shadowRoot.querySelector('.login-dialog');
+    loginDialog.addEventListener('click', (e) => e.stopPropagation());
+    loginDialog.querySelector('.login-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitLogin();
+    });
+    loginDialog.querySelector('.btn-login-cancel').addEventListener('click', () => this.finishLogin(false));
+    // Escape closes the dialog, which cancels the login
+    loginDialog.addEventListener('close', () => this.finishLogin(false));
+    this.updateUserBox();
+    
+    // Setup search bar
+    const searchBar = this.shadowRoot.querySelector('.search-bar');
+    const searchInput = searchBar.querySelector('.search-input');
+    this.shadowRoot.querySelector('.btn-search').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.openSearch();
+    });
+    searchBar.addEventListener('click', (e) => e.stopPropagation());
+    searchBar.querySelector('.btn-search-run').addEventListener('click', () => this.startSearch());
+    searchBar.querySelector('.btn-search-close').addEventListener('click', () => this.closeSearch());
+    searchInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.startSearch();
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeSearch();
+      }
+    });
+    
+    // Setup filter box
+    const filterInput = this.shadowRoot.querySelector('.filter-input');
+    filterInput.addEventListener('click', (e) => e.stopPropagation());
+    filterInput.addEventListener('input', () => this.setFilter(filterInput.value));
+    filterInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.setFilter('');
+      }
+    });
+    
+    // Setup sort controls
+    const sortControls = this.shadowRoot.querySelector('.sort-controls');
+    sortControls.addEventListener('click', (e) => e.stopPropagation());
+    sortControls.querySelector('.sort-select').addEventListener('change', (e) => {
+      this.setSort(e.target.value, 'asc');
+    });
+    sortControls.querySelector('.btn-sort-direction').addEventListener('click', () => {
+      this.setSort(this.sortKey, this.sortDirection === 'asc' ? 'desc' : 'asc');
+    });
+    sortControls.querySelector('.folders-first-input').addEventListener('change', (e) => {
+      this.foldersFirst = e.target.checked;
+      this.applySort();
+    });
+    this.updateSortControls();
+    
     // Setup message footer close button
     const messageClose = this.shadowRoot.querySelector('.message-close');
     if (messageClose) {
@@ -199,41 +916,15 @@ class FileManager extends HTMLElement {
   
   // API Service Methods
   
-  async fetchCollections(path, start = 0, end = this.pageSize) {
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(path)}?start=${start}&end=${end}`;
-    
+  async fetchCollections(path, start = 0, end = this.pageSize, sortOptions = {}) {
     try {
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('HTTP error response:', errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // Try to parse as JSON regardless of content-type
-      // Some APIs return JSON with text/javascript or text/plain content-type
-      const contentType = response.headers.get('content-type') || '';
-      const text = await response.text();
-      
-      // Check if it looks like JSON (starts with { or [)
-      if (!text.trim().match(/^[\s]*[{\[]/)) {
-        console.warn('Response does not appear to be JSON, content-type:', contentType);
-        console.warn('Response text:', text.substring(0, 500));
-        throw new Error(`Response is not valid JSON. Content-type: ${contentType}`);
-      }
-      
-      // Parse the JSON text
-      let data;
-      try {
-        data = JSON.parse(text);
-      } catch (parseError) {
-        console.error('Failed to parse JSON:', parseError);
-        console.error('Response text:', text.substring(0, 500));
-        throw new Error(`Failed to parse JSON response: ${parseError.message}`);
-      }
-      
-      return data;
+      return await this.adapter.listCollection(path, {
+        start,
+        end,
+        sort: sortOptions.sort ?? this.sortKey,
+        order: sortOptions.order ?? this.sortDirection,
+        foldersFirst: sortOptions.foldersFirst ?? this.foldersFirst
+      });
     } catch (error) {
       console.error('Error fetching collections:', error);
       this.showError(`Failed to load collection: ${error.message}`);
@@ -241,83 +932,52 @@ class FileManager extends HTMLElement {
     }
   }
   
-  async uploadFile(collectionPath, file) {
-    const formData = new FormData();
-    
-    // New API: /api/upload
-    // - collection: query parameter (collection path)
-    // - path: query parameter (optional, filename if not provided)
-    // - deploy: query parameter (optional, boolean)
-    // - file[]: form data (binary file)
-    formData.append('file[]', file);
-    
-    // Build URL with query parameters
-    const url = new URL(`${this.apiBase}/api/upload`, window.location.origin);
-    url.searchParams.append('collection', collectionPath);
-    // path parameter is optional - if not provided, filename from upload will be used
-    // deploy parameter is optional - default is false
-    
+  async searchItems(collectionPath, query, content = false, start = 0, end = this.pageSize) {
     try {
-      const response = await fetch(url.toString(), {
-        method: 'POST',
-        body: formData
+      return await this.adapter.search(collectionPath, {
+        query,
+        content,
+        start,
+        end,
+        sort: this.sortKey,
+        order: this.sortDirection
       });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Upload HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // API returns JSON with files array
-      const contentType = response.headers.get('content-type') || '';
-      let result;
-      
-      if (contentType.includes('application/json')) {
-        result = await response.json();
-      } else {
-        // Fallback for non-JSON responses
-        const text = await response.text();
-        try {
-          result = JSON.parse(text);
-        } catch (e) {
-          result = { success: true, message: text };
-        }
-      }
-      
-      return result;
     } catch (error) {
-      console.error('Error uploading file:', error);
-      this.showError(`Failed to upload file: ${error.message}`);
+      console.error('Error searching:', error);
+      this.showError(`Search failed: ${error.message}`);
       throw error;
     }
   }
   
-  async createCollection(collectionPath, name) {
-    // API: POST /api/collections/{collection}?name={name}
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collectionPath)}?name=${encodeURIComponent(name)}`;
-    
+  async uploadFile(collectionPath, file, options = {}) {
     try {
-      const response = await fetch(url, {
-        method: 'POST'
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Create collection HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
+      return await this.adapter.upload(collectionPath, file, options);
+    } catch (error) {
+      // Like apiFetch, ask for credentials and try once more
+      if (error.status === 401 && !options.signal?.aborted && await this.requestLogin()) {
+        return this.adapter.upload(collectionPath, file, options);
       }
-      
-      // API returns JSON
-      const result = await response.json();
-      
-      // Check for failure response
-      if (result.status === 'fail' && result.message) {
-        console.error('Create collection failed, response:', result);
-        throw new Error(result.message);
+      throw error;
+    }
+  }
+  
+  async createCollection(collectionPath, name) {
+    try {
+      return await this.adapter.createCollection(collectionPath, name);
+    } catch (error) {
+      console.error('Error creating collection:', error);
+      this.showError(`Failed to create collection: ${error.message}`);
+      throw error;
+    }
+  }
+  
+  // Create a collection unless it exists. Adapters not extending BackendAdapter may lack ensureCollection
+  async ensureCollection(collectionPath, name) {
+    try {
+      if (!this.adapter.ensureCollection) {
+        return await this.adapter.createCollection(collectionPath, name);
       }
-      
-      return result;
+      return await this.adapter.ensureCollection(collectionPath, name);
     } catch (error) {
       console.error('Error creating collection:', error);
       this.showError(`Failed to create collection: ${error.message}`);
@@ -332,9 +992,7 @@ class FileManager extends HTMLElement {
   }
   
   async deleteItems(paths) {
-    // New API: DELETE /api/collections/{collection}?remove=path1&remove=path2
-    // The remove parameter is an array (exploded form style), so multiple remove= parameters
-    // Paths can be relative to the collection or absolute
+    // Paths can be relative to the collection shown or absolute
     const collectionPath = this.currentPath;
     
     // Ensure paths is an array and filter out any undefined/null values
@@ -348,44 +1006,8 @@ class FileManager extends HTMLElement {
       throw new Error('No valid paths to delete');
     }
     
-    // Build URL with multiple remove parameters (exploded form style)
-    const removeParams = validPaths.map(path => `remove=${encodeURIComponent(path)}`).join('&');
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collectionPath)}?${removeParams}`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'DELETE'
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Delete HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // Try to parse as JSON, but handle non-JSON responses
-      const contentType = response.headers.get('content-type') || '';
-      let result;
-      
-      if (contentType.includes('application/json') || contentType.includes('text/javascript')) {
-        const text = await response.text();
-        try {
-          result = JSON.parse(text);
-        } catch (e) {
-          result = { success: true, message: text };
-        }
-      } else {
-        const text = await response.text();
-        result = { success: true, message: text };
-      }
-      
-      // Check for failure response
-      if (result.status === 'fail' && result.message) {
-        console.error('Delete failed, response:', result);
-        throw new Error(result.message);
-      }
-      
-      return result;
+      return await this.adapter.deleteItems(collectionPath, validPaths);
     } catch (error) {
       console.error('Error deleting items:', error);
       this.showError(`Failed to delete item(s): ${error.message}`);
@@ -393,14 +1015,36 @@ class FileManager extends HTMLElement {
     }
   }
   
+  // All names in a collection, to detect conflicts before uploading or pasting
+  async fetchItemNames(path) {
+    const items = await this.fetchAllItems(path);
+    return new Set(items.map(item => item.name));
+  }
+  
+  // All items of a collection without the parent entry, fetched page by page.
+  // Unconfined listings may be outside the root, e.g. of the trash.
+  async fetchAllItems(path, confined = true) {
+    const items = new Map();
+    let start = 0;
+    while (true) {
+      const data = await this.fetchCollections(path, start, start + this.pageSize);
+      const rawItems = this.extractItems(data);
+      const before = items.size;
+      this.normalizeItems(rawItems, path, confined).forEach(item => {
+        if (item.name !== '..') items.set(item.name, item);
+      });
+      
+      // Also stop if the server ignored start/end and returned the same page again
+      if (rawItems.length < this.pageSize || items.size === before) break;
+      start += rawItems.length;
+    }
+    return Array.from(items.values());
+  }
+  
   async renameItem(oldPath, newName) {
-    // New API: PATCH /api/collections/{collection}/resources/{resource}
-    // - collection: collection path containing the resource (path parameter)
-    // - resource: current name of the resource/collection (path parameter)
-    // - Request body: JSON with "name" (new name)
-    
-    // Get the collection path (parent of the item being renamed)
-    const collectionPath = this.currentPath;
+    // Get the collection path (parent of the item being renamed). Absolute paths, e.g. from
+    // search results, may point into another collection than the one currently shown
+    const collectionPath = oldPath.startsWith('/') ? this.getParentPath(oldPath) : this.currentPath;
     
     // Extract the resource name from the old path
     // oldPath could be a full path or just a name
@@ -413,29 +1057,8 @@ class FileManager extends HTMLElement {
       resourceName = oldPath;
     }
     
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collectionPath)}/resources/${encodeURIComponent(resourceName)}`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          name: newName
-        })
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Rename HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // API returns JSON
-      const result = await response.json();
-      
-      return result;
+      return await this.adapter.renameItem(collectionPath, resourceName, newName);
     } catch (error) {
       console.error('Error renaming item:', error);
       this.showError(`Failed to rename item: ${error.message}`);
@@ -443,17 +1066,28 @@ class FileManager extends HTMLElement {
     }
   }
   
+  // changes holds any of owner, group and permissions (symbolic, e.g. "rwxr-xr-x", with s/S and
+  // t/T for setuid, setgid and sticky), plus recursive to apply them to the contents of a collection
+  async changeItemPermissions(path, changes) {
+    const collectionPath = this.getParentPath(path);
+    const resourceName = path.split('/').filter(p => p).pop();
+    
+    try {
+      return await this.adapter.changePermissions(collectionPath, resourceName, changes);
+    } catch (error) {
+      console.error('Error changing permissions:', error);
+      this.showError(`Failed to change the properties of ${resourceName}: ${error.message}`);
+      throw error;
+    }
+  }
+  
   async copyItem(sourcePath, targetCollection) {
     // This method is kept for single item copying
     // For multiple items, use copyItems() instead
     return this.copyItems([sourcePath], targetCollection);
   }
   
-  async copyItems(sourcePaths, targetCollection) {
-    // New API: POST /api/collections/{collection}/copy
-    // - collection: source collection path (path parameter)
-    // - Request body: JSON with "target" (target collection path) and "sources" (array of resource/collection names relative to source collection or absolute paths)
-    
+  async copyItems(sourcePaths, targetCollection, { overwrite = false, names = {} } = {}) {
     // Ensure paths is an array
     if (!Array.isArray(sourcePaths)) {
       sourcePaths = [sourcePaths];
@@ -477,30 +1111,8 @@ class FileManager extends HTMLElement {
       }
     }
     
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(sourceCollection)}/copy`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          target: targetCollection,
-          sources: validPaths
-        })
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Copy HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // API returns JSON
-      const result = await response.json();
-      
-      return result;
+      return await this.adapter.copyItems(sourceCollection, validPaths, targetCollection, { overwrite, names });
     } catch (error) {
       console.error('Error copying items:', error);
       this.showError(`Failed to copy item(s): ${error.message}`);
@@ -508,11 +1120,7 @@ class FileManager extends HTMLElement {
     }
   }
   
-  async moveItems(sourcePaths, targetCollection) {
-    // New API: POST /api/collections/{collection}/move
-    // - collection: source collection path (path parameter)
-    // - Request body: JSON with "target" (target collection path) and "sources" (array of resource/collection names relative to source collection or absolute paths)
-    
+  async moveItems(sourcePaths, targetCollection, { overwrite = false, names = {} } = {}) {
     // Ensure paths is an array
     if (!Array.isArray(sourcePaths)) {
       sourcePaths = [sourcePaths];
@@ -536,30 +1144,8 @@ class FileManager extends HTMLElement {
       }
     }
     
-    const url = `${this.apiBase}/api/collections/${encodeURIComponent(sourceCollection)}/move`;
-    
     try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          target: targetCollection,
-          sources: validPaths
-        })
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('Move HTTP error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText.substring(0, 100)}`);
-      }
-      
-      // API returns JSON
-      const result = await response.json();
-      
-      return result;
+      return await this.adapter.moveItems(sourceCollection, validPaths, targetCollection, { overwrite, names });
     } catch (error) {
       console.error('Error moving items:', error);
       this.showError(`Failed to move item(s): ${error.message}`);
@@ -568,38 +1154,51 @@ class FileManager extends HTMLElement {
   }
   
   // State Management
+  // Load a collection, or its next page if appending. Resolves to true once the page is shown,
+  // false if it failed or another listing replaced it
   async loadCollection(path, append = false) {
-    if (this.loading) return;
-    
     // Ensure shadow root is ready
     if (!this.shadowRoot || !this.shadowRoot.querySelector('.grid-container')) {
       console.warn('Shadow root not ready, deferring loadCollection');
-      return;
+      return false;
     }
     
-    this.loading = true;
-    this.currentPath = path;
-    
     const loadingEl = this.shadowRoot.querySelector('.loading');
     const gridContainer = this.shadowRoot.querySelector('.grid-container');
     const emptyState = this.shadowRoot.querySelector('.empty-state');
-    const loadMoreContainer = this.shadowRoot.querySelector('.load-more-container');
     
     // Safety check
-    if (!gridContainer || !loadingEl || !emptyState || !loadMoreContainer) {
+    if (!gridContainer || !loadingEl || !emptyState) {
       console.error('Required DOM elements not found in shadow root');
-      this.loading = false;
-      return;
+      return false;
+    }
+    
+    const loadId = this.beginLoad(append);
+    if (loadId === null) return false;
+    let loaded = false;
+    
+    if (path !== this.currentPath) {
+      this.closePreview();
     }
+    this.currentPath = path;
+    // Loading a collection always leaves the search results and the trash
+    this.search = null;
+    this.trashView = false;
+    this.updateTrashMode();
     
     if (!append) {
       this.items = [];
       this.loadedRanges = [];
       this.selectedItems.clear();
       this.lastSelectedIndex = null;
+      this.clearFilter();
+      this.nextStart = 0;
+      this.hasMore = false;
+      // Keyboard users stay in the grid when its items are replaced
+      this.pendingGridFocus = gridContainer.contains(this.shadowRoot.activeElement);
       gridContainer.innerHTML = '';
+      gridContainer.scrollTop = 0;
       emptyState.style.display = 'none';
-      loadMoreContainer.style.display = 'none';
       // Clear cache for this path to force fresh load
       this.cache.delete(path);
     }
@@ -607,143 +1206,33 @@ class FileManager extends HTMLElement {
     loadingEl.style.display = 'flex';
     
     try {
-      const start = append ? this.items.length : 0;
+      const start = append ? this.nextStart : 0;
       const end = start + this.pageSize;
       const rangeKey = `${start}-${end}`;
       
       // Check if we've already loaded this range (only if appending)
       if (append && this.loadedRanges.includes(rangeKey)) {
-        this.loading = false;
-        loadingEl.style.display = 'none';
-        return;
+        return false;
       }
       
       const data = await this.fetchCollections(path, start, end);
+      // Another listing may have been requested while waiting for the response
+      if (loadId !== this.loadId) return false;
       
-      let newItems = [];
-      
-      // Handle different response formats
-      if (data && data.items) {
-        // Format: { items: [...] } - eXide format
-        newItems = Array.isArray(data.items) ? data.items : [data.items];
-      } else if (data && data.collection) {
-        // Format: { collection: [...] }
-        newItems = Array.isArray(data.collection) ? data.collection : [data.collection];
-      } else if (data && (data.resources || data.collections)) {
-        // Format: { collections: [...], resources: [...] }
-        const resources = data.resources ? (Array.isArray(data.resources) ? data.resources : [data.resources]) : [];
-        const collections = data.collections ? (Array.isArray(data.collections) ? data.collections : [data.collections]) : [];
-        
-        newItems = [
-          ...collections.map(c => ({ ...c, type: 'collection' })),
-          ...resources.map(r => ({ ...r, type: 'resource' }))
-        ];
-      } else if (Array.isArray(data)) {
-        // Format: [...] (direct array)
-        newItems = data;
-      } else if (data && typeof data === 'object') {
-        // Try to find any array property
-        const arrayKeys = Object.keys(data).filter(key => Array.isArray(data[key]));
-        if (arrayKeys.length > 0) {
-          // Use the first array found
-          newItems = data[arrayKeys[0]];
-        } else {
-          // Try to extract items from object properties
-          const items = [];
-          Object.keys(data).forEach(key => {
-            if (data[key] && typeof data[key] === 'object') {
-              items.push({ ...data[key], name: data[key].name || key });
-            }
-          });
-          newItems = items;
-        }
+      const rawItems = this.extractItems(data);
+      const listed = this.normalizeItems(rawItems, path, false);
+      this.purgeStaleHoldings(listed);
+      const newItems = this.confineItems(listed);
+      this.updatePaging(data, rawItems, start);
+      if (!append) {
+        this.collectionAccess = getCollectionAccess(data);
+        this.updatePermissions();
       }
       
-      // Normalize items - ensure they have required properties
-      newItems = newItems.map((item, index) => {
-        // Ensure item has a name property - check various possible fields
-        if (!item.name) {
-          if (item.key) {
-            // Extract name from key (full path)
-            const keyParts = item.key.split('/').filter(p => p);
-            item.name = keyParts.length > 0 ? keyParts[keyParts.length - 1] : item.key;
-          } else if (item.path) {
-            // Extract name from path
-            const pathParts = item.path.split('/').filter(p => p);
-            item.name = pathParts.length > 0 ? pathParts[pathParts.length - 1] : item.path;
-          }
-        }
-        
-        // Handle parent directory ".." path calculation FIRST, before other path logic
-        if (item.name === '..') {
-          // Use key as parent path if available, otherwise calculate it
-          let parentPath;
-          if (item.key && item.key !== path) {
-            // The key might already be the parent path
-            parentPath = item.key;
-          } else {
-            // Calculate parent path
-            const parts = path.split('/').filter(p => p);
-            parts.pop();
-            parentPath = parts.length > 0 ? '/' + parts.join('/') : '/';
-          }
-          
-          // Only allow parent navigation if it's still within root
-          if (parentPath.startsWith(this.root)) {
-            item.path = parentPath;
-            // Ensure name is preserved as ".."
-            item.name = '..';
-          } else {
-            // Parent would be outside root, don't set path (will be filtered out)
-            return null;
-          }
-        } else {
-          // For non-parent items, set path from key or construct from name
-          if (!item.path) {
-            if (item.key) {
-              item.path = item.key;
-            } else if (item.name) {
-              item.path = path.endsWith('/') ? path + item.name : path + '/' + item.name;
-            }
-          }
-        }
-        
-        // Map isCollection to type
-        if (item.isCollection !== undefined) {
-          item.type = item.isCollection ? 'collection' : 'resource';
-        }
-        
-        // Infer type if not set
-        if (!item.type) {
-          // Try to infer type from path or name
-          if (item.name === '..') {
-            item.type = 'collection'; // Parent directory
-          } else {
-            item.type = item.name && !item.name.includes('.') ? 'collection' : 'resource';
-          }
-        }
-        
-        // Ensure item has both name and path, otherwise filter it out
-        // But log items that are being filtered for debugging
-        if (!item.name || !item.path) {
-          return null;
-        }
-        
-        return item;
-      }).filter(item => item != null); // Filter out null items (parent dirs outside root)
-      
-      // Additional filter to ensure no items have paths outside root
-      newItems = newItems.filter(item => {
-        if (item.path && !item.path.startsWith(this.root)) {
-          return false;
-        }
-        return true;
-      });
-      
       if (append) {
-        this.items = [...this.items, ...newItems];
+        this.items = sortItems([...this.items, ...newItems], this.sortKey, this.sortDirection, this.foldersFirst);
       } else {
-        this.items = newItems;
+        this.items = sortItems(newItems, this.sortKey, this.sortDirection, this.foldersFirst);
       }
       
       // Only add to loadedRanges if we successfully got items
@@ -751,65 +1240,259 @@ class FileManager extends HTMLElement {
         this.loadedRanges.push(rangeKey);
       }
       
-      this.renderGrid();
+      this.showItems(append);
       this.updateBreadcrumb();
-      this.updateLoadMoreButton();
-      
-      if (this.items.length === 0) {
-        emptyState.style.display = 'block';
-      } else {
-        emptyState.style.display = 'none';
+      if (!append) {
+        this.revealInTree(path);
       }
       
-      
       // Cache the result
       this.cache.set(path, { items: this.items, timestamp: Date.now() });
+      loaded = true;
       
     } catch (error) {
+      if (loadId !== this.loadId) return false;
       console.error('Error loading collection:', error);
       this.showError(`Failed to load collection: ${error.message}`);
       emptyState.style.display = 'block';
       const emptyStateEl = this.shadowRoot.querySelector('.empty-state');
       if (emptyStateEl) {
-        emptyStateEl.innerHTML = `<p style="color: #d32f2f;">Error: ${error.message}</p><p style="font-size: 12px; color: #666; margin-top: 8px;">Check the browser console for details.</p>`;
+        emptyStateEl.innerHTML = `<p style="color: #d32f2f;">Error: ${escapeHtml(error.message)}</p><p style="font-size: 12px; color: #666; margin-top: 8px;">Check the browser console for details.</p>`;
       }
     } finally {
-      this.loading = false;
-      loadingEl.style.display = 'none';
+      this.endLoad(loadId, loaded);
+    }
+    return loaded;
+  }
+  
+  // A listing replaces one still loading, whose response is then ignored, while further
+  // pages wait for the current one. Returns the id of the load, null if it must not start.
+  beginLoad(append) {
+    if (this.loading && append) return null;
+    this.loading = true;
+    this.loadId++;
+    return this.loadId;
+  }
+  
+  // Finish the load unless a later one replaced it. Items which don't fill the view leave
+  // nothing to scroll, so the next page is requested right away.
+  endLoad(loadId, loaded) {
+    if (loadId !== this.loadId) return;
+    this.loading = false;
+    this.shadowRoot.querySelector('.loading').style.display = 'none';
+    if (loaded) {
+      this.checkLoadMore();
+    }
+  }
+  
+  
+  openSearch() {
+    const searchBar = this.shadowRoot.querySelector('.search-bar');
+    searchBar.style.display = 'flex';
+    const searchInput = searchBar.querySelector('.search-input');
+    searchInput.focus();
+    searchInput.select();
+  }
+  
+  closeSearch() {
+    const searchBar = this.shadowRoot.querySelector('.search-bar');
+    searchBar.style.display = 'none';
+    if (this.search) {
+      // Back to the collection which was shown before searching
+      this.loadCollection(this.currentPath);
+    }
+  }
+  
+  async startSearch() {
+    const query = this.shadowRoot.querySelector('.search-input').value.trim();
+    const content = this.shadowRoot.querySelector('.search-content-input').checked;
+    if (!query) return;
+    if (!(await this.confirmDiscardChanges())) return;
+    this.closePreview();
+    this.search = { query, content };
+    this.trashView = false;
+    this.updateTrashMode();
+    this.runSearch();
+  }
+  
+  async runSearch(append = false) {
+    if (!this.search) return;
+    const loadId = this.beginLoad(append);
+    if (loadId === null) return;
+    let loaded = false;
+    
+    const loadingEl = this.shadowRoot.querySelector('.loading');
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    
+    if (!append) {
+      this.items = [];
+      this.loadedRanges = [];
+      this.selectedItems.clear();
+      this.lastSelectedIndex = null;
+      this.clearFilter();
+      this.nextStart = 0;
+      this.hasMore = false;
+      gridContainer.innerHTML = '';
+      gridContainer.scrollTop = 0;
+      this.updateBreadcrumb();
+    }
+    
+    loadingEl.style.display = 'flex';
+    
+    try {
+      const start = append ? this.nextStart : 0;
+      const end = start + this.pageSize;
+      const { query, content } = this.search;
+      
+      // Searches always start at the root, not at the collection currently shown
+      const data = await this.searchItems(this.root, query, content, start, end);
+      
+      // The search may have been closed or replaced while waiting for the response
+      if (loadId !== this.loadId || !this.search || this.search.query !== query) return;
+      
+      const rawItems = this.extractItems(data);
+      const newItems = this.normalizeItems(rawItems, this.root).filter(item => item.name !== '..');
+      this.updatePaging(data, rawItems, start);
+      this.items = sortItems(append ? [...this.items, ...newItems] : newItems, this.sortKey, this.sortDirection, this.foldersFirst);
+      this.loadedRanges.push(`${start}-${end}`);
+      
+      this.showItems(append);
+      this.updateBreadcrumb();
+      loaded = true;
+    } catch (error) {
+      console.error('Error searching:', error);
+    } finally {
+      this.endLoad(loadId, loaded);
+    }
+  }
+  
+  // Reload whatever is shown, i.e. the current collection, the search results or the trash
+  async refresh() {
+    this.cache.delete(this.currentPath);
+    if (this.trashView) {
+      await this.loadTrash();
+    } else if (this.search) {
+      await this.runSearch();
+    } else {
+      await this.loadCollection(this.currentPath, false);
+      this.refreshTreeNodes([this.currentPath]);
+    }
+  }
+  
+  loadMore() {
+    if (!this.hasMore) return;
+    if (this.search) {
+      this.runSearch(true);
+    } else {
+      this.loadCollection(this.currentPath, true);
+    }
+  }
+  
+  // Remember where the next page starts and whether there is one. The server may report the
+  // total number of items, otherwise a full page means there might be more.
+  updatePaging(data, rawItems, start) {
+    this.nextStart = start + rawItems.length;
+    const total = data && (data.total ?? data.count ?? data.hits);
+    if (typeof total === 'number') {
+      this.hasMore = this.nextStart < total;
+    } else {
+      this.hasMore = rawItems.length >= this.pageSize;
+    }
+  }
+  
+  showItems(append) {
+    if (!append) {
+      this.renderGrid();
+      return;
+    }
+    // Keep the scroll position and rendered items, only the window has to be extended
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    const hadContent = !!gridContainer.querySelector('.virtual-after');
+    this.updateVisibleItems();
+    if (hadContent) {
+      this.updateEmptyState();
+      this.renderWindow(true);
+    } else {
+      this.renderGrid();
     }
   }
   
+  // Find the list of items in a response, adapters may understand other formats.
+  // Throws if the response has none of the known formats
+  extractItems(data) {
+    return typeof this.adapter.extractItems === 'function' ? this.adapter.extractItems(data) : extractItems(data);
+  }
+  
+  // Normalize items into the schema of item-schema.js, through the mapper of the adapter,
+  // and keep them within the root unless not confined to it
+  normalizeItems(rawItems, path, confined = true) {
+    const map = typeof this.adapter.mapItem === 'function' ? (raw) => this.adapter.mapItem(raw) : mapItem;
+    let newItems = rawItems
+      .map(raw => normalizeItem(map(raw), path))
+      // Parent navigation is only offered within the root
+      .filter(item => item && (item.name !== '..' || this.isWithinRoot(item.path)));
+    
+    return confined ? this.confineItems(newItems) : newItems;
+  }
+  
+  // Ensure no items have paths outside root. Collections holding items for undo, of this or
+  // another session, and the trash are not shown either
+  confineItems(items) {
+    return items.filter(item => {
+      if (item.path && !this.isWithinRoot(item.path)) {
+        return false;
+      }
+      if (item.type === 'collection' && item.name.startsWith(HOLDING_PREFIX)) {
+        return false;
+      }
+      if (this.trash && (item.path === this.trash || item.path.startsWith(this.trash + '/'))) {
+        return false;
+      }
+      return true;
+    });
+  }
+  
+  // Holding collections left behind, e.g. after a reload, a crash or by another client, are
+  // deleted once the time to undo their deletion is over
+  purgeStaleHoldings(items) {
+    if (!this.isAllowed('delete')) return;
+    const stale = items
+      .filter(item => item.type === 'collection' && item.name.startsWith(HOLDING_PREFIX) && !this.heldCollections.has(item.path))
+      .filter(item => Date.now() - Number(item.name.substring(HOLDING_PREFIX.length)) > HOLDING_TIMEOUT)
+      .map(item => item.path);
+    if (stale.length === 0) return;
+    this.adapter.deleteItems(this.getParentPath(stale[0]), stale)
+      .catch(error => console.error('Error purging held items:', error));
+  }
   
-  // Helper method to get REST API URL for an image
+  // URL the content of a file is loaded from, e.g. for thumbnails
   getImageUrl(itemPath) {
-    // Convert eXide API base to REST API base
-    // e.g., /exist/apps/eXide/modules -> /exist/rest
-    const restBase = this.apiBase.replace('/apps/jinks', '/rest');
-    return `${restBase}${itemPath}`;
+    return this.adapter.getFileUrl(itemPath);
   }
   
-  // Helper method to get REST API URL for a file
   getFileUrl(itemPath) {
-    const restBase = this.apiBase.replace('/apps/jinks', '/rest');
-    return `${restBase}${itemPath}`;
+    return this.adapter.getFileUrl(itemPath);
+  }
+  
+  async saveFileContent(itemPath, content, contentType) {
+    try {
+      await this.adapter.writeFile(itemPath, content, contentType);
+    } catch (error) {
+      console.error('Error saving file:', error);
+      this.showError(`Failed to save file: ${error.message}`);
+      throw error;
+    }
   }
   
-  // Fetch file content from REST API
   async fetchFileContent(itemPath) {
-    const url = this.getFileUrl(itemPath);
     try {
-      const response = await fetch(url);
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return await response.blob();
+      return await this.adapter.readFile(itemPath);
     } catch (error) {
       console.error('Error fetching file:', error);
       throw error;
     }
   }
   
-  // Download selected files to local directory using File System Access API
   async downloadFilesToDirectory() {
     // Check if File System Access API is supported
     if (!('showDirectoryPicker' in window)) {
@@ -876,740 +1559,4001 @@ class FileManager extends HTMLElement {
   }
   
   // UI Rendering
+  
+  // Only the items scrolled into view are materialized in the DOM. renderGrid() sets up
+  // the grid or list for the current items, renderWindow() fills in the visible part.
   renderGrid() {
     const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    const hadFocus = gridContainer.contains(this.shadowRoot.activeElement) || this.pendingGridFocus;
+    this.pendingGridFocus = false;
     gridContainer.innerHTML = '';
+    // Search results and the trash are always shown as a list, together with their location
+    const asList = this.view === 'list' || !!this.search || this.trashView;
+    gridContainer.classList.toggle('list-view', asList);
     
-    this.items.forEach((item, index) => {
-      const gridItem = document.createElement('div');
-      gridItem.className = `grid-item ${item.type === 'collection' ? 'folder' : 'file'}`;
-      gridItem.dataset.path = item.path || item.name;
-      gridItem.dataset.index = index;
-      
-      if (this.selectedItems.has(item.path || item.name)) {
-        gridItem.classList.add('selected');
-      }
-      
-      // Handle parent directory ".." specially
-      let name;
-      if (item.name === '..') {
-        name = '..';
-      } else {
-        name = item.name || item.path?.split('/').pop() || 'Unknown';
-      }
-      const itemPath = item.path || item.name;
-      const isImage = isImageFile(item);
-      
-      let icon;
-      if (item.type === 'collection') {
-        icon = `<svg width="48" height="48" fill="currentColor"><use href="#icon-folder"></use></svg>`;
-      } else if (isImage) {
-        // Show thumbnail for images
-        const imageUrl = this.getImageUrl(itemPath);
-        icon = `<img src="${imageUrl}" alt="${name}" class="thumbnail-image" data-path="${itemPath}">
-                <svg width="48" height="48" fill="currentColor" class="thumbnail-fallback" style="display: none;"><use href="#icon-file"></use></svg>`;
-      } else {
-        const fileType = getFileType(item);
-        if (fileType) {
-            icon = `<svg width="48" height="48" fill="currentColor"><use href="#icon-filetype-${fileType}"></use></svg>`;
-        } else {
-            icon = `<svg width="48" height="48" fill="currentColor"><use href="#icon-file"></use></svg>`;
-        }
-      }
-      
-      gridItem.innerHTML = `
-        <div class="item-icon">${icon}</div>
-        <div class="item-name" title="${name}">${name}</div>
+    // The grid is a listbox of options, the list a table with selectable rows
+    if (asList) {
+      gridContainer.removeAttribute('role');
+      gridContainer.removeAttribute('aria-label');
+      gridContainer.removeAttribute('aria-multiselectable');
+    } else {
+      gridContainer.setAttribute('role', 'listbox');
+      gridContainer.setAttribute('aria-label', this.getItemsLabel());
+      gridContainer.setAttribute('aria-multiselectable', String(this.mode !== 'picker' || this.multiple));
+    }
+    
+    this.updateVisibleItems();
+    this.updateEmptyState();
+    this.renderedRange = null;
+    
+    if (asList) {
+      this.renderListHeader(gridContainer);
+    } else {
+      gridContainer.innerHTML = `
+        <div class="virtual-spacer virtual-before" aria-hidden="true"></div>
+        <div class="virtual-spacer virtual-after" aria-hidden="true"></div>
       `;
-      
-      // Add error handler for image thumbnails
-      if (isImage) {
-        const img = gridItem.querySelector('.thumbnail-image');
-        const fallback = gridItem.querySelector('.thumbnail-fallback');
-        if (img && fallback) {
-          img.addEventListener('error', () => {
-            img.style.display = 'none';
-            fallback.style.display = 'block';
-          });
-        }
-      }
-      
-      gridContainer.appendChild(gridItem);
-    });
+    }
+    
+    this.renderWindow(true);
+    if (hadFocus) {
+      this.focusItem(this.getFocusIndex());
+    }
+    // Rendering anew follows loading or filtering, which may have changed the selection
+    this.notifySelectionChange();
   }
   
-  updateBreadcrumb() {
-    const breadcrumb = this.shadowRoot.querySelector('.breadcrumb');
-    if (!breadcrumb) return;
-    
-    const currentParts = this.currentPath.split('/').filter(p => p);
-    const rootParts = this.root.split('/').filter(p => p);
+  renderListHeader(container) {
+    if (this.visibleItems.length === 0) return;
     
-    breadcrumb.innerHTML = '';
+    const table = document.createElement('table');
+    table.className = 'list-table';
+    table.setAttribute('role', 'grid');
+    table.setAttribute('aria-label', this.getItemsLabel());
+    table.setAttribute('aria-multiselectable', String(this.mode !== 'picker' || this.multiple));
+    // With virtual scrolling only some rows are there, the header row counts as well
+    table.setAttribute('aria-rowcount', this.hasMore ? -1 : this.visibleItems.length + 1);
     
-    // Root/home button - navigate to configured root
-    const homeBtn = document.createElement('button');
-    homeBtn.className = 'breadcrumb-item home';
-    homeBtn.innerHTML = '<svg width="16" height="16" fill="currentColor"><use href="#icon-home"></use></svg>';
-    homeBtn.title = 'Root: ' + this.root;
+    const columns = this.getListColumns();
+    const headerCells = columns.map(column => {
+      const isSorted = this.sortKey === column.key;
+      const indicator = isSorted
+        ? `<svg width="10" height="10" fill="currentColor" class="sort-indicator"><use href="#icon-sort-${this.sortDirection}"></use></svg>`
+        : '';
+      const ariaSort = isSorted ? (this.sortDirection === 'asc' ? 'ascending' : 'descending') : 'none';
+      return `<th class="col-${column.key}${isSorted ? ' sorted' : ''}" data-sort="${column.key}" aria-sort="${ariaSort}">
+          <button class="sort-button">${column.label}${indicator}</button>
+        </th>`;
+    }).join('');
+    table.innerHTML = `
+      <thead><tr aria-rowindex="1">${headerCells}</tr></thead>
+      <tbody>
+        <tr class="virtual-spacer virtual-before" aria-hidden="true"><td colspan="${columns.length}"></td></tr>
+        <tr class="virtual-spacer virtual-after" aria-hidden="true"><td colspan="${columns.length}"></td></tr>
+      </tbody>
+    `;
     
-    // Only make home button clickable if not already at root
-    if (this.currentPath !== this.root) {
-      homeBtn.addEventListener('click', (e) => {
+    table.querySelectorAll('th[data-sort]').forEach(th => {
+      th.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        this.navigateTo(this.root);
+        this.setSort(th.dataset.sort);
       });
-    } else {
-      homeBtn.classList.add('current');
-      homeBtn.disabled = true;
+    });
+    
+    container.appendChild(table);
+  }
+  
+  getListColumns() {
+    if (this.trashView) {
+      return [
+        LIST_COLUMNS[0],
+        { key: 'location', label: 'Original Location' },
+        { key: 'deleted', label: 'Deleted' },
+        ...LIST_COLUMNS.slice(1, 3)
+      ];
     }
+    return this.search
+      ? [LIST_COLUMNS[0], { key: 'location', label: 'Location' }, ...LIST_COLUMNS.slice(1)]
+      : LIST_COLUMNS;
+  }
+  
+  // Materialize the items between the two spacers which are currently scrolled into view
+  renderWindow(force = false) {
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    const before = gridContainer.querySelector('.virtual-before');
+    const after = gridContainer.querySelector('.virtual-after');
+    if (!before || !after) return;
     
-    breadcrumb.appendChild(homeBtn);
+    const asList = gridContainer.classList.contains('list-view');
+    const { columns, rowHeight, gap } = this.getVirtualMetrics(gridContainer, asList);
+    const total = this.visibleItems.length;
+    const totalRows = Math.ceil(total / columns);
     
-    // Only show path segments that are below the root
-    // Start from rootParts.length to skip root segments
-    let currentPath = this.root;
-    currentParts.slice(rootParts.length).forEach((part, index) => {
-      currentPath += '/' + part;
-      
-      // Capture the path for this specific segment
-      const segmentPath = currentPath;
-      
-      const separator = document.createElement('span');
-      separator.className = 'breadcrumb-separator';
-      separator.textContent = '/';
-      breadcrumb.appendChild(separator);
-      
-      const segment = document.createElement('button');
-      segment.className = 'breadcrumb-item';
-      segment.textContent = part;
-      segment.title = segmentPath;
-      
-      const relativeIndex = rootParts.length + index;
-      if (relativeIndex === currentParts.length - 1) {
-        segment.classList.add('current');
-        segment.disabled = true;
-      } else {
-        segment.addEventListener('click', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          this.navigateTo(segmentPath);
-        });
+    // Without layout (e.g. while hidden) assume a typical viewport height
+    const viewportHeight = gridContainer.clientHeight || VIRTUAL_FALLBACK_HEIGHT;
+    const firstRow = Math.max(0, Math.floor(gridContainer.scrollTop / rowHeight) - VIRTUAL_OVERSCAN_ROWS);
+    const lastRow = Math.min(totalRows, Math.ceil((gridContainer.scrollTop + viewportHeight) / rowHeight) + VIRTUAL_OVERSCAN_ROWS);
+    const start = firstRow * columns;
+    const end = Math.min(total, lastRow * columns);
+    
+    const range = `${start}-${end}-${columns}`;
+    if (!force && this.renderedRange === range) return;
+    this.renderedRange = range;
+    
+    // Focus leaves with the removed items, it is moved to the item rendered anew
+    const hadFocus = gridContainer.contains(this.shadowRoot.activeElement);
+    
+    // Remove the previously rendered window
+    let node = before.nextSibling;
+    while (node && node !== after) {
+      const next = node.nextSibling;
+      node.remove();
+      node = next;
+    }
+    
+    // Spacers stand in for the rows above and below the window. In the grid, each spacer
+    // occupies a grid row of its own, followed by a gap, so the gap is subtracted.
+    const rowsBefore = firstRow;
+    const rowsAfter = Math.max(0, totalRows - lastRow);
+    this.setSpacerHeight(before, rowsBefore > 0 ? rowsBefore * rowHeight - gap : 0);
+    this.setSpacerHeight(after, rowsAfter > 0 ? rowsAfter * rowHeight - gap : 0);
+    
+    const fragment = document.createDocumentFragment();
+    for (let index = start; index < end; index++) {
+      const item = this.visibleItems[index];
+      fragment.appendChild(asList ? this.createListRow(item, index) : this.createGridItem(item, index));
+    }
+    after.parentNode.insertBefore(fragment, after);
+    this.updateItemFocus(hadFocus);
+    
+    // Measure the real row height once items are rendered and correct the estimate
+    const first = before.nextSibling !== after ? before.nextSibling : null;
+    if (first && first.offsetHeight > 0) {
+      const measured = first.offsetHeight + gap;
+      const key = asList ? 'list' : 'grid';
+      if (Math.abs(measured - this.rowHeights[key]) > 1) {
+        this.rowHeights[key] = measured;
+        this.renderWindow(true);
+        return;
       }
-      
-      breadcrumb.appendChild(segment);
-    });
+    }
+    
+    this.checkLoadMore();
+  }
+  
+  setSpacerHeight(spacer, height) {
+    const target = spacer.tagName === 'TR' ? spacer.firstElementChild : spacer;
+    spacer.style.display = height > 0 ? '' : 'none';
+    target.style.height = `${height}px`;
   }
   
-  updateLoadMoreButton() {
-    const loadMoreContainer = this.shadowRoot.querySelector('.load-more-container');
-    const loadMoreBtn = loadMoreContainer.querySelector('.btn-load-more');
+  getVirtualMetrics(gridContainer, asList) {
+    if (asList) {
+      return { columns: 1, rowHeight: this.rowHeights.list, gap: 0 };
+    }
     
-    // Show load more if we have items and might have more
-    if (this.items.length > 0 && this.items.length % this.pageSize === 0) {
-      loadMoreContainer.style.display = 'block';
-      loadMoreBtn.onclick = () => this.loadCollection(this.currentPath, true);
-    } else {
-      loadMoreContainer.style.display = 'none';
+    const style = getComputedStyle(gridContainer);
+    const gap = parseFloat(style.rowGap) || 0;
+    
+    // The number of columns chosen by auto-fill is only known from the computed style
+    let columns = 0;
+    const tracks = (style.gridTemplateColumns || '').split(' ').filter(t => t);
+    if (tracks.length > 0 && tracks.every(t => t.endsWith('px'))) {
+      columns = tracks.length;
+    } else if (gridContainer.clientWidth > 0) {
+      const paddingX = (parseFloat(style.paddingLeft) || 0) + (parseFloat(style.paddingRight) || 0);
+      columns = Math.floor((gridContainer.clientWidth - paddingX + gap) / (GRID_MIN_TILE_WIDTH + gap));
     }
+    
+    return { columns: Math.max(1, columns), rowHeight: this.rowHeights.grid, gap };
   }
   
-  updatePasteButton() {
-    const pasteBtn = this.shadowRoot.querySelector('.btn-paste');
-    const clipboardIndicator = this.shadowRoot.querySelector('.clipboard-indicator');
-    const clipboardText = this.shadowRoot.querySelector('.clipboard-text');
+  handleScroll() {
+    if (this.scrollFrame) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.renderWindow();
+    });
+  }
+  
+  // Fetch the next page once the user scrolled close to the end of the loaded items
+  checkLoadMore() {
+    if (!this.hasMore || this.loading) return;
     
-    // Handle both single item (backwards compatibility) and array of items
-    const clipboardItems = this.clipboard 
-      ? (Array.isArray(this.clipboard) ? this.clipboard : [this.clipboard])
-      : [];
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    // Without layout there is no way to tell whether the end is visible
+    if (!gridContainer || gridContainer.clientHeight === 0) return;
     
-    if (clipboardItems.length > 0) {
-      pasteBtn.disabled = false;
-      clipboardIndicator.style.display = 'flex';
-      const count = clipboardItems.length;
-      const action = this.clipboardMode === 'cut' ? 'Cut' : 'Copied';
-      if (count === 1) {
-        const name = clipboardItems[0].name || clipboardItems[0].path.split('/').pop();
-        clipboardText.textContent = `${action}: ${name}`;
-      } else {
-        clipboardText.textContent = `${action}: ${count} items`;
-      }
-    } else {
-      pasteBtn.disabled = true;
-      clipboardIndicator.style.display = 'none';
+    const remaining = gridContainer.scrollHeight - gridContainer.scrollTop - gridContainer.clientHeight;
+    if (remaining < gridContainer.clientHeight) {
+      this.loadMore();
     }
   }
   
-  // Event Handlers
-  handleClick(e) {
-    const gridItem = e.target.closest('.grid-item');
-    if (!gridItem) {
-      // Click outside - only clear if not holding modifier keys
-      if (!e.ctrlKey && !e.metaKey && !e.shiftKey) {
-        this.selectedItems.clear();
-        this.lastSelectedIndex = null;
-        this.renderGrid();
-      }
-      this.hideContextMenu();
-      return;
+  createGridItem(item, index) {
+    const gridItem = document.createElement('div');
+    gridItem.className = `grid-item ${item.type === 'collection' ? 'folder' : 'file'}`;
+    gridItem.dataset.path = item.path || item.name;
+    gridItem.dataset.index = index;
+    gridItem.draggable = item.name !== '..' && !this.trashView && this.canDrag(item);
+    gridItem.classList.toggle('unavailable', this.mode === 'picker' && !acceptsItem(this.accept, item));
+    gridItem.tabIndex = -1;
+    gridItem.setAttribute('role', 'option');
+    gridItem.setAttribute('aria-posinset', index + 1);
+    gridItem.setAttribute('aria-setsize', this.hasMore ? -1 : this.visibleItems.length);
+    this.setItemAria(gridItem, item);
+    
+    if (this.selectedItems.has(item.path || item.name)) {
+      gridItem.classList.add('selected');
     }
     
-    const path = gridItem.dataset.path;
-    const item = this.items.find(i => (i.path || i.name) === path);
+    const name = this.getDisplayName(item);
     
-    if (!item) return;
+    gridItem.innerHTML = `
+      <div class="item-icon">${this.renderItemIcon(item, 48)}</div>
+      <div class="item-name" title="${escapeHtml(name)}">${this.renderName(item)}</div>
+    `;
     
-    // Handle folder navigation
-    if (item.type === 'collection' || gridItem.classList.contains('folder')) {
-      // If modifier keys are held (shift, ctrl, cmd), always select, never navigate
-      if (e.shiftKey || e.ctrlKey || e.metaKey) {
-        // Modifier keys held - always select
-        this.toggleSelection(path, e);
-      } else if (e.detail === 2 || (e.detail === 1 && e.target.closest('.item-icon'))) {
-        // Double click or click on icon - navigate
-        this.navigateTo(path);
-      } else {
-        // Single click - select (unless double-click)
-        if (e.detail === 1) {
-          this.toggleSelection(path, e);
-        }
-      }
-    } else {
-      // File handling
-      if (e.detail === 2) {
-        // Double-click on file - check if it's an editable file type
-        const fileType = getFileType(item);
-        const editableTypes = ['xquery', 'javascript', 'css', 'xml', 'json', 'html'];
-        
-        if (fileType && editableTypes.includes(fileType)) {
-          this.openInExide(path);
-          return;
-        }
-      }
-      // Single click or non-editable file - just select
-      this.toggleSelection(path, e);
-    }
+    this.attachThumbnailFallback(gridItem);
+    return gridItem;
   }
   
-  handleContextMenu(e) {
-    e.preventDefault();
-    const gridItem = e.target.closest('.grid-item');
+  createListRow(item, index) {
+    const row = document.createElement('tr');
+    row.className = `list-row ${item.type === 'collection' ? 'folder' : 'file'}`;
+    row.dataset.path = item.path || item.name;
+    row.dataset.index = index;
+    row.draggable = item.name !== '..' && !this.trashView && this.canDrag(item);
+    row.classList.toggle('unavailable', this.mode === 'picker' && !acceptsItem(this.accept, item));
+    row.tabIndex = -1;
+    row.setAttribute('aria-rowindex', index + 2);
+    this.setItemAria(row, item);
     
-    if (!gridItem) {
-      this.hideContextMenu();
-      return;
+    if (this.selectedItems.has(item.path || item.name)) {
+      row.classList.add('selected');
     }
     
-    const path = gridItem.dataset.path;
-    const item = this.items.find(i => (i.path || i.name) === path);
-    if (!item) return;
+    row.innerHTML = this.getListColumns().map(column => this.renderListCell(item, column.key)).join('');
     
-    // If the right-clicked item is not selected, select it (but don't clear other selections if modifier is held)
-    if (!this.selectedItems.has(path) && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
-      this.selectedItems.clear();
-      this.lastSelectedIndex = null;
-      this.selectedItems.add(path);
-      // Update last selected index
-      const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
-      this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
-      this.renderGrid();
+    this.attachThumbnailFallback(row);
+    return row;
+  }
+  
+  // State of an item for assistive technology, kept up to date by updateSelectionState()
+  setItemAria(element, item) {
+    const path = item.path || item.name;
+    element.setAttribute('aria-selected', String(this.selectedItems.has(path)));
+    if (this.mode === 'picker' && !acceptsItem(this.accept, item)) {
+      element.setAttribute('aria-disabled', 'true');
+    }
+    if (item.name === '..') {
+      element.setAttribute('aria-label', 'Parent collection');
     }
-    
-    this.showContextMenu(e.clientX, e.clientY, item);
   }
   
-  handleKeyDown(e) {
-    // Detect Mac platform (Cmd key) vs other platforms (Ctrl key)
-    const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0 || 
-                  navigator.userAgent.toUpperCase().indexOf('MAC') >= 0;
-    
-    // Delete key (Delete on Windows/Linux, Backspace on Mac) - check first, no modifier needed
-    if (this.selectedItems.size > 0) {
-      if (e.key === 'Delete' || (isMac && e.key === 'Backspace')) {
-        e.preventDefault();
-        this.performDelete();
-        return;
+  // Name of the listbox or table of items
+  getItemsLabel() {
+    if (this.trashView) return 'Trash';
+    if (this.search) return 'Search results';
+    return `Contents of ${this.currentPath.split('/').filter(p => p).pop() || '/'}`;
+  }
+  
+  renderListCell(item, key) {
+    switch (key) {
+      case 'name': {
+        const name = this.getDisplayName(item);
+        return `<td class="col-name">
+          <div class="name-cell">
+            <span class="item-icon">${this.renderItemIcon(item, 16)}</span>
+            <span class="item-name" title="${escapeHtml(name)}">${this.renderName(item)}</span>
+          </div>
+        </td>`;
       }
+      case 'location': {
+        // Items in the trash show where they were deleted from
+        const path = this.trashView ? item.originalPath : item.path;
+        if (!path) return '<td class="col-location">Unknown</td>';
+        return `<td class="col-location" title="${escapeHtml(path)}">${escapeHtml(this.getRelativePath(this.getParentPath(path)) || '/')}</td>`;
+      }
+      case 'deleted': {
+        const deleted = getItemDeleted(item);
+        return `<td class="col-deleted" title="${deleted ? deleted.toISOString() : ''}">${formatDate(deleted)}</td>`;
+      }
+      case 'type':
+        return `<td class="col-type">${item.name === '..' ? '' : escapeHtml(getItemTypeLabel(item))}</td>`;
+      case 'size':
+        return `<td class="col-size">${formatSize(getItemSize(item))}</td>`;
+      case 'modified': {
+        const modified = getItemModified(item);
+        return `<td class="col-modified" title="${modified ? modified.toISOString() : ''}">${formatDate(modified)}</td>`;
+      }
+      case 'owner':
+        return `<td class="col-owner">${escapeHtml(getItemOwner(item))}</td>`;
+      case 'permissions':
+        return `<td class="col-permissions">${escapeHtml(getItemPermissions(item))}</td>`;
+      default:
+        return '<td></td>';
     }
-    
-    // F2 - Rename - check before modifier checks
-    if (e.key === 'F2' && this.selectedItems.size === 1) {
-      e.preventDefault();
-      const path = Array.from(this.selectedItems)[0];
-      this.performRename(path);
-      return;
+  }
+  
+  // Update the selection highlight of the rendered items without rebuilding them
+  updateSelectionState() {
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    if (!gridContainer) return;
+    gridContainer.querySelectorAll(ITEM_SELECTOR).forEach(element => {
+      const selected = this.selectedItems.has(element.dataset.path);
+      element.classList.toggle('selected', selected);
+      element.setAttribute('aria-selected', String(selected));
+    });
+    this.notifySelectionChange();
+  }
+  
+  notifySelectionChange() {
+    this.updatePickerBar();
+    const paths = Array.from(this.selectedItems);
+    const key = paths.join('\n');
+    if (key === this.reportedSelection) return;
+    this.reportedSelection = key;
+    this.emit('selection-change', {
+      paths,
+      items: paths.map(path => this.items.find(item => (item.path || item.name) === path)).filter(item => item)
+    });
+  }
+  
+  getDisplayName(item) {
+    // Handle parent directory ".." specially
+    if (item.name === '..') {
+      return '..';
     }
-    
-    // Check for correct modifier key (Cmd on Mac, Ctrl on others)
-    const hasModifier = isMac ? (e.metaKey && !e.ctrlKey) : (e.ctrlKey && !e.metaKey);
-    
-    if (!hasModifier || e.shiftKey || e.altKey) {
-      return; // Not our shortcut
+    return item.name || item.path?.split('/').pop() || 'Unknown';
+  }
+  
+  renderName(item) {
+    const name = this.getDisplayName(item);
+    const ranges = this.filterMatches.get(item.path || item.name);
+    if (!ranges || ranges.length === 0) {
+      return escapeHtml(name);
     }
-    
-    // Normalize key to lowercase for case-insensitive comparison
-    const key = e.key.toLowerCase();
-    
-    // Cmd/Ctrl+C - Copy (requires focus or selection)
-    if (key === 'c') {
-      if (this.selectedItems.size === 0 && !this.shadowRoot.contains(document.activeElement)) {
-        return;
-      }
-      e.preventDefault();
-      this.performCopy();
+    // Highlight the parts of the name matching the filter
+    let html = '';
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      html += escapeHtml(name.substring(position, start));
+      html += `<mark>${escapeHtml(name.substring(start, end))}</mark>`;
+      position = end;
+    });
+    return html + escapeHtml(name.substring(position));
+  }
+  
+  updateVisibleItems() {
+    this.filterMatches.clear();
+    if (!this.filter) {
+      this.visibleItems = this.items;
       return;
     }
-    
-    // Cmd/Ctrl+X - Cut (requires focus or selection)
-    if (key === 'x') {
-      if (this.selectedItems.size === 0 && !this.shadowRoot.contains(document.activeElement)) {
-        return;
+    this.visibleItems = this.items.filter(item => {
+      // Keep the parent entry so that navigating up stays possible
+      if (item.name === '..') return true;
+      const ranges = matchItem(item, this.filter);
+      if (ranges) {
+        this.filterMatches.set(item.path || item.name, ranges);
       }
-      e.preventDefault();
-      this.performCut();
-      return;
-    }
+      return ranges !== null;
+    });
+  }
+  
+  updateEmptyState() {
+    const emptyState = this.shadowRoot.querySelector('.empty-state');
+    if (!emptyState) return;
     
-    // Cmd/Ctrl+V - Paste (works if we have clipboard, even without focus)
-    if (key === 'v') {
-      if (this.clipboard) {
-        e.preventDefault();
-        this.performPaste();
-        return;
+    if (this.items.length === 0) {
+      if (this.trashView) {
+        emptyState.innerHTML = '<p>The trash is empty</p>';
+      } else {
+        emptyState.innerHTML = this.search ? '<p>No items found</p>' : '<p>This collection is empty</p>';
       }
+      emptyState.style.display = 'block';
+    } else if (this.filter && !this.visibleItems.some(item => item.name !== '..')) {
+      emptyState.innerHTML = '<p>No items match the filter</p>';
+      emptyState.style.display = 'block';
+    } else {
+      emptyState.style.display = 'none';
     }
   }
   
-  handlePaste(e) {
-    // Only handle if we have internal clipboard
-    if (!this.clipboard) {
-      return;
-    }
-    
-    // Allow paste if file manager is focused or has selection, or if clipboard exists
-    // (this allows paste even when clicking elsewhere after copying)
-    if (!this.shadowRoot.contains(document.activeElement) && this.selectedItems.size === 0) {
-      // Still allow if we have clipboard - user might have clicked elsewhere
-      // but wants to paste into the file manager
+  setFilter(text) {
+    const filterInput = this.shadowRoot.querySelector('.filter-input');
+    if (filterInput && filterInput.value !== text) {
+      filterInput.value = text;
     }
+    this.filter = parseFilter(text);
+    this.updateVisibleItems();
     
-    e.preventDefault();
-    this.performPaste();
+    // Hidden items must not take part in copy, cut or delete
+    const visiblePaths = new Set(this.visibleItems.map(item => item.path || item.name));
+    this.selectedItems.forEach(path => {
+      if (!visiblePaths.has(path)) {
+        this.selectedItems.delete(path);
+      }
+    });
+    // Indices changed, range selection has to start over
+    this.lastSelectedIndex = null;
+    this.renderGrid();
   }
   
-  handleFileSelect(e) {
-    const files = Array.from(e.target.files);
-    if (files.length === 0) return;
-    
-    this.uploadFiles(files);
-    e.target.value = ''; // Reset input
+  clearFilter() {
+    this.filter = null;
+    const filterInput = this.shadowRoot.querySelector('.filter-input');
+    if (filterInput) {
+      filterInput.value = '';
+    }
   }
   
-  // Drag and drop handlers
-  handleDragEnter(e) {
-    e.preventDefault();
-    e.stopPropagation();
+  renderItemIcon(item, size) {
+    const itemPath = item.path || item.name;
     
-    // Only handle if dragging files
-    if (e.dataTransfer.types.includes('Files')) {
-      const content = this.shadowRoot.querySelector('.content');
-      if (content) {
-        content.classList.add('drag-over');
-      }
+    if (item.type === 'collection') {
+      return `<svg width="${size}" height="${size}" fill="currentColor"><use href="#icon-folder"></use></svg>`;
     }
+    if (isImageFile(item)) {
+      // Show thumbnail for images
+      const imageUrl = this.getImageUrl(itemPath);
+      return `<img src="${imageUrl}" alt="${escapeHtml(this.getDisplayName(item))}" class="thumbnail-image" data-path="${escapeHtml(itemPath)}" loading="lazy">
+                <svg width="${size}" height="${size}" fill="currentColor" class="thumbnail-fallback" style="display: none;"><use href="#icon-file"></use></svg>`;
+    }
+    const fileType = getFileType(item);
+    if (fileType) {
+      return `<svg width="${size}" height="${size}" fill="currentColor"><use href="#icon-filetype-${fileType}"></use></svg>`;
+    }
+    return `<svg width="${size}" height="${size}" fill="currentColor"><use href="#icon-file"></use></svg>`;
   }
   
-  handleDragOver(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    
-    // Only handle if dragging files
-    if (e.dataTransfer.types.includes('Files')) {
-      e.dataTransfer.dropEffect = 'copy';
+  attachThumbnailFallback(element) {
+    // Add error handler for image thumbnails
+    const img = element.querySelector('.thumbnail-image');
+    const fallback = element.querySelector('.thumbnail-fallback');
+    if (img && fallback) {
+      img.addEventListener('error', () => {
+        img.style.display = 'none';
+        fallback.style.display = 'block';
+      });
     }
   }
   
-  handleDragLeave(e) {
-    e.preventDefault();
-    e.stopPropagation();
-    
-    // Only remove class if we're leaving the content area
-    const content = this.shadowRoot.querySelector('.content');
-    if (content && !content.contains(e.relatedTarget)) {
-      content.classList.remove('drag-over');
+  setView(view) {
+    if (view !== 'grid' && view !== 'list') return;
+    // Reflect to the attribute, attributeChangedCallback re-renders
+    this.setAttribute('view', view);
+  }
+  
+  updateViewToggle() {
+    this.shadowRoot.querySelectorAll('.btn-view').forEach(btn => {
+      const active = btn.dataset.view === this.view;
+      btn.classList.toggle('active', active);
+      btn.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+  }
+  
+  setSort(key, direction = null) {
+    if (direction) {
+      this.sortKey = key;
+      this.sortDirection = direction;
+    } else if (this.sortKey === key) {
+      // Clicking the sorted column again reverses the direction
+      this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+      this.sortKey = key;
+      this.sortDirection = 'asc';
     }
+    this.applySort();
   }
   
-  handleDrop(e) {
-    e.preventDefault();
-    e.stopPropagation();
+  applySort() {
+    if (!this.shadowRoot || !this.shadowRoot.querySelector('.grid-container')) return;
+    this.updateSortControls();
     
-    const content = this.shadowRoot.querySelector('.content');
-    if (content) {
-      content.classList.remove('drag-over');
+    // Only part of the collection is loaded: sorting the loaded page would not match
+    // the order of the pages still to come, so let the server sort from the start
+    if (this.hasMoreItems()) {
+      this.refresh();
+      return;
     }
     
-    // Get files from the drop event
-    const files = Array.from(e.dataTransfer.files);
-    if (files.length === 0) return;
-    
-    this.uploadFiles(files);
+    this.items = sortItems(this.items, this.sortKey, this.sortDirection, this.foldersFirst);
+    // Indices changed, range selection has to start over
+    this.lastSelectedIndex = null;
+    this.renderGrid();
   }
   
-  // Operations
-  openInExide(path) {
-    const exide = window.open('', 'eXide');
-    if (exide && !exide.closed) {
-      // check if eXide is really available or it's an empty page
-      const app = exide.eXide;
-      if (app) {
-        // eXide is there
-        exide.eXide.app.findDocument(path);
-        exide.focus();
-      } else {
-        window.eXide_onload = function () {
-          exide.eXide.app.findDocument(path);
-        };
-        const base = this.apiBase.replace('/apps/jinks', '/apps/eXide');
-        exide.location = `${base}/index.html`;
+  updateSortControls() {
+    const select = this.shadowRoot.querySelector('.sort-select');
+    const directionBtn = this.shadowRoot.querySelector('.btn-sort-direction');
+    const foldersFirstInput = this.shadowRoot.querySelector('.folders-first-input');
+    if (!select || !directionBtn || !foldersFirstInput) return;
+    
+    // Columns only available in the list view get a temporary entry
+    if (!SORT_KEYS.some(option => option.key === this.sortKey)) {
+      const column = this.getListColumns().find(c => c.key === this.sortKey);
+      let extra = select.querySelector('option[data-extra]');
+      if (!extra) {
+        extra = document.createElement('option');
+        extra.dataset.extra = 'true';
+        select.appendChild(extra);
       }
+      extra.value = this.sortKey;
+      extra.textContent = column ? column.label : this.sortKey;
+    } else {
+      select.querySelector('option[data-extra]')?.remove();
     }
+    select.value = this.sortKey;
+    
+    const ascending = this.sortDirection === 'asc';
+    directionBtn.innerHTML = `<svg width="12" height="12" fill="currentColor"><use href="#icon-sort-${this.sortDirection}"></use></svg>`;
+    directionBtn.title = ascending ? 'Ascending - click to sort descending' : 'Descending - click to sort ascending';
+    foldersFirstInput.checked = this.foldersFirst;
   }
   
-  toggleSelection(path, e = null) {
-    // Find the index of the clicked item
-    const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
+  updateBreadcrumb() {
+    const breadcrumb = this.shadowRoot.querySelector('.breadcrumb');
+    if (!breadcrumb) return;
     
-    if (this.selectedItems.has(path)) {
-      if (e && (e.ctrlKey || e.metaKey)) {
-        // Allow deselecting with Ctrl/Cmd
-        this.selectedItems.delete(path);
-        // Update last selected index if this was the last selected item
-        if (this.lastSelectedIndex === clickedIndex) {
-          // Find the last selected item index
-          const selectedIndices = this.items
-            .map((item, idx) => this.selectedItems.has(item.path || item.name) ? idx : -1)
-            .filter(idx => idx !== -1);
-          this.lastSelectedIndex = selectedIndices.length > 0 ? selectedIndices[selectedIndices.length - 1] : null;
-        }
+    const currentParts = this.currentPath.split('/').filter(p => p);
+    const rootParts = this.root.split('/').filter(p => p);
+    
+    breadcrumb.innerHTML = '';
+    
+    // Root/home button - navigate to configured root
+    const homeBtn = document.createElement('button');
+    homeBtn.className = 'breadcrumb-item home';
+    homeBtn.innerHTML = '<svg width="16" height="16" fill="currentColor"><use href="#icon-home"></use></svg>';
+    homeBtn.title = 'Root: ' + this.root;
+    homeBtn.dataset.path = this.root;
+    
+    // Only make home button clickable if not already at root (it also leaves the search results and the trash)
+    if (this.currentPath !== this.root || this.search || this.trashView) {
+      homeBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.navigateTo(this.root);
+      });
+    } else {
+      homeBtn.classList.add('current');
+      homeBtn.disabled = true;
+    }
+    
+    breadcrumb.appendChild(homeBtn);
+    
+    if (this.search || this.trashView) {
+      const separator = document.createElement('span');
+      separator.className = 'breadcrumb-separator';
+      separator.textContent = '/';
+      breadcrumb.appendChild(separator);
+      
+      const label = document.createElement('span');
+      label.className = 'breadcrumb-item current';
+      if (this.trashView) {
+        label.textContent = `Trash (${this.items.length})`;
       } else {
-        // Keep selected if clicking again without modifier
-        return;
+        const what = this.search.content ? 'Documents containing' : 'Search results for';
+        label.textContent = `${what} "${this.search.query}" (${this.items.length}${this.hasMoreItems() ? '+' : ''})`;
+      }
+      breadcrumb.appendChild(label);
+      return;
+    }
+    
+    // Only show path segments that are below the root
+    // Start from rootParts.length to skip root segments
+    let currentPath = this.root;
+    currentParts.slice(rootParts.length).forEach((part, index) => {
+      currentPath += '/' + part;
+      
+      // Capture the path for this specific segment
+      const segmentPath = currentPath;
+      
+      const separator = document.createElement('span');
+      separator.className = 'breadcrumb-separator';
+      separator.textContent = '/';
+      breadcrumb.appendChild(separator);
+      
+      const segment = document.createElement('button');
+      segment.className = 'breadcrumb-item';
+      segment.textContent = part;
+      segment.title = segmentPath;
+      segment.dataset.path = segmentPath;
+      
+      const relativeIndex = rootParts.length + index;
+      if (relativeIndex === currentParts.length - 1) {
+        segment.classList.add('current');
+        segment.disabled = true;
+      } else {
+        segment.addEventListener('click', (e) => {
+          e.preventDefault();
+          e.stopPropagation();
+          this.navigateTo(segmentPath);
+        });
+      }
+      
+      breadcrumb.appendChild(segment);
+    });
+  }
+  
+  hasMoreItems() {
+    return this.hasMore;
+  }
+  
+  updatePasteButton() {
+    const pasteBtn = this.shadowRoot.querySelector('.btn-paste');
+    const clipboardIndicator = this.shadowRoot.querySelector('.clipboard-indicator');
+    const clipboardText = this.shadowRoot.querySelector('.clipboard-text');
+    
+    // Handle both single item (backwards compatibility) and array of items
+    const clipboardItems = this.clipboard 
+      ? (Array.isArray(this.clipboard) ? this.clipboard : [this.clipboard])
+      : [];
+    
+    if (clipboardItems.length > 0) {
+      pasteBtn.disabled = !this.isAllowed(this.getPasteOperation()) || !this.canWriteCollection();
+      clipboardIndicator.style.display = 'flex';
+      const count = clipboardItems.length;
+      const action = this.clipboardMode === 'cut' ? 'Cut' : 'Copied';
+      if (count === 1) {
+        const name = clipboardItems[0].name || clipboardItems[0].path.split('/').pop();
+        clipboardText.textContent = `${action}: ${name}`;
+      } else {
+        clipboardText.textContent = `${action}: ${count} items`;
       }
     } else {
-      // Adding new selection
-      if (e && e.shiftKey && this.lastSelectedIndex !== null) {
-        // Shift+Click: Select range from last selected to current
-        const startIndex = Math.min(this.lastSelectedIndex, clickedIndex);
-        const endIndex = Math.max(this.lastSelectedIndex, clickedIndex);
-        
-        // Select all items in the range
-        for (let i = startIndex; i <= endIndex; i++) {
-          if (i >= 0 && i < this.items.length) {
-            const item = this.items[i];
-            const itemPath = item.path || item.name;
-            this.selectedItems.add(itemPath);
-          }
-        }
-        // Update last selected index to the clicked item
-        this.lastSelectedIndex = clickedIndex;
+      pasteBtn.disabled = true;
+      clipboardIndicator.style.display = 'none';
+    }
+  }
+  
+  // Upload Panel
+  handleUploadChange(entry, kind) {
+    if (kind === 'progress') {
+      this.updateUploadRow(entry);
+      this.updateUploadSummary();
+      return;
+    }
+    
+    if (entry && entry.status === 'done') {
+      this.uploadsCompleted = true;
+    }
+    
+    // Re-render at most once per frame, many entries change at once when a batch is added
+    if (!this.uploadRenderFrame) {
+      this.uploadRenderFrame = requestAnimationFrame(() => {
+        this.uploadRenderFrame = null;
+        this.renderUploadPanel();
+      });
+    }
+    
+    // Show the new files once the queue has run empty
+    if (this.uploadsCompleted && !this.uploadQueue.isActive()) {
+      this.uploadsCompleted = false;
+      this.refresh();
+    }
+  }
+  
+  renderUploadPanel() {
+    const panel = this.shadowRoot.querySelector('.upload-panel');
+    if (!panel) return;
+    
+    const entries = this.uploadQueue.entries;
+    panel.style.display = entries.length > 0 && !this.uploadPanelHidden ? '' : 'none';
+    panel.querySelector('.upload-list').innerHTML = entries.map(entry => this.renderUploadRow(entry)).join('');
+    this.updateUploadSummary();
+  }
+  
+  renderUploadRow(entry) {
+    const labels = { queued: 'Queued', uploading: 'Uploading', done: 'Done', failed: 'Failed', canceled: 'Canceled' };
+    let action = '';
+    if (entry.status === 'queued' || entry.status === 'uploading') {
+      action = '<button class="btn-upload-action" data-action="cancel" title="Cancel upload">×</button>';
+    } else if (entry.status === 'failed' || entry.status === 'canceled') {
+      action = '<button class="btn-upload-action" data-action="retry" title="Retry upload">Retry</button>';
+    }
+    
+    const name = entry.options.name || entry.file.name;
+    const target = `${this.getRelativePath(entry.collection)}/${name}`;
+    return `
+      <li class="upload-row upload-${entry.status}" data-id="${entry.id}">
+        <span class="upload-name" title="${escapeHtml(target)}">${escapeHtml(name)}</span>
+        <progress class="upload-progress" max="100" value="${this.getUploadPercent(entry)}"></progress>
+        <span class="upload-bytes">${formatSize(entry.loaded)} / ${formatSize(entry.total)}</span>
+        <span class="upload-status" title="${escapeHtml(entry.error || '')}">${escapeHtml(entry.error ? `${labels.failed}: ${entry.error}` : labels[entry.status])}</span>
+        ${action}
+      </li>
+    `;
+  }
+  
+  getUploadPercent(entry) {
+    if (entry.status === 'done') return 100;
+    return entry.total ? Math.round(entry.loaded / entry.total * 100) : 0;
+  }
+  
+  updateUploadRow(entry) {
+    const row = this.shadowRoot.querySelector(`.upload-row[data-id="${entry.id}"]`);
+    if (!row) return;
+    row.querySelector('.upload-progress').value = this.getUploadPercent(entry);
+    row.querySelector('.upload-bytes').textContent = `${formatSize(entry.loaded)} / ${formatSize(entry.total)}`;
+  }
+  
+  updateUploadSummary() {
+    const panel = this.shadowRoot.querySelector('.upload-panel');
+    if (!panel) return;
+    
+    const stats = this.uploadQueue.getStats();
+    let summary;
+    if (this.uploadQueue.isActive()) {
+      summary = `Uploading ${stats.done} of ${stats.total - stats.canceled} file(s), ${formatSize(stats.loaded)} of ${formatSize(stats.size)}`;
+    } else {
+      summary = `${stats.done} file(s) uploaded`;
+      if (stats.failed > 0) summary += `, ${stats.failed} failed`;
+      if (stats.canceled > 0) summary += `, ${stats.canceled} canceled`;
+    }
+    panel.querySelector('.upload-summary').textContent = summary;
+    panel.querySelector('.btn-upload-retry-all').style.display = stats.failed > 0 ? '' : 'none';
+  }
+  
+  handleUploadPanelClick(e) {
+    const button = e.target.closest('button');
+    if (!button) return;
+    
+    if (button.classList.contains('btn-upload-close')) {
+      this.uploadPanelHidden = true;
+      this.uploadQueue.clearFinished();
+    } else if (button.classList.contains('btn-upload-clear')) {
+      this.uploadQueue.clearFinished();
+    } else if (button.classList.contains('btn-upload-retry-all')) {
+      this.uploadQueue.entries
+        .filter(entry => entry.status === 'failed')
+        .forEach(entry => this.uploadQueue.retry(entry));
+    } else if (button.dataset.action) {
+      const id = Number(button.closest('.upload-row').dataset.id);
+      const entry = this.uploadQueue.entries.find(item => item.id === id);
+      if (!entry) return;
+      if (button.dataset.action === 'cancel') {
+        this.uploadQueue.cancel(entry);
       } else {
-        // No modifier keys or Ctrl/Cmd - clear existing selection
-        if (!e || (!e.shiftKey && !e.ctrlKey && !e.metaKey)) {
-          this.selectedItems.clear();
-        }
-        this.selectedItems.add(path);
-        // Update last selected index
-        this.lastSelectedIndex = clickedIndex;
+        this.uploadQueue.retry(entry);
+      }
+    }
+  }
+  
+  // Collection Tree
+  updateTreePanel() {
+    const panel = this.shadowRoot.querySelector('.tree-panel');
+    const button = this.shadowRoot.querySelector('.btn-tree');
+    if (!panel || !button) return;
+    
+    const visible = this.showTree && !this.treeCollapsed;
+    button.style.display = this.showTree ? '' : 'none';
+    button.classList.toggle('active', visible);
+    button.setAttribute('aria-expanded', String(visible));
+    panel.style.display = visible ? '' : 'none';
+    
+    if (visible && this.root) {
+      this.revealInTree(this.currentPath || this.root);
+    }
+  }
+  
+  getTreeNode(path) {
+    let node = this.treeNodes.get(path);
+    if (!node) {
+      node = { path, name: path.split('/').pop() || '/', children: null, expanded: false, loading: null };
+      this.treeNodes.set(path, node);
+    }
+    return node;
+  }
+  
+  loadTreeChildren(path) {
+    const node = this.getTreeNode(path);
+    if (!node.loading) {
+      node.loading = this.fetchTreeChildren(path)
+        .then(children => {
+          node.children = children;
+        })
+        .catch(error => {
+          console.error('Error loading collection tree:', error);
+          node.children = node.children || [];
+        })
+        .finally(() => {
+          node.loading = null;
+          this.renderTree();
+        });
+      this.renderTree();
+    }
+    return node.loading;
+  }
+  
+  async fetchTreeChildren(path) {
+    // Collections are listed first, so paging stops as soon as a page contains resources
+    const sortOptions = { sort: 'name', order: 'asc', foldersFirst: true };
+    const collections = new Map();
+    let start = 0;
+    while (true) {
+      const data = await this.fetchCollections(path, start, start + this.pageSize, sortOptions);
+      const rawItems = this.extractItems(data);
+      const items = this.normalizeItems(rawItems, path).filter(item => item.name !== '..');
+      const subCollections = items.filter(item => item.type === 'collection');
+      const before = collections.size;
+      subCollections.forEach(item => collections.set(item.path, item));
+      
+      // Also stop if the server ignored start/end and returned the same page again
+      if (rawItems.length < this.pageSize || subCollections.length < items.length || collections.size === before) {
+        break;
+      }
+      start += rawItems.length;
+    }
+    
+    return sortItems(Array.from(collections.values()), 'name', 'asc').map(item => {
+      const node = this.getTreeNode(item.path);
+      node.name = item.name;
+      node.item = item; // For its permissions
+      return item.path;
+    });
+  }
+  
+  async toggleTreeNode(path, expand = null) {
+    const node = this.getTreeNode(path);
+    node.expanded = expand === null ? !node.expanded : expand;
+    if (node.expanded && node.children === null) {
+      await this.loadTreeChildren(path);
+    } else {
+      this.renderTree();
+    }
+  }
+  
+  // Expand the ancestors of a collection so that it is visible and highlighted in the tree
+  async revealInTree(path) {
+    if (!this.showTree || !this.root) return;
+    if (!this.isWithinRoot(path)) return;
+    
+    const ancestors = [this.root];
+    let ancestor = this.root;
+    path.substring(this.root.length).split('/').filter(p => p).slice(0, -1).forEach(part => {
+      ancestor += '/' + part;
+      ancestors.push(ancestor);
+    });
+    
+    for (const ancestorPath of ancestors) {
+      const node = this.getTreeNode(ancestorPath);
+      node.expanded = true;
+      if (node.children === null) {
+        await this.loadTreeChildren(ancestorPath);
+      }
+    }
+    this.renderTree();
+  }
+  
+  // Reload the children of collections which have been modified, if already loaded
+  refreshTreeNodes(paths) {
+    if (!this.showTree) return;
+    new Set(paths).forEach(path => {
+      const node = this.treeNodes.get(path);
+      if (node && node.children !== null) {
+        this.loadTreeChildren(path);
+      }
+    });
+  }
+  
+  getVisibleTreePaths() {
+    const paths = [];
+    const walk = (path) => {
+      paths.push(path);
+      const node = this.treeNodes.get(path);
+      if (node && node.expanded && node.children) {
+        node.children.forEach(walk);
       }
+    };
+    walk(this.root);
+    return paths;
+  }
+  
+  renderTree() {
+    const panel = this.shadowRoot.querySelector('.tree-panel');
+    if (!panel || !this.showTree || !this.root) return;
+    
+    const hadFocus = panel.contains(this.shadowRoot.activeElement);
+    
+    const tree = document.createElement('ul');
+    tree.className = 'tree';
+    tree.setAttribute('role', 'tree');
+    tree.setAttribute('aria-label', 'Collections');
+    tree.appendChild(this.createTreeNode(this.getTreeNode(this.root), 1));
+    panel.replaceChildren(tree);
+    
+    // Roving tabindex: only one node of the tree is in the tab order
+    const visible = this.getVisibleTreePaths();
+    if (!visible.includes(this.treeFocusPath)) {
+      this.treeFocusPath = visible.includes(this.currentPath) ? this.currentPath : this.root;
+    }
+    this.focusTreeNode(this.treeFocusPath, hadFocus);
+  }
+  
+  createTreeNode(node, level) {
+    const isCurrent = node.path === this.currentPath && !this.search && !this.trashView;
+    const hasChildren = node.children === null || node.children.length > 0;
+    
+    const treeItem = document.createElement('li');
+    treeItem.className = 'tree-node';
+    treeItem.dataset.path = node.path;
+    treeItem.tabIndex = -1;
+    treeItem.setAttribute('role', 'treeitem');
+    treeItem.setAttribute('aria-level', level);
+    treeItem.setAttribute('aria-selected', String(isCurrent));
+    if (hasChildren) {
+      treeItem.setAttribute('aria-expanded', String(node.expanded));
+    }
+    if (node.loading) {
+      treeItem.setAttribute('aria-busy', 'true');
+    }
+    
+    const row = document.createElement('div');
+    row.className = 'tree-row';
+    row.classList.toggle('current', isCurrent);
+    row.style.paddingLeft = `${(level - 1) * 16 + 4}px`;
+    row.title = node.path;
+    row.innerHTML = `
+      <span class="tree-toggle">${hasChildren ? `<svg width="12" height="12" fill="currentColor"><use href="#icon-chevron-${node.expanded ? 'down' : 'right'}"></use></svg>` : ''}</span>
+      <svg width="16" height="16" fill="currentColor" class="tree-icon"><use href="#icon-folder"></use></svg>
+      <span class="tree-label">${escapeHtml(node.name)}</span>
+    `;
+    treeItem.appendChild(row);
+    
+    if (node.expanded && node.children && node.children.length > 0) {
+      const group = document.createElement('ul');
+      group.setAttribute('role', 'group');
+      node.children.forEach(childPath => {
+        group.appendChild(this.createTreeNode(this.getTreeNode(childPath), level + 1));
+      });
+      treeItem.appendChild(group);
+    }
+    
+    return treeItem;
+  }
+  
+  getTreeElement(path) {
+    const panel = this.shadowRoot.querySelector('.tree-panel');
+    if (!panel) return null;
+    return Array.from(panel.querySelectorAll('.tree-node')).find(el => el.dataset.path === path) || null;
+  }
+  
+  focusTreeNode(path, focus = true) {
+    if (!path) return;
+    this.treeFocusPath = path;
+    const panel = this.shadowRoot.querySelector('.tree-panel');
+    panel.querySelectorAll('.tree-node').forEach(el => {
+      el.tabIndex = el.dataset.path === path ? 0 : -1;
+    });
+    const element = this.getTreeElement(path);
+    if (element && focus) {
+      element.focus();
+    }
+  }
+  
+  handleTreeClick(e) {
+    // Keep clicks in the tree from clearing the selection of the grid
+    e.stopPropagation();
+    this.hideContextMenu();
+    
+    const treeItem = e.target.closest('.tree-node');
+    if (!treeItem) return;
+    
+    const path = treeItem.dataset.path;
+    this.focusTreeNode(path);
+    if (e.target.closest('.tree-toggle')) {
+      this.toggleTreeNode(path);
+    } else {
+      this.navigateTo(path);
+    }
+  }
+  
+  handleTreeKeyDown(e) {
+    const treeItem = e.target.closest('.tree-node');
+    if (!treeItem) return;
+    
+    const path = treeItem.dataset.path;
+    const node = this.getTreeNode(path);
+    const visible = this.getVisibleTreePaths();
+    const index = visible.indexOf(path);
+    let handled = true;
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focusTreeNode(visible[Math.min(index + 1, visible.length - 1)]);
+        break;
+      case 'ArrowUp':
+        this.focusTreeNode(visible[Math.max(index - 1, 0)]);
+        break;
+      case 'Home':
+        this.focusTreeNode(visible[0]);
+        break;
+      case 'End':
+        this.focusTreeNode(visible[visible.length - 1]);
+        break;
+      case 'ArrowRight':
+        // Expand a collapsed node, or move to the first child of an expanded one
+        if (!node.expanded) {
+          this.toggleTreeNode(path, true);
+        } else if (node.children && node.children.length > 0) {
+          this.focusTreeNode(node.children[0]);
+        }
+        break;
+      case 'ArrowLeft':
+        // Collapse an expanded node, or move to the parent
+        if (node.expanded && path !== this.root) {
+          this.toggleTreeNode(path, false);
+        } else if (path !== this.root) {
+          this.focusTreeNode(this.getParentPath(path));
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        this.navigateTo(path);
+        break;
+      case 'F10':
+        // Shift+F10 opens the context menu like the context menu key
+        if (e.shiftKey) {
+          this.openTreeContextMenuAt(treeItem);
+        } else {
+          handled = false;
+        }
+        break;
+      case 'ContextMenu':
+        this.openTreeContextMenuAt(treeItem);
+        break;
+      default:
+        // Cmd/Ctrl+V pastes into the focused collection instead of the current one
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'v' && this.clipboard && this.canModify()) {
+          this.performPaste(path);
+        } else {
+          handled = false;
+        }
+    }
+    
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+  
+  handleTreeContextMenu(e) {
+    const treeItem = e.target.closest('.tree-node');
+    if (!treeItem) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    this.focusTreeNode(treeItem.dataset.path);
+    this.showTreeContextMenu(e.clientX, e.clientY, treeItem.dataset.path);
+  }
+  
+  // Returns the tree node under a drag, if the dragged data can be dropped onto it
+  getTreeDropTarget(e) {
+    if (!this.canModify()) return null;
+    const types = Array.from(e.dataTransfer?.types || []);
+    if (!types.includes(DRAG_MIME) && !types.includes('Files')) return null;
+    return e.target.closest('.tree-node');
+  }
+  
+  handleTreeDragOver(e) {
+    const treeItem = this.getTreeDropTarget(e);
+    const isItemDrag = e.dataTransfer.types.includes(DRAG_MIME);
+    if (!treeItem || (isItemDrag && !this.canDropItems(treeItem.dataset.path))) {
+      this.setDropTarget(null);
+      return;
+    }
+    
+    e.preventDefault();
+    this.setDropTarget(treeItem.querySelector('.tree-row'));
+    e.dataTransfer.dropEffect = !isItemDrag || e.altKey || e.ctrlKey ? 'copy' : 'move';
+  }
+  
+  handleTreeDragLeave(e) {
+    const panel = this.shadowRoot.querySelector('.tree-panel');
+    if (!panel.contains(e.relatedTarget)) {
+      this.setDropTarget(null);
+    }
+  }
+  
+  handleTreeDrop(e) {
+    const treeItem = this.getTreeDropTarget(e);
+    this.setDropTarget(null);
+    if (!treeItem) return;
+    
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const targetCollection = treeItem.dataset.path;
+    const data = e.dataTransfer.getData(DRAG_MIME);
+    if (data) {
+      this.dropItems(JSON.parse(data), targetCollection, e.altKey || e.ctrlKey);
+      return;
+    }
+    
+    this.uploadDropped(e.dataTransfer, targetCollection);
+  }
+  
+  // Open the context menu of a tree node from the keyboard, next to the node
+  openTreeContextMenuAt(treeItem) {
+    const rect = treeItem.querySelector('.tree-row').getBoundingClientRect();
+    this.menuReturnFocus = treeItem;
+    this.showTreeContextMenu(rect.left + rect.width / 2, rect.bottom, treeItem.dataset.path);
+    this.focusMenuItem(0);
+  }
+  
+  showTreeContextMenu(x, y, path) {
+    const contextMenu = this.shadowRoot.querySelector('.context-menu');
+    contextMenu.style.display = 'block';
+    contextMenu.style.left = `${x}px`;
+    contextMenu.style.top = `${y}px`;
+    
+    contextMenu.innerHTML = `
+      <div class="context-menu-item" data-action="open">
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-folder"></use></svg>
+        Open
+      </div>
+      <div class="context-menu-item" data-action="paste" ${this.clipboard && this.isAllowed(this.getPasteOperation()) && this.canWriteTo(path) ? '' : 'style="display: none;"'}>
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-clipboard"></use></svg>
+        Paste Here
+      </div>
+    `;
+    
+    this.setContextMenuRoles(contextMenu);
+    contextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+      item.addEventListener('click', () => {
+        // Hidden first so that focus returns to the tree before navigating
+        this.hideContextMenu();
+        if (item.dataset.action === 'open') {
+          this.navigateTo(path);
+        } else if (item.dataset.action === 'paste') {
+          this.performPaste(path);
+        }
+      });
+    });
+    
+    // Close on outside click
+    setTimeout(() => {
+      document.addEventListener('click', () => this.hideContextMenu(), { once: true });
+    }, 0);
+  }
+  
+  // Event Handlers
+  handleClick(e) {
+    const gridItem = e.target.closest(ITEM_SELECTOR);
+    if (!gridItem) {
+      // Click outside - only clear if not holding modifier keys
+      if (!e.ctrlKey && !e.metaKey && !e.shiftKey) {
+        this.selectedItems.clear();
+        this.lastSelectedIndex = null;
+        this.updateSelectionState();
+      }
+      this.hideContextMenu();
+      return;
+    }
+    
+    const path = gridItem.dataset.path;
+    const item = this.items.find(i => (i.path || i.name) === path);
+    
+    if (!item) return;
+    
+    // Items in the trash can only be selected
+    if (this.trashView) {
+      this.toggleSelection(path, e);
+      return;
+    }
+    
+    // Handle folder navigation
+    if (item.type === 'collection' || gridItem.classList.contains('folder')) {
+      // If modifier keys are held (shift, ctrl, cmd), always select, never navigate
+      if (e.shiftKey || e.ctrlKey || e.metaKey) {
+        // Modifier keys held - always select
+        this.toggleSelection(path, e);
+      } else if (e.detail === 2 || (e.detail === 1 && e.target.closest('.item-icon'))) {
+        // Double click or click on icon - navigate
+        this.openItem(path);
+      } else {
+        // Single click - select (unless double-click)
+        if (e.detail === 1) {
+          this.toggleSelection(path, e);
+        }
+      }
+    } else {
+      // Double-click on file - choose it in the picker, otherwise open it with its
+      // default handler or in the preview pane
+      if (e.detail === 2) {
+        if (this.mode === 'picker' && acceptsItem(this.accept, item)) {
+          this.choose([path]);
+        } else {
+          this.openItem(path);
+        }
+        return;
+      }
+      // Single click - just select
+      this.toggleSelection(path, e);
+    }
+  }
+  
+  handleContextMenu(e) {
+    e.preventDefault();
+    const gridItem = e.target.closest(ITEM_SELECTOR);
+    
+    if (!gridItem) {
+      this.hideContextMenu();
+      return;
+    }
+    
+    const path = gridItem.dataset.path;
+    const item = this.items.find(i => (i.path || i.name) === path);
+    if (!item) return;
+    
+    // If the right-clicked item is not selected, select it (but don't clear other selections if modifier is held)
+    if (!this.selectedItems.has(path) && !e.ctrlKey && !e.metaKey && !e.shiftKey) {
+      this.selectedItems.clear();
+      this.lastSelectedIndex = null;
+      this.selectedItems.add(path);
+      // Update last selected index
+      const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
+      this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
+      this.updateSelectionState();
+    }
+    
+    this.showContextMenu(e.clientX, e.clientY, item);
+  }
+  
+  handleKeyDown(e) {
+    // Leave typing in the filter box or prompt input alone, and dialogs are modal
+    if (this.isEditableTarget(e) || this.shadowRoot.querySelector('dialog[open]')) {
+      return;
+    }
+    // The context menu and the questions of the footer handle their keys themselves
+    if (e.composedPath().some(element => element.classList?.contains('context-menu') || element.classList?.contains('message-footer'))) {
+      return;
+    }
+    
+    // Escape closes a context menu opened with the mouse
+    const contextMenu = this.shadowRoot.querySelector('.context-menu');
+    if (e.key === 'Escape' && contextMenu.style.display !== 'none') {
+      e.preventDefault();
+      this.hideContextMenu();
+      return;
+    }
+    
+    // Detect Mac platform (Cmd key) vs other platforms (Ctrl key)
+    const isMac = navigator.platform.toUpperCase().indexOf('MAC') >= 0 || 
+                  navigator.userAgent.toUpperCase().indexOf('MAC') >= 0;
+    
+    // While the preview is open, the arrow keys step through the files of the collection
+    if (this.preview && this.handlePreviewKeyDown(e)) {
+      return;
+    }
+    
+    // Backspace or Alt+Up - Go to the parent collection
+    if ((e.key === 'Backspace' && !e.ctrlKey && !e.metaKey && !e.altKey) || (e.key === 'ArrowUp' && e.altKey)) {
+      if (this.navigateUp()) {
+        e.preventDefault();
+      }
+      return;
+    }
+    
+    // Cmd/Ctrl+A - Select all items
+    if ((isMac ? e.metaKey : e.ctrlKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'a') {
+      e.preventDefault();
+      this.selectAll();
+      return;
+    }
+    
+    // Space - Show the selected file in the preview pane
+    if (e.key === ' ' && this.selectedItems.size === 1 && !this.trashView && e.composedPath()[0]?.tagName !== 'BUTTON') {
+      const path = Array.from(this.selectedItems)[0];
+      const item = this.items.find(i => (i.path || i.name) === path);
+      if (item && item.type === 'resource') {
+        e.preventDefault();
+        this.openPreview(path);
+        return;
+      }
+    }
+    
+    // Enter - Choose the selected items in the picker
+    if (e.key === 'Enter' && this.mode === 'picker' && e.composedPath()[0]?.tagName !== 'BUTTON') {
+      if (this.getChosenPaths().length > 0) {
+        e.preventDefault();
+        this.choose();
+      }
+      return;
+    }
+    
+    // Nothing below modifies the database
+    if (!this.canModify()) {
+      return;
+    }
+    
+    // Delete key (Delete on Windows/Linux, Delete or Cmd+Backspace on Mac) - check first
+    if (this.selectedItems.size > 0) {
+      if (e.key === 'Delete' || (isMac && e.metaKey && e.key === 'Backspace')) {
+        e.preventDefault();
+        this.performDelete();
+        return;
+      }
+    }
+    
+    // Nothing but deleting items permanently and undo/redo works in the trash
+    if (this.trashView && e.key.toLowerCase() !== 'z') {
+      return;
+    }
+    
+    // F2 - Rename - check before modifier checks
+    if (e.key === 'F2' && this.selectedItems.size === 1) {
+      e.preventDefault();
+      const path = Array.from(this.selectedItems)[0];
+      this.performRename(path);
+      return;
+    }
+    
+    // Check for correct modifier key (Cmd on Mac, Ctrl on others)
+    const hasModifier = isMac ? (e.metaKey && !e.ctrlKey) : (e.ctrlKey && !e.metaKey);
+    
+    // Cmd/Ctrl+Z - Undo, Cmd/Ctrl+Shift+Z - Redo (only if there is something to undo or redo)
+    if (hasModifier && !e.altKey && e.key.toLowerCase() === 'z') {
+      if (e.shiftKey ? this.history.peekRedo() : this.history.peekUndo()) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      }
+      return;
+    }
+    
+    if (!hasModifier || e.shiftKey || e.altKey) {
+      return; // Not our shortcut
+    }
+    
+    // Normalize key to lowercase for case-insensitive comparison
+    const key = e.key.toLowerCase();
+    
+    // Cmd/Ctrl+C - Copy (requires focus or selection)
+    if (key === 'c') {
+      if (this.selectedItems.size === 0 && !this.shadowRoot.contains(document.activeElement)) {
+        return;
+      }
+      e.preventDefault();
+      this.performCopy();
+      return;
+    }
+    
+    // Cmd/Ctrl+X - Cut (requires focus or selection)
+    if (key === 'x') {
+      if (this.selectedItems.size === 0 && !this.shadowRoot.contains(document.activeElement)) {
+        return;
+      }
+      e.preventDefault();
+      this.performCut();
+      return;
+    }
+    
+    // Cmd/Ctrl+V - Paste (works if we have clipboard, even without focus)
+    if (key === 'v') {
+      if (this.clipboard) {
+        e.preventDefault();
+        this.performPaste();
+        return;
+      }
+    }
+  }
+  
+  // Keyboard navigation of the grid and list: the arrow keys move the focus, in the grid by
+  // as many items as there are columns when moving up or down. The selection follows the
+  // focus, Shift extends it from where the range started, Ctrl/Cmd moves the focus alone.
+  handleGridKeyDown(e) {
+    const element = e.target.closest(ITEM_SELECTOR);
+    if (!element) return;
+    
+    // While the preview is open, the arrow keys step through the files of the collection
+    if (this.preview && this.handlePreviewKeyDown(e)) {
+      e.stopPropagation();
+      return;
+    }
+    
+    const index = Number(element.dataset.index);
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    const asList = gridContainer.classList.contains('list-view');
+    const { columns, rowHeight } = this.getVirtualMetrics(gridContainer, asList);
+    const last = this.visibleItems.length - 1;
+    const modifier = e.ctrlKey || e.metaKey;
+    let target = null;
+    // Modifiers deciding how the selection follows the focus, typing selects like a click
+    let selectEvent = e;
+    
+    if (this.isTypeAheadKey(e)) {
+      target = this.findTypeAhead(e.key, index);
+      selectEvent = null;
+    } else {
+      if (e.altKey) return;
+      switch (e.key) {
+        case 'ArrowRight':
+          if (asList) return;
+          target = Math.min(index + 1, last);
+          break;
+        case 'ArrowLeft':
+          if (asList) return;
+          target = Math.max(index - 1, 0);
+          break;
+        case 'ArrowDown':
+          target = Math.min(index + columns, last);
+          break;
+        case 'ArrowUp':
+          target = Math.max(index - columns, 0);
+          break;
+        case 'PageDown':
+        case 'PageUp': {
+          const rows = Math.max(1, Math.floor(gridContainer.clientHeight / rowHeight));
+          const offset = rows * columns * (e.key === 'PageDown' ? 1 : -1);
+          target = Math.min(Math.max(index + offset, 0), last);
+          break;
+        }
+        case 'Home':
+          target = 0;
+          break;
+        case 'End':
+          target = last;
+          break;
+        case 'Enter':
+          this.activateItem(index);
+          break;
+        case ' ':
+          // Ctrl/Cmd+Space toggles the selection of the focused item, Space alone previews
+          if (!modifier) return;
+          this.toggleSelection(element.dataset.path, { ctrlKey: true });
+          break;
+        case 'F10':
+          if (!e.shiftKey) return;
+          this.openContextMenuAt(element);
+          break;
+        case 'ContextMenu':
+          this.openContextMenuAt(element);
+          break;
+        default:
+          return;
+      }
+    }
+    
+    e.preventDefault();
+    e.stopPropagation();
+    if (target !== null && target >= 0) {
+      this.moveFocus(target, selectEvent);
+    }
+  }
+  
+  // Items focused by clicking or tabbing become the tab stop of the grid
+  handleGridFocusIn(e) {
+    const element = e.target.closest(ITEM_SELECTOR);
+    if (!element || element.dataset.path === this.focusPath) return;
+    this.focusPath = element.dataset.path;
+    this.updateItemFocus();
+  }
+  
+  getFocusIndex() {
+    const index = this.visibleItems.findIndex(item => (item.path || item.name) === this.focusPath);
+    return Math.max(index, 0);
+  }
+  
+  // Focus the item at index, rendering it first if it is outside the window
+  focusItem(index) {
+    const item = this.visibleItems[index];
+    if (!item) return;
+    this.focusPath = item.path || item.name;
+    this.scrollItemIntoView(index);
+    this.updateItemFocus(true);
+  }
+  
+  // Roving tabindex: only one item is in the tab order, the focused one if it is rendered
+  updateItemFocus(focus = false) {
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    const elements = Array.from(gridContainer.querySelectorAll(ITEM_SELECTOR));
+    if (elements.length === 0) return;
+    const current = elements.find(element => element.dataset.path === this.focusPath);
+    elements.forEach(element => {
+      element.tabIndex = element === (current || elements[0]) ? 0 : -1;
+    });
+    if (focus && current) {
+      current.focus();
+    }
+  }
+  
+  // Move the focus to the item at index, selecting it as the key pressed asks for
+  moveFocus(index, e = null) {
+    const item = this.visibleItems[index];
+    if (!item) return;
+    const path = item.path || item.name;
+    if (e && e.shiftKey && (this.mode !== 'picker' || this.multiple)) {
+      this.selectRangeTo(index);
+    } else if (!e || !(e.ctrlKey || e.metaKey)) {
+      this.rangeAnchor = path;
+      this.selectedItems.clear();
+      if (this.mode !== 'picker' || acceptsItem(this.accept, item)) {
+        this.selectedItems.add(path);
+      }
+      this.lastSelectedIndex = index;
+      this.updateSelectionState();
+    }
+    this.focusItem(index);
+  }
+  
+  // Select the items between the start of the range and index, replacing the selection
+  selectRangeTo(index) {
+    const paths = this.visibleItems.map(item => item.path || item.name);
+    let anchor = paths.indexOf(this.rangeAnchor);
+    if (anchor < 0) {
+      anchor = this.lastSelectedIndex ?? this.getFocusIndex();
+      this.rangeAnchor = paths[anchor];
+    }
+    this.selectedItems.clear();
+    for (let i = Math.min(anchor, index); i <= Math.max(anchor, index); i++) {
+      if (this.mode !== 'picker' || acceptsItem(this.accept, this.visibleItems[i])) {
+        this.selectedItems.add(paths[i]);
+      }
+    }
+    this.lastSelectedIndex = index;
+    this.updateSelectionState();
+  }
+  
+  // Select all items except the parent entry, in the picker only those which may be chosen
+  selectAll() {
+    if (this.mode === 'picker' && !this.multiple) return;
+    this.selectedItems.clear();
+    this.visibleItems
+      .filter(item => item.name !== '..' && (this.mode !== 'picker' || acceptsItem(this.accept, item)))
+      .forEach(item => this.selectedItems.add(item.path || item.name));
+    this.lastSelectedIndex = this.visibleItems.length > 0 ? this.visibleItems.length - 1 : null;
+    this.updateSelectionState();
+    this.announce(`${this.selectedItems.size} item(s) selected`);
+  }
+  
+  // Enter chooses the focused item in the picker if it may be chosen, otherwise opens it
+  activateItem(index) {
+    const item = this.visibleItems[index];
+    if (!item || this.trashView) return;
+    const path = item.path || item.name;
+    if (this.mode === 'picker' && item.name !== '..' && acceptsItem(this.accept, item)) {
+      this.choose(this.selectedItems.has(path) ? this.getChosenPaths() : [path]);
+      return;
+    }
+    this.openItem(path);
+  }
+  
+  // Go to the parent collection, but not above the root. Returns false if there is none.
+  navigateUp() {
+    if (this.search || this.trashView || this.currentPath === this.root || !this.isWithinRoot(this.currentPath)) {
+      return false;
+    }
+    // The collection left is focused in its parent
+    this.focusPath = this.currentPath;
+    this.navigateTo(this.getParentPath(this.currentPath));
+    return true;
+  }
+  
+  // Printable keys search by name, Space only continues a search typed in quick succession
+  isTypeAheadKey(e) {
+    if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return false;
+    return e.key !== ' ' || (!!this.typeAhead.text && Date.now() - this.typeAhead.time < TYPE_AHEAD_TIMEOUT);
+  }
+  
+  // Index of the next item whose name starts with what was typed, or -1. Typing the same
+  // letter again moves on to the next item starting with it.
+  findTypeAhead(key, index) {
+    const now = Date.now();
+    const text = (now - this.typeAhead.time < TYPE_AHEAD_TIMEOUT ? this.typeAhead.text : '') + key.toLowerCase();
+    this.typeAhead = { text, time: now };
+    
+    const repeated = Array.from(text).every(c => c === text[0]);
+    const prefix = repeated ? text[0] : text;
+    const start = repeated ? index + 1 : index;
+    const count = this.visibleItems.length;
+    for (let offset = 0; offset < count; offset++) {
+      const i = (start + offset) % count;
+      const item = this.visibleItems[i];
+      if (item.name !== '..' && this.getDisplayName(item).toLowerCase().startsWith(prefix)) {
+        return i;
+      }
+    }
+    return -1;
+  }
+  
+  handlePaste(e) {
+    // Only handle if we have internal clipboard
+    if (!this.clipboard || this.isEditableTarget(e) || !this.canModify()) {
+      return;
+    }
+    
+    // Allow paste if file manager is focused or has selection, or if clipboard exists
+    // (this allows paste even when clicking elsewhere after copying)
+    if (!this.shadowRoot.contains(document.activeElement) && this.selectedItems.size === 0) {
+      // Still allow if we have clipboard - user might have clicked elsewhere
+      // but wants to paste into the file manager
+    }
+    
+    e.preventDefault();
+    this.performPaste();
+  }
+  
+  isEditableTarget(e) {
+    // composedPath() reveals the actual target inside the shadow DOM
+    const target = e.composedPath()[0];
+    return !!target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+  }
+  
+  handleFileSelect(e) {
+    const files = Array.from(e.target.files);
+    if (files.length === 0) return;
+    
+    this.uploadFiles(files);
+    e.target.value = ''; // Reset input
+  }
+  
+  // Drag and drop handlers
+  handleDragStart(e) {
+    const element = e.target.closest(ITEM_SELECTOR);
+    if (!element || !element.draggable) return;
+    
+    // Dragging an item which is not selected drags only that item
+    const path = element.dataset.path;
+    if (!this.selectedItems.has(path)) {
+      this.selectedItems.clear();
+      this.selectedItems.add(path);
+      const index = this.visibleItems.findIndex(i => (i.path || i.name) === path);
+      this.lastSelectedIndex = index >= 0 ? index : null;
+      this.updateSelectionState();
+    }
+    
+    // The parent entry cannot be moved
+    const paths = Array.from(this.selectedItems).filter(selectedPath => {
+      const item = this.items.find(i => (i.path || i.name) === selectedPath);
+      return item && item.name !== '..';
+    });
+    if (paths.length === 0) {
+      e.preventDefault();
+      return;
+    }
+    
+    this.dragPaths = paths;
+    e.dataTransfer.effectAllowed = 'copyMove';
+    e.dataTransfer.setData(DRAG_MIME, JSON.stringify(paths));
+    e.dataTransfer.setData('text/plain', paths.join('\n'));
+  }
+  
+  handleDragEnd() {
+    this.dragPaths = null;
+    this.setDropTarget(null);
+  }
+  
+  // Returns the collection tile, list row or breadcrumb segment under a drag
+  getDropTarget(e) {
+    const element = e.target.closest(`${ITEM_SELECTOR}, .breadcrumb-item`);
+    if (!element || !element.dataset.path || !this.canModify()) return null;
+    // Collections in the trash cannot be dropped into
+    if (element.matches(ITEM_SELECTOR) && (this.trashView || !element.classList.contains('folder'))) return null;
+    return element;
+  }
+  
+  setDropTarget(element) {
+    this.shadowRoot.querySelectorAll('.drop-target').forEach(el => {
+      if (el !== element) el.classList.remove('drop-target');
+    });
+    if (element) {
+      element.classList.add('drop-target');
+    }
+  }
+  
+  // Whether the items being dragged may be dropped onto a collection
+  canDropItems(targetCollection) {
+    // Items dragged from another file manager are only checked on drop
+    if (!this.dragPaths) return true;
+    return !this.findInvalidTarget(this.dragPaths, targetCollection) &&
+      this.dragPaths.some(path => this.getParentPath(path) !== targetCollection);
+  }
+  
+  handleDragEnter(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    // Only highlight the content area if dragging files
+    if (e.dataTransfer.types.includes('Files') && this.canModify()) {
+      const content = this.shadowRoot.querySelector('.content');
+      if (content) {
+        content.classList.add('drag-over');
+      }
+    }
+  }
+  
+  handleDragOver(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const target = this.getDropTarget(e);
+    const isContent = e.currentTarget.classList.contains('content');
+    
+    if (e.dataTransfer.types.includes(DRAG_MIME)) {
+      // Items can only be dropped onto another collection, Alt/Ctrl copies instead of moving
+      const allowed = target && this.canDropItems(target.dataset.path);
+      this.setDropTarget(allowed ? target : null);
+      e.dataTransfer.dropEffect = allowed ? (e.altKey || e.ctrlKey ? 'copy' : 'move') : 'none';
+    } else if (e.dataTransfer.types.includes('Files')) {
+      // Files dropped onto a collection are uploaded into it, otherwise into the current collection
+      this.setDropTarget(target);
+      e.dataTransfer.dropEffect = target || (isContent && !this.trashView && this.canModify()) ? 'copy' : 'none';
+    }
+  }
+  
+  handleDragLeave(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const target = this.getDropTarget(e);
+    if (target && !target.contains(e.relatedTarget)) {
+      target.classList.remove('drop-target');
+    }
+    
+    // Only remove class if we're leaving the content area
+    const content = this.shadowRoot.querySelector('.content');
+    if (content && !content.contains(e.relatedTarget)) {
+      content.classList.remove('drag-over');
+    }
+  }
+  
+  handleDrop(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    
+    const content = this.shadowRoot.querySelector('.content');
+    if (content) {
+      content.classList.remove('drag-over');
+    }
+    
+    const target = this.getDropTarget(e);
+    this.setDropTarget(null);
+    this.dragPaths = null;
+    
+    // Items dragged within the file manager
+    const data = e.dataTransfer.getData(DRAG_MIME);
+    if (data) {
+      if (target) {
+        this.dropItems(JSON.parse(data), target.dataset.path, e.altKey || e.ctrlKey);
+      }
+      return;
+    }
+    
+    if (target) {
+      this.uploadDropped(e.dataTransfer, target.dataset.path);
+    } else if (e.currentTarget === content && !this.trashView && this.canModify()) {
+      this.uploadDropped(e.dataTransfer, this.currentPath);
+    }
+  }
+  
+  // Upload dropped files and folders, keeping the folder structure
+  async uploadDropped(dataTransfer, targetCollection) {
+    let dropped;
+    try {
+      dropped = await readDataTransfer(dataTransfer);
+    } catch (error) {
+      console.error('Error reading dropped folders:', error);
+      this.showError(`Failed to read dropped folder(s): ${error.message}`);
+      return;
+    }
+    
+    if (dropped.files.length === 0 && dropped.directories.length === 0) return;
+    await this.uploadFiles(dropped.files, targetCollection, dropped.directories);
+  }
+  
+  // Open with
+  // Handlers applying to an item: those registered by the host page, then eXide
+  getItemOpenHandlers(item) {
+    const handlers = normalizeOpenHandlers(this.openHandlers);
+    // eXide is only known to backends installed next to it
+    if (this.exide && typeof this.adapter.getExideUrl === 'function') {
+      handlers.push(...normalizeOpenHandlers([{
+        id: 'exide',
+        label: 'eXide',
+        types: EDITABLE_TYPES,
+        open: (file) => this.openInExide(file.path)
+      }]));
+    }
+    return handlers.filter(handler => matchesOpenHandler(handler, item));
+  }
+  
+  // Tell the host page that an item is about to be opened, returns false if it took care of it
+  dispatchOpenEvent(item, handler) {
+    return this.emit('jinks-open', { path: item.path || item.name, item, handler: handler ? handler.id : null }, true);
+  }
+  
+  openWith(handler, item) {
+    if (!this.dispatchOpenEvent(item, handler)) return;
+    if (typeof handler.open === 'function') {
+      handler.open(item, this);
+    } else {
+      window.open(expandUrl(handler.url, item, this.root), handler.target);
+    }
+    this.emit('item-open', { path: item.path || item.name, item, handler: handler.id });
+  }
+  
+  // Double-clicked collections are entered, files open with the handler marked as default,
+  // otherwise in the preview pane
+  openItem(path) {
+    const item = this.items.find(i => (i.path || i.name) === path);
+    if (!item) return;
+    if (item.type === 'collection') {
+      this.emit('item-open', { path, item, handler: null });
+      this.navigateTo(path);
+      return;
+    }
+    const handler = this.getItemOpenHandlers(item).find(h => h.default);
+    if (handler) {
+      this.openWith(handler, item);
+    } else if (this.dispatchOpenEvent(item, null)) {
+      this.openPreview(path);
+      this.emit('item-open', { path, item, handler: null });
+    }
+  }
+  
+  // Operations
+  openInExide(path) {
+    const exide = window.open('', 'eXide');
+    if (exide && !exide.closed) {
+      // check if eXide is really available or it's an empty page
+      const app = exide.eXide;
+      if (app) {
+        // eXide is there
+        exide.eXide.app.findDocument(path);
+        exide.focus();
+      } else {
+        window.eXide_onload = function () {
+          exide.eXide.app.findDocument(path);
+        };
+        exide.location = this.adapter.getExideUrl();
+      }
+    }
+  }
+  
+  toggleSelection(path, e = null) {
+    // The picker only selects what may be chosen, one item unless multiple is set
+    if (this.mode === 'picker') {
+      const item = this.items.find(i => (i.path || i.name) === path);
+      if (!item || !acceptsItem(this.accept, item)) return;
+      if (!this.multiple) e = null;
+    }
+    
+    // Find the index of the clicked item
+    const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
+    
+    if (this.selectedItems.has(path)) {
+      if (e && (e.ctrlKey || e.metaKey)) {
+        // Allow deselecting with Ctrl/Cmd
+        this.selectedItems.delete(path);
+        // Update last selected index if this was the last selected item
+        if (this.lastSelectedIndex === clickedIndex) {
+          // Find the last selected item index
+          const selectedIndices = this.visibleItems
+            .map((item, idx) => this.selectedItems.has(item.path || item.name) ? idx : -1)
+            .filter(idx => idx !== -1);
+          this.lastSelectedIndex = selectedIndices.length > 0 ? selectedIndices[selectedIndices.length - 1] : null;
+        }
+      } else {
+        // Keep selected if clicking again without modifier
+        return;
+      }
+    } else {
+      // Adding new selection
+      if (e && e.shiftKey && this.lastSelectedIndex !== null) {
+        // Shift+Click: Select range from last selected to current
+        const startIndex = Math.min(this.lastSelectedIndex, clickedIndex);
+        const endIndex = Math.max(this.lastSelectedIndex, clickedIndex);
+        
+        // Select all items in the range except the parent entry, in the picker only those which may be chosen
+        for (let i = startIndex; i <= endIndex; i++) {
+          if (i >= 0 && i < this.visibleItems.length) {
+            const item = this.visibleItems[i];
+            if (item.name === '..' || (this.mode === 'picker' && !acceptsItem(this.accept, item))) continue;
+            const itemPath = item.path || item.name;
+            this.selectedItems.add(itemPath);
+          }
+        }
+        // Update last selected index to the clicked item
+        this.lastSelectedIndex = clickedIndex;
+      } else {
+        // No modifier keys or Ctrl/Cmd - clear existing selection
+        if (!e || (!e.shiftKey && !e.ctrlKey && !e.metaKey)) {
+          this.selectedItems.clear();
+        }
+        this.selectedItems.add(path);
+        // Shift+arrow keys extend the selection from here
+        this.rangeAnchor = path;
+        // Update last selected index
+        this.lastSelectedIndex = clickedIndex;
+      }
+    }
+    this.updateSelectionState();
+  }
+  
+  async navigateTo(path) {
+    if (!(await this.confirmDiscardChanges())) return;
+    
+    // Normalize paths for comparison (remove trailing slashes, ensure leading slash)
+    const normalizePath = (p) => {
+      if (!p) return '';
+      p = p.trim();
+      if (!p.startsWith('/')) p = '/' + p;
+      // Don't remove trailing slash for root paths like '/db'
+      if (p.length > 1 && p.endsWith('/')) {
+        p = p.slice(0, -1);
+      }
+      return p;
+    };
+    
+    const normalizedPath = normalizePath(path);
+    const normalizedCurrent = normalizePath(this.currentPath);
+    const normalizedRoot = normalizePath(this.root);
+    
+    // Ensure the path is within the configured root
+    if (normalizedPath && !this.isWithinRoot(normalizedPath)) {
+      console.warn('Navigation blocked: path is outside configured root', {
+        path: normalizedPath,
+        root: normalizedRoot
+      });
+      this.showError('Cannot navigate outside the configured root collection');
+      return;
+    }
+    
+    if (!path || (normalizedPath === normalizedCurrent && !this.search && !this.trashView)) {
+      return;
+    }
+    
+    if (await this.loadCollection(normalizedPath)) {
+      this.emit('navigate', { path: normalizedPath });
+    }
+  }
+  
+  async uploadFiles(files, targetCollection = this.currentPath, directories = []) {
+    const uploadPath = targetCollection;
+    if (!this.ensureAllowed('upload', [], uploadPath === this.currentPath)) return [];
+    
+    // Files of an uploaded folder carry their path relative to the target collection,
+    // either as { file, path } or as webkitRelativePath when chosen with the folder input
+    const entries = files.map(file => {
+      const { path } = file.file ? file : { path: file.webkitRelativePath || file.name };
+      const index = path.lastIndexOf('/');
+      return {
+        file: file.file || file,
+        path,
+        collection: index < 0 ? uploadPath : `${uploadPath}/${path.substring(0, index)}`,
+        options: {}
+      };
+    });
+    
+    // Ask what to do with folders and files which exist already
+    let resolved;
+    try {
+      resolved = await this.resolveUploadConflicts(entries, uploadPath, directories);
+    } catch (error) {
+      console.error('Upload error:', error);
+      return [];
+    }
+    if (!resolved) return [];
+    const { decisions, exists } = resolved;
+    const accepted = entries.filter((entry, i) => {
+      const decision = decisions[i];
+      if (decision.action === 'rename') entry.options.name = decision.name;
+      if (decision.action === 'overwrite') entry.options.overwrite = true;
+      return decision.action !== 'skip';
+    });
+    
+    // Recreate the folder structure first, parents before their children. Folders of skipped
+    // files are left out, and only those which don't exist yet are created
+    const collections = getUploadCollections(accepted, resolved.directories)
+      .filter(collection => !exists(`${uploadPath}/${collection}`));
+    try {
+      for (const collection of collections) {
+        const index = collection.lastIndexOf('/');
+        const parent = index < 0 ? uploadPath : `${uploadPath}/${collection.substring(0, index)}`;
+        await this.ensureCollection(parent, collection.substring(index + 1));
+      }
+    } catch (error) {
+      console.error('Upload error:', error);
+      // Error already shown in createCollection method
+      return [];
+    }
+    
+    if (collections.length > 0) {
+      this.refreshTreeNodes([uploadPath]);
+    }
+    if (accepted.length === 0) {
+      await this.refresh();
+      if (collections.length > 0) {
+        this.showMessage(`Created ${collections.length} folder(s)`);
+      }
+      return [];
+    }
+    
+    const queued = this.uploadQueue.add(accepted.map(({ file, collection, options }) => ({ file, collection, options })));
+    this.uploadPanelHidden = false;
+    
+    const settled = await this.uploadQueue.whenSettled(queued);
+    const uploaded = settled.filter(entry => entry.status === 'done').length;
+    const failed = settled.filter(entry => entry.status === 'failed').length;
+    if (failed > 0) {
+      this.showError(`Uploaded ${uploaded} of ${settled.length} file(s), ${failed} failed`);
+    } else if (uploaded > 0) {
+      this.showMessage(`Successfully uploaded ${uploaded} file(s)`);
+    }
+    this.emit('upload-complete', {
+      collection: uploadPath,
+      files: settled.map(entry => ({
+        path: `${entry.collection}/${entry.options.name || entry.file.name}`,
+        status: entry.status,
+        error: entry.error
+      })),
+      uploaded,
+      failed
+    });
+    return settled;
+  }
+  
+  // Ask what to do with the folders and files of an upload which exist already. Folders at the top
+  // can be merged with the existing ones, uploaded under another name or skipped; the paths of the
+  // entries and directories are changed accordingly. Returns { decisions, directories, exists } with
+  // a decision for each entry, the directories still to upload and a function telling whether a
+  // collection exists, or null if canceled
+  async resolveUploadConflicts(entries, uploadPath, directories = []) {
+    // Sub-collections of an uploaded folder only need to be checked if they exist already
+    const listings = new Map();
+    const getNames = async (collection) => {
+      if (!listings.has(collection)) {
+        let names = new Set();
+        if (collection === uploadPath || (await getNames(this.getParentPath(collection))).has(collection.split('/').pop())) {
+          names = await this.fetchItemNames(collection);
+        }
+        listings.set(collection, names);
+      }
+      return listings.get(collection);
+    };
+    
+    // Merging a folder is what resolveConflicts calls overwriting. It adds the names written
+    // to the set, so the listing itself is left alone
+    const folders = Array.from(new Set([
+      ...directories,
+      ...entries.filter(entry => entry.path.includes('/')).map(entry => entry.path)
+    ].map(path => path.split('/')[0])));
+    const taken = new Set(await getNames(uploadPath));
+    const folderDecisions = await resolveConflicts(
+      folders.map(name => ({ name, existing: taken })),
+      (name, remaining) => this.showFolderConflictDialog(name, remaining)
+    );
+    if (!folderDecisions) return null;
+    
+    const folderDecision = (path) => folderDecisions[folders.indexOf(path.split('/')[0])];
+    const skipped = (path) => folderDecision(path).action === 'skip';
+    const renamed = (path) => [folderDecision(path).name, ...path.split('/').slice(1)].join('/');
+    const uploaded = entries.filter(entry => !entry.path.includes('/') || !skipped(entry.path));
+    uploaded.filter(entry => entry.path.includes('/')).forEach(entry => {
+      entry.path = renamed(entry.path);
+      entry.collection = `${uploadPath}/${entry.path.substring(0, entry.path.lastIndexOf('/'))}`;
+    });
+    const items = [];
+    for (const entry of uploaded) {
+      items.push({ name: entry.path.split('/').pop(), existing: await getNames(entry.collection) });
+    }
+    const fileDecisions = await resolveConflicts(items, (name, remaining) => this.showConflictDialog(name, remaining));
+    if (!fileDecisions) return null;
+    
+    return {
+      decisions: entries.map(entry => {
+        const index = uploaded.indexOf(entry);
+        return index < 0 ? { action: 'skip', name: entry.path.split('/').pop() } : fileDecisions[index];
+      }),
+      directories: directories.filter(path => !skipped(path)).map(renamed),
+      exists: (collection) => !!listings.get(this.getParentPath(collection))?.has(collection.split('/').pop())
+    };
+  }
+  
+  // Ask how to handle items which already exist in the target collection of a copy or move.
+  // Returns the sources to transfer, the paths of the items they replace and the options for the
+  // request, or null if canceled
+  async resolveTransferConflicts(sourcePaths, targetCollection, targetNames = {}) {
+    const existing = await this.fetchItemNames(targetCollection);
+    const decisions = await resolveConflicts(
+      sourcePaths.map(path => ({ name: targetNames[path] || path.split('/').pop(), existing })),
+      (name, remaining) => this.showConflictDialog(name, remaining)
+    );
+    if (!decisions) return null;
+    
+    const sources = [];
+    const names = {};
+    const replaced = [];
+    let overwrite = false;
+    decisions.forEach((decision, i) => {
+      if (decision.action === 'skip') return;
+      sources.push(sourcePaths[i]);
+      if (decision.action === 'overwrite') {
+        overwrite = true;
+        replaced.push(`${targetCollection}/${decision.name}`);
+      }
+      if (decision.name !== sourcePaths[i].split('/').pop()) names[sourcePaths[i]] = decision.name;
+    });
+    return { sources, replaced, options: { overwrite, names } };
+  }
+  
+  async showConflictDialog(name, remaining) {
+    const result = await this.showChoice(
+      `"${name}" already exists in the target collection`,
+      [
+        { value: 'overwrite', label: 'Overwrite' },
+        { value: 'skip', label: 'Skip' },
+        { value: 'rename', label: 'Keep Both' },
+        { value: 'cancel', label: 'Cancel' }
+      ],
+      'info',
+      remaining > 1 ? `Apply to all ${remaining} conflicts` : null
+    );
+    return { action: result.value, applyToAll: result.checked };
+  }
+  
+  async showFolderConflictDialog(name, remaining) {
+    const result = await this.showChoice(
+      `Folder "${name}" already exists in the target collection`,
+      [
+        { value: 'overwrite', label: 'Merge' },
+        { value: 'skip', label: 'Skip' },
+        { value: 'rename', label: 'Keep Both' },
+        { value: 'cancel', label: 'Cancel' }
+      ],
+      'info',
+      remaining > 1 ? `Apply to all ${remaining} folders` : null
+    );
+    return { action: result.value, applyToAll: result.checked };
+  }
+  
+  performCopy() {
+    if (this.selectedItems.size === 0 || !this.ensureAllowed('copy')) return;
+    
+    const selectedPaths = Array.from(this.selectedItems);
+    const selectedItems = selectedPaths
+      .map(path => this.items.find(i => (i.path || i.name) === path))
+      .filter(item => item != null);
+    
+    if (selectedItems.length === 0) return;
+    
+    // Store all selected items in clipboard
+    this.clipboard = selectedItems.map(item => ({
+      path: item.path || item.name,
+      type: item.type || (item.name?.endsWith('/') ? 'collection' : 'resource'),
+      name: item.name || (item.path || item.name).split('/').pop()
+    }));
+    this.clipboardMode = 'copy';
+    
+    this.updatePasteButton();
+    const count = this.clipboard.length;
+    const names = this.clipboard.map(c => c.name).join(', ');
+    this.showMessage(`Copied ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+  }
+  
+  performCut() {
+    if (this.selectedItems.size === 0) return;
+    
+    const selectedPaths = Array.from(this.selectedItems);
+    const selectedItems = selectedPaths
+      .map(path => this.items.find(i => (i.path || i.name) === path))
+      .filter(item => item != null);
+    
+    if (selectedItems.length === 0 || !this.ensureAllowed('move', selectedItems)) return;
+    
+    // Store all selected items in clipboard
+    this.clipboard = selectedItems.map(item => ({
+      path: item.path || item.name,
+      type: item.type || (item.name?.endsWith('/') ? 'collection' : 'resource'),
+      name: item.name || (item.path || item.name).split('/').pop()
+    }));
+    this.clipboardMode = 'cut';
+    
+    this.updatePasteButton();
+    const count = this.clipboard.length;
+    const names = this.clipboard.map(c => c.name).join(', ');
+    this.showMessage(`Cut ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+  }
+  
+  // Whether a path is the root or below it: /db/apps/testing is not within /db/apps/test
+  isWithinRoot(path) {
+    const root = this.root.replace(/\/+$/, '');
+    return path === root || path.startsWith(root + '/');
+  }
+  
+  getRelativePath(fullPath) {
+    // Calculate relative path from root
+    let relativePath = fullPath;
+    
+    if (this.root && this.root.trim()) {
+      const normalizedRoot = this.root.trim();
+      const normalizedPath = fullPath.trim();
+      
+      // If the path starts with the root, remove it to get relative path
+      if (normalizedPath.startsWith(normalizedRoot)) {
+        relativePath = normalizedPath.substring(normalizedRoot.length);
+        // Remove leading slash if present
+        if (relativePath.startsWith('/')) {
+          relativePath = relativePath.substring(1);
+        }
+      }
+    }
+    
+    return relativePath;
+  }
+  
+  getParentPath(fullPath) {
+    const parts = fullPath.split('/').filter(p => p);
+    parts.pop();
+    return '/' + parts.join('/');
+  }
+  
+  async copyPathToClipboard(fullPath) {
+    const relativePath = this.getRelativePath(fullPath);
+    
+    try {
+      await navigator.clipboard.writeText(relativePath);
+      this.showMessage(`Copied path to clipboard: ${relativePath}`);
+    } catch (error) {
+      console.error('Failed to copy to clipboard:', error);
+      // Fallback for older browsers
+      const textArea = document.createElement('textarea');
+      textArea.value = relativePath;
+      textArea.style.position = 'fixed';
+      textArea.style.left = '-999999px';
+      document.body.appendChild(textArea);
+      textArea.select();
+      try {
+        document.execCommand('copy');
+        this.showMessage(`Copied path to clipboard: ${relativePath}`);
+      } catch (err) {
+        this.showError(`Failed to copy path: ${err.message}`);
+      } finally {
+        document.body.removeChild(textArea);
+      }
+    }
+  }
+  
+  async performPaste(targetCollection = this.currentPath) {
+    if (!this.clipboard || this.clipboard.length === 0) return;
+    const target = targetCollection === this.currentPath ? null : this.getCollectionItem(targetCollection);
+    if (!this.ensureAllowed(this.getPasteOperation(), target ? [target] : [], targetCollection === this.currentPath)) return;
+    
+    try {
+      // The copy/move endpoint expects the target collection, not a full path
+      // Files will be copied/moved with their original names to the target collection
+      
+      // Handle both single item (backwards compatibility) and array of items
+      const itemsToPaste = Array.isArray(this.clipboard) ? this.clipboard : [this.clipboard];
+      const pathsToPaste = itemsToPaste.map(item => item.path);
+      
+      const invalid = this.findInvalidTarget(pathsToPaste, targetCollection);
+      if (invalid) {
+        this.showError(`Cannot paste "${invalid.split('/').pop()}" into itself`);
+        return;
+      }
+      
+      // Items cut from the target collection itself stay where they are
+      const candidates = this.clipboardMode === 'cut'
+        ? pathsToPaste.filter(path => this.getParentPath(path) !== targetCollection)
+        : pathsToPaste;
+      if (candidates.length === 0) return;
+      
+      // Ask before replacing items with the same name, keep the clipboard if canceled
+      const transfer = await this.resolveTransferConflicts(candidates, targetCollection);
+      if (!transfer) return;
+      if (transfer.sources.length === 0) {
+        this.showMessage('All items were skipped');
+        return;
+      }
+      
+      // Use move if clipboard mode is 'cut', otherwise copy
+      await this.performTransfer(transfer, targetCollection, this.clipboardMode !== 'cut');
+      
+      // Clear cache and loaded ranges to force fresh load
+      this.cache.delete(targetCollection);
+      this.loadedRanges = [];
+      this.items = [];
+      
+      await this.refresh();
+      this.refreshTreeNodes([targetCollection, ...transfer.sources.map(p => this.getParentPath(p))]);
+      
+      const count = transfer.sources.length;
+      const names = transfer.sources.map(path => path.split('/').pop()).join(', ');
+      const action = this.clipboardMode === 'cut' ? 'Moved' : 'Pasted';
+      this.showMessage(`${action} ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+      
+      // Clear clipboard after paste (especially for cut operations)
+      this.clipboard = null;
+      this.clipboardMode = 'copy';
+      this.updatePasteButton();
+    } catch (error) {
+      console.error('Paste error:', error);
+      this.showError(`Failed to paste item(s): ${error.message}`);
+    }
+  }
+  
+  // A collection cannot be moved or copied into itself or one of its descendants
+  findInvalidTarget(sourcePaths, targetCollection) {
+    return sourcePaths.find(path => targetCollection === path || targetCollection.startsWith(path + '/')) || null;
+  }
+  
+  // Move (or copy) items dragged onto a collection
+  async dropItems(paths, targetCollection, copy = false) {
+    // Moving needs write access to the items, both need it for the target if it is listed
+    const items = [...(copy ? [] : paths), targetCollection]
+      .map(path => this.items.find(i => (i.path || i.name) === path))
+      .filter(item => item);
+    if (!this.ensureAllowed(copy ? 'copy' : 'move', items, !copy)) return;
+    
+    const invalid = this.findInvalidTarget(paths, targetCollection);
+    if (invalid) {
+      this.showError(`Cannot ${copy ? 'copy' : 'move'} "${invalid.split('/').pop()}" into itself`);
+      return;
+    }
+    
+    // Items already in the target collection stay where they are
+    const sources = paths.filter(path => this.getParentPath(path) !== targetCollection);
+    if (sources.length === 0) return;
+    
+    try {
+      const transfer = await this.resolveTransferConflicts(sources, targetCollection);
+      if (!transfer || transfer.sources.length === 0) return;
+      
+      await this.performTransfer(transfer, targetCollection, copy);
+      
+      await this.refresh();
+      this.refreshTreeNodes([targetCollection, ...transfer.sources.map(p => this.getParentPath(p))]);
+      
+      const names = transfer.sources.map(p => p.split('/').pop()).join(', ');
+      const action = copy ? 'Copied' : 'Moved';
+      this.showMessage(`${action} ${transfer.sources.length} item(s) to ${this.getRelativePath(targetCollection) || '/'}: ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+    } catch (error) {
+      console.error('Drop error:', error);
+    }
+  }
+  
+  async performDelete() {
+    if (this.selectedItems.size === 0) return;
+    
+    // Create a copy of selected items immediately to prevent any clearing
+    const itemsToDelete = Array.from(this.selectedItems);
+    const deletedItems = itemsToDelete.map(path => this.items.find(i => (i.path || i.name) === path)).filter(item => item);
+    if (!this.ensureAllowed('delete', deletedItems)) return;
+    
+    // The host application may veto the deletion
+    if (!this.emit('before-delete', { paths: itemsToDelete, permanent: this.trashView }, true)) return;
+    
+    if (this.trashView) {
+      await this.deleteFromTrash(itemsToDelete);
+      return;
+    }
+    
+    const confirmMessage = this.trash
+      ? `Move ${itemsToDelete.length} item(s) to the trash?`
+      : `Are you sure you want to delete ${itemsToDelete.length} item(s)?`;
+    
+    const confirmed = await this.showConfirmation(confirmMessage, 'error');
+    if (!confirmed) return;
+    
+    const loadingEl = this.shadowRoot.querySelector('.loading');
+    loadingEl.style.display = 'flex';
+    
+    try {
+      const deletePath = this.currentPath;
+      
+      // Move the items out of the way instead of deleting them, so that the deletion can be undone.
+      // Without a trash they are deleted for good once the operation drops out of the history
+      const held = await this.holdItems(itemsToDelete);
+      const inTrash = held.inTrash;
+      this.recordHolding({
+        label: `Delete ${itemsToDelete.length} item(s)`,
+        collections: itemsToDelete.map(p => this.getParentPath(p)),
+        undo: () => this.moveBack(held.moves),
+        redo: () => this.holdAgain(held)
+      }, held);
+      
+      // Clear cache and loaded ranges to force fresh load
+      this.cache.delete(deletePath);
+      this.loadedRanges = [];
+      this.items = [];
+      
+      // Refresh collection
+      await this.refresh();
+      this.refreshTreeNodes(itemsToDelete.map(p => this.getParentPath(p)));
+      this.selectedItems.clear();
+      this.lastSelectedIndex = null;
+      this.showMessage(inTrash
+        ? `Moved ${itemsToDelete.length} item(s) to the trash, press Ctrl+Z to undo`
+        : `Deleted ${itemsToDelete.length} item(s), press Ctrl+Z to undo`);
+    } catch (error) {
+      console.error('Delete error:', error);
+      this.showError(`Failed to delete item(s): ${error.message}`);
+    } finally {
+      loadingEl.style.display = 'none';
+    }
+  }
+  
+  async performCreateCollection() {
+    if (!this.ensureAllowed('create')) return;
+    const collectionName = await this.showPrompt('Enter collection name:', '', 'info');
+    
+    if (!collectionName || !collectionName.trim()) return;
+    
+    const name = collectionName.trim();
+    
+    // Validate collection name (basic validation - no slashes, not empty)
+    if (name.includes('/') || name.includes('\\')) {
+      this.showError('Collection name cannot contain slashes');
+      return;
+    }
+    
+    try {
+      const parent = this.currentPath;
+      await this.createCollection(parent, name);
+      
+      const path = `${parent}/${name}`;
+      this.history.record({
+        label: `Create collection "${name}"`,
+        collections: [parent],
+        undo: async () => {
+          // Never take anything with it which was added to the collection afterwards
+          const names = await this.fetchItemNames(path);
+          if (names.size > 0) {
+            throw new Error(`collection "${name}" is not empty anymore`);
+          }
+          await this.deleteItems([path]);
+        },
+        redo: () => this.createCollection(parent, name)
+      });
+      
+      // Clear cache and loaded ranges to force fresh load
+      this.cache.delete(this.currentPath);
+      this.loadedRanges = [];
+      this.items = [];
+      
+      // Refresh collection
+      await this.refresh();
+      this.showMessage(`Collection "${name}" created successfully`);
+    } catch (error) {
+      console.error('Create collection error:', error);
+      // Error already shown in createCollection method
+    }
+  }
+  
+  async performRename(path) {
+    const item = this.items.find(i => (i.path || i.name) === path);
+    if (!item || !this.ensureAllowed('rename', [item])) return;
+    
+    const currentName = item.name || path.split('/').pop();
+    const newName = await this.showPrompt('Enter new name:', currentName, 'info');
+    
+    if (!newName || newName === currentName) return;
+    
+    try {
+      await this.renameItem(path, newName);
+      
+      const parent = this.getParentPath(path);
+      const newPath = `${parent}/${newName}`;
+      this.history.record({
+        label: `Rename "${currentName}" to "${newName}"`,
+        collections: [parent],
+        undo: () => this.renameItem(newPath, currentName),
+        redo: () => this.renameItem(path, newName)
+      });
+      
+      await this.refresh();
+      this.showMessage(`Renamed to: ${newName}`);
+    } catch (error) {
+      console.error('Rename error:', error);
+    }
+  }
+  
+  // Undo/Redo
+  async undo() {
+    const operation = this.history.peekUndo();
+    if (!operation || this.history.running) return;
+    
+    try {
+      await this.history.undo();
+      await this.refreshAfterHistory(operation);
+      this.showMessage(`Undone: ${operation.label}`);
+    } catch (error) {
+      console.error('Undo error:', error);
+      this.showError(`Failed to undo "${operation.label}": ${error.message}`);
+    }
+  }
+  
+  async redo() {
+    const operation = this.history.peekRedo();
+    if (!operation || this.history.running) return;
+    
+    try {
+      await this.history.redo();
+      await this.refreshAfterHistory(operation);
+      this.showMessage(`Redone: ${operation.label}`);
+    } catch (error) {
+      console.error('Redo error:', error);
+      this.showError(`Failed to redo "${operation.label}": ${error.message}`);
+    }
+  }
+  
+  async refreshAfterHistory(operation) {
+    this.cache.clear();
+    await this.refresh();
+    this.refreshTreeNodes(operation.collections || []);
+  }
+  
+  updateHistoryButtons() {
+    const undoBtn = this.shadowRoot.querySelector('.btn-undo');
+    const redoBtn = this.shadowRoot.querySelector('.btn-redo');
+    if (!undoBtn || !redoBtn) return;
+    
+    const undo = this.history.peekUndo();
+    const redo = this.history.peekRedo();
+    undoBtn.disabled = !undo || this.history.running;
+    redoBtn.disabled = !redo || this.history.running;
+    undoBtn.title = undo ? `Undo ${undo.label} (Cmd+Z / Ctrl+Z)` : 'Undo (Cmd+Z / Ctrl+Z)';
+    redoBtn.title = redo ? `Redo ${redo.label} (Cmd+Shift+Z / Ctrl+Shift+Z)` : 'Redo (Cmd+Shift+Z / Ctrl+Shift+Z)';
+  }
+  
+  // Copy or move items and record it so that it can be undone: copies are deleted again, moved
+  // items moved back. Items to be replaced are held like deleted ones, and restored by undo
+  async performTransfer(transfer, targetCollection, copy) {
+    const { sources, options } = transfer;
+    const targets = sources.map(path => `${targetCollection}/${options.names[path] || path.split('/').pop()}`);
+    const count = `${sources.length} item(s)`;
+    const transferItems = copy
+      ? () => this.copyItems(sources, targetCollection, options)
+      : () => this.moveItems(sources, targetCollection, options);
+    
+    const held = transfer.replaced.length > 0 ? await this.holdItems(transfer.replaced) : null;
+    try {
+      await transferItems();
+    } catch (error) {
+      if (held) await this.releaseHeld(held);
+      throw error;
+    }
+    
+    const undoTransfer = copy
+      ? () => this.deleteItems(targets)
+      : () => this.moveBack(sources.map((from, i) => ({ from, to: targets[i] })));
+    this.recordHolding({
+      label: `${copy ? 'Copy' : 'Move'} ${count}`,
+      collections: copy ? [targetCollection] : [targetCollection, ...sources.map(p => this.getParentPath(p))],
+      undo: async () => {
+        await undoTransfer();
+        if (held) await this.moveBack(held.moves);
+      },
+      redo: async () => {
+        if (held) await this.holdAgain(held);
+        await transferItems();
+      }
+    }, held);
+  }
+  
+  // Record an operation, which may hold items for undo. Without a trash, those are deleted for
+  // good once the operation expires or drops out of the history
+  recordHolding(operation, held) {
+    if (!held || held.inTrash) {
+      this.history.record(operation);
+      return;
+    }
+    operation.discard = () => this.purgeHeld(held.groups);
+    this.history.record(operation);
+    const timer = setTimeout(() => {
+      this.holdingTimers.delete(timer);
+      this.history.expire(operation);
+    }, HOLDING_TIMEOUT);
+    this.holdingTimers.add(timer);
+  }
+  
+  // Move items back to their original collections, moves are { from, to } with the original and current path
+  async moveBack(moves) {
+    const byParent = new Map();
+    moves.forEach(move => {
+      const parent = this.getParentPath(move.from);
+      if (!byParent.has(parent)) byParent.set(parent, []);
+      byParent.get(parent).push(move);
+    });
+    
+    for (const [parent, group] of byParent) {
+      // Restore the original names of items renamed to avoid conflicts
+      const names = {};
+      group.forEach(({ from, to }) => {
+        const name = from.split('/').pop();
+        if (to.split('/').pop() !== name) names[to] = name;
+      });
+      await this.moveItems(group.map(move => move.to), parent, { names });
+    }
+  }
+  
+  // Move items into a new sub-collection of the trash. Without one, the items of each collection
+  // are moved into a new sub-collection of it, as writing there is needed to delete them anyway.
+  // Returns the moves and the groups of { collection, paths, names } moved together
+  async holdItems(paths) {
+    const batch = String(Date.now());
+    if (!this.trash) {
+      const byParent = new Map();
+      paths.forEach(path => {
+        const parent = this.getParentPath(path);
+        if (!byParent.has(parent)) byParent.set(parent, []);
+        byParent.get(parent).push(path);
+      });
+      
+      const groups = [];
+      const moves = [];
+      try {
+        for (const [parent, group] of byParent) {
+          const name = HOLDING_PREFIX + batch;
+          await this.createCollection(parent, name);
+          const collection = `${parent}/${name}`;
+          this.heldCollections.add(collection);
+          groups.push({ collection, paths: group, names: {} });
+          group.forEach(from => moves.push({ from, to: `${collection}/${from.split('/').pop()}` }));
+          await this.moveItems(group, collection);
+        }
+      } catch (error) {
+        await this.abandonHolding(groups, moves);
+        throw error;
+      }
+      return { groups, moves, inTrash: false };
+    }
+    
+    if (!this.trashReady) {
+      await this.ensureCollection(this.getParentPath(this.trash), this.trash.split('/').pop());
+      this.trashReady = true;
+    }
+    await this.createCollection(this.trash, batch);
+    const collection = `${this.trash}/${batch}`;
+    
+    // Items deleted from different collections, e.g. in search results, may share a name
+    const taken = new Set();
+    const names = {};
+    const moves = paths.map(from => {
+      let name = from.split('/').pop();
+      if (taken.has(name)) {
+        name = getUniqueName(name, taken);
+        names[from] = name;
+      }
+      taken.add(name);
+      return { from, to: `${collection}/${name}` };
+    });
+    
+    // The trash remembers where the items came from, so that they can be restored later
+    const info = { deleted: new Date().toISOString(), items: {} };
+    moves.forEach(({ from, to }) => {
+      info.items[to.split('/').pop()] = from;
+    });
+    const file = new File([JSON.stringify(info, null, 2)], TRASH_INFO, { type: 'application/json' });
+    const groups = [{ collection, paths, names }];
+    try {
+      await this.uploadFile(collection, file);
+      await this.moveItems(paths, collection, { names });
+    } catch (error) {
+      await this.abandonHolding(groups, moves);
+      throw error;
+    }
+    return { groups, moves, inTrash: true };
+  }
+  
+  // Clean up after holding items failed: the items which made it into the holding collections
+  // are moved back, then the collections are removed
+  async abandonHolding(groups, moves) {
+    try {
+      for (const { collection } of groups) {
+        const names = new Set((await this.fetchAllItems(collection, false)).map(item => item.name));
+        const moved = moves.filter(({ to }) => this.getParentPath(to) === collection && names.has(to.split('/').pop()));
+        if (moved.length > 0) {
+          await this.moveBack(moved);
+        }
+        await this.deleteItems([collection]);
+        this.heldCollections.delete(collection);
+      }
+    } catch (error) {
+      console.error('Error cleaning up held items:', error);
+    }
+  }
+  
+  // Hold the items again, after undo restored them
+  async holdAgain(held) {
+    for (const group of held.groups) {
+      await this.moveItems(group.paths, group.collection, { names: group.names });
+    }
+  }
+  
+  // Restore held items and remove the collections which held them, e.g. if the operation failed
+  async releaseHeld(held) {
+    await this.moveBack(held.moves);
+    await this.deleteItems(held.groups.map(group => group.collection));
+    held.groups.forEach(group => this.heldCollections.delete(group.collection));
+  }
+  
+  // Delete collections of held items for good, once their deletion can no longer be undone
+  async purgeHeld(groups) {
+    const collections = groups.map(group => group.collection);
+    await this.deleteItems(collections);
+    collections.forEach(collection => this.heldCollections.delete(collection));
+  }
+  
+  // Forget all operations, purging the items held for undo
+  discardHistory() {
+    this.holdingTimers.forEach(timer => clearTimeout(timer));
+    this.holdingTimers.clear();
+    this.history.clear();
+  }
+  
+  // Trash
+  updateTrashMode() {
+    const fileManager = this.shadowRoot.querySelector('.file-manager');
+    const button = this.shadowRoot.querySelector('.btn-trash');
+    if (!fileManager || !button) return;
+    
+    button.style.display = this.trash ? '' : 'none';
+    button.classList.toggle('active', this.trashView);
+    button.title = this.trashView ? 'Back to the collection' : 'Show the trash';
+    fileManager.classList.toggle('trash-mode', this.trashView);
+  }
+  
+  // Show the items in the trash instead of a collection
+  async loadTrash() {
+    if (!this.trash) return;
+    const loadId = this.beginLoad(false);
+    
+    const loadingEl = this.shadowRoot.querySelector('.loading');
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    
+    this.closePreview();
+    this.search = null;
+    this.trashView = true;
+    this.updateTrashMode();
+    this.items = [];
+    this.loadedRanges = [];
+    this.selectedItems.clear();
+    this.lastSelectedIndex = null;
+    this.clearFilter();
+    this.nextStart = 0;
+    this.hasMore = false;
+    gridContainer.innerHTML = '';
+    gridContainer.scrollTop = 0;
+    this.updateBreadcrumb();
+    this.renderTree();
+    loadingEl.style.display = 'flex';
+    
+    try {
+      const items = await this.fetchTrashItems();
+      // The trash may have been left while waiting for the response
+      if (loadId !== this.loadId || !this.trashView) return;
+      this.items = sortItems(items, this.sortKey, this.sortDirection, this.foldersFirst);
+      this.showItems(false);
+      this.updateBreadcrumb();
+    } catch (error) {
+      if (loadId !== this.loadId) return;
+      console.error('Error loading trash:', error);
+      this.showError(`Failed to load the trash: ${error.message}`);
+    } finally {
+      this.endLoad(loadId, false);
+    }
+  }
+  
+  // Each sub-collection of the trash holds the items deleted together and their trash info
+  async fetchTrashItems() {
+    let batches;
+    try {
+      batches = await this.fetchAllItems(this.trash, false);
+    } catch (error) {
+      // Nothing has been deleted yet if the trash does not exist
+      return [];
+    }
+    
+    const items = [];
+    for (const batch of batches.filter(item => item.type === 'collection')) {
+      const [contents, info] = await Promise.all([
+        this.fetchAllItems(batch.path, false),
+        this.fetchTrashInfo(batch.path)
+      ]);
+      contents.filter(item => item.name !== TRASH_INFO).forEach(item => {
+        item.originalPath = info.items?.[item.name] || null;
+        item.deleted = info.deleted || null;
+        item.trashBatch = batch.path;
+        items.push(item);
+      });
+    }
+    return items;
+  }
+  
+  async fetchTrashInfo(batchPath) {
+    try {
+      const blob = await this.fetchFileContent(`${batchPath}/${TRASH_INFO}`);
+      return JSON.parse(await blob.text());
+    } catch (error) {
+      console.warn('No trash info for', batchPath, error);
+      return {};
+    }
+  }
+  
+  // Move items out of the trash back into the collections they were deleted from
+  async restoreFromTrash(paths) {
+    const items = paths.map(path => this.items.find(i => i.path === path)).filter(item => item);
+    const unknown = items.filter(item => !item.originalPath);
+    if (unknown.length > 0) {
+      this.showError(`The original location of ${unknown.map(item => item.name).join(', ')} is unknown`);
+      return;
+    }
+    
+    const byParent = new Map();
+    items.forEach(item => {
+      const parent = this.getParentPath(item.originalPath);
+      if (!byParent.has(parent)) byParent.set(parent, []);
+      byParent.get(parent).push(item);
+    });
+    
+    const loadingEl = this.shadowRoot.querySelector('.loading');
+    let restored = 0;
+    try {
+      for (const [parent, group] of byParent) {
+        // Items renamed when they were moved to the trash get their original name back
+        const targetNames = {};
+        group.forEach(item => {
+          targetNames[item.path] = item.originalPath.split('/').pop();
+        });
+        const transfer = await this.resolveTransferConflicts(group.map(item => item.path), parent, targetNames);
+        if (!transfer) break;
+        if (transfer.sources.length === 0) continue;
+        
+        loadingEl.style.display = 'flex';
+        await this.moveItems(transfer.sources, parent, transfer.options);
+        restored += transfer.sources.length;
+        this.cache.delete(parent);
+        this.refreshTreeNodes([parent]);
+      }
+    } catch (error) {
+      console.error('Restore error:', error);
+    } finally {
+      loadingEl.style.display = 'none';
+    }
+    
+    if (restored > 0) {
+      await this.removeEmptyTrashBatches(items);
+      await this.refresh();
+      this.showMessage(`Restored ${restored} item(s)`);
+    }
+  }
+  
+  async deleteFromTrash(paths) {
+    const confirmed = await this.showConfirmation(`Permanently delete ${paths.length} item(s)? This cannot be undone.`, 'error');
+    if (!confirmed) return;
+    
+    const items = this.items.filter(item => paths.includes(item.path));
+    try {
+      await this.deleteItems(paths);
+      await this.removeEmptyTrashBatches(items);
+      await this.refresh();
+      this.showMessage(`Permanently deleted ${paths.length} item(s)`);
+    } catch (error) {
+      console.error('Delete error:', error);
+    }
+  }
+  
+  async emptyTrash() {
+    if (!this.trash) return;
+    const confirmed = await this.showConfirmation('Permanently delete all items in the trash? This cannot be undone.', 'error');
+    if (!confirmed) return;
+    
+    try {
+      const contents = await this.fetchAllItems(this.trash, false);
+      if (!this.emit('before-delete', { paths: contents.map(item => item.path), permanent: true }, true)) return;
+      if (contents.length > 0) {
+        await this.deleteItems(contents.map(item => item.path));
+      }
+      if (this.trashView) {
+        await this.refresh();
+      }
+      this.showMessage('The trash has been emptied');
+    } catch (error) {
+      console.error('Empty trash error:', error);
+    }
+  }
+  
+  // Delete the trash collections of the given items which have no other items left
+  async removeEmptyTrashBatches(removedItems) {
+    const removed = new Set(removedItems.map(item => item.path));
+    const batches = new Set(removedItems.map(item => item.trashBatch).filter(batch => batch));
+    const empty = Array.from(batches).filter(batch =>
+      !this.items.some(item => item.trashBatch === batch && !removed.has(item.path))
+    );
+    if (empty.length === 0) return;
+    try {
+      await this.deleteItems(empty);
+    } catch (error) {
+      // The items are gone already, the empty collections do no harm
+      console.error('Error removing trash collections:', error);
+    }
+  }
+  
+  // Authentication
+  getLoginUrl() {
+    return this.loginUrl || `${this.apiBase}/api/login`;
+  }
+  
+  getAuthHeaders() {
+    return resolveAuthHeaders(this.authHeaders);
+  }
+  
+  // All requests to the API go through here. If the server asks for authentication and the
+  // login is enabled, the user is asked for credentials and the request is sent once more
+  async apiFetch(url, options = {}) {
+    const send = async () => fetch(url, {
+      ...options,
+      headers: { ...(options.headers || {}), ...(await this.getAuthHeaders()) }
+    });
+    const response = await send();
+    if (response.status === 401 && await this.requestLogin()) {
+      return send();
+    }
+    return response;
+  }
+  
+  setUser(user) {
+    this.user = user;
+    this.updateUserBox();
+    // What may be changed depends on the user
+    if (this.shadowRoot && this.shadowRoot.querySelector('.grid-container')) {
+      this.updatePermissions();
+      this.renderGrid();
+    }
+  }
+  
+  updateUserBox() {
+    const box = this.shadowRoot.querySelector('.user-box');
+    if (!box) return;
+    const loggedIn = isLoggedIn(this.user);
+    box.style.display = this.loginEnabled || this.user ? '' : 'none';
+    box.querySelector('.user-name').textContent = this.user ? this.user.name : 'Not logged in';
+    box.querySelector('.btn-login').style.display = this.loginEnabled && !loggedIn ? '' : 'none';
+    box.querySelector('.btn-logout').style.display = this.loginEnabled && loggedIn ? '' : 'none';
+  }
+  
+  // Find out who is logged in with the session of the page
+  async checkLogin() {
+    try {
+      const response = await fetch(this.getLoginUrl(), { headers: await this.getAuthHeaders() });
+      if (response.ok) {
+        this.setUser(parseLoginResponse(await response.json()));
+      }
+    } catch (error) {
+      console.error('Error checking login:', error);
+    }
+  }
+  
+  // Show the login dialog, resolves to true once logged in. Requests failing at the same
+  // time share the dialog and are all retried
+  requestLogin() {
+    if (!this.loginEnabled) return Promise.resolve(false);
+    if (!this.loginPromise) {
+      this.loginPromise = new Promise(resolve => {
+        this.loginResolve = resolve;
+      });
+      const dialog = this.shadowRoot.querySelector('.login-dialog');
+      dialog.querySelector('.login-error').textContent = '';
+      dialog.querySelector('.login-password').value = '';
+      if (!dialog.open) {
+        dialog.showModal();
+      }
+      dialog.querySelector('.login-user').focus();
+    }
+    return this.loginPromise;
+  }
+  
+  finishLogin(success) {
+    const resolve = this.loginResolve;
+    this.loginPromise = null;
+    this.loginResolve = null;
+    const dialog = this.shadowRoot.querySelector('.login-dialog');
+    if (dialog.open) {
+      dialog.close();
+    }
+    if (resolve) {
+      resolve(success);
+    }
+  }
+  
+  async submitLogin() {
+    const dialog = this.shadowRoot.querySelector('.login-dialog');
+    const errorEl = dialog.querySelector('.login-error');
+    const name = dialog.querySelector('.login-user').value.trim();
+    const password = dialog.querySelector('.login-password').value;
+    if (!name) {
+      errorEl.textContent = 'Please enter a user name';
+      return;
+    }
+    
+    // POST {login-url} with the form fields user and password, answered with { user, groups, dba }
+    const submitButton = dialog.querySelector('.btn-login-submit');
+    submitButton.disabled = true;
+    try {
+      const response = await fetch(this.getLoginUrl(), {
+        method: 'POST',
+        body: new URLSearchParams({ user: name, password })
+      });
+      const user = response.ok ? parseLoginResponse(await response.json()) : null;
+      if (response.status !== 401 && !response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      if (!isLoggedIn(user)) {
+        errorEl.textContent = 'Wrong user name or password';
+        return;
+      }
+      this.setUser(user);
+      this.emit('login', { user: user.name, groups: user.groups });
+      this.finishLogin(true);
+      this.showMessage(`Logged in as ${user.name}`);
+    } catch (error) {
+      console.error('Login error:', error);
+      errorEl.textContent = `Login failed: ${error.message}`;
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+  
+  // Log in from the toolbar and show the collection as the user sees it
+  async login() {
+    if (await this.requestLogin()) {
+      this.cache.clear();
+      await this.refresh();
+    }
+  }
+  
+  async logout() {
+    try {
+      const response = await fetch(this.getLoginUrl(), {
+        method: 'POST',
+        body: new URLSearchParams({ logout: 'true' })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+    } catch (error) {
+      console.error('Logout error:', error);
+      this.showError(`Failed to log out: ${error.message}`);
+      return;
+    }
+    this.setUser(null);
+    this.emit('logout', {});
+    this.showMessage('Logged out');
+    // Collections only readable when logged in ask for the login again
+    this.cache.clear();
+    await this.refresh();
+  }
+  
+  // Permissions
+  // Whether items may be created, changed or deleted at all, which the picker does not allow
+  canModify() {
+    return this.mode !== 'picker' && !this.readOnly;
+  }
+  
+  // Whether an operation is enabled and the current user may write to the given items
+  isAllowed(operation, items = []) {
+    if (!this.canModify() || this.disabledOperations.has(operation)) return false;
+    if (OPERATION_METHODS[operation] && !this.supports(OPERATION_METHODS[operation])) return false;
+    return items.every(item => canWrite(item, this.user));
+  }
+  
+  // Whether the adapter implements a method. Subclasses of BackendAdapter only do if they
+  // override it, the base class rejects it as not supported
+  supports(method) {
+    const adapter = this.adapter;
+    if (typeof adapter[method] !== 'function') return false;
+    return !(adapter instanceof BackendAdapter) || adapter[method] !== BackendAdapter.prototype[method];
+  }
+  
+  // Whether items may be added to or removed from the current collection. Search results
+  // come from different collections, the server decides for them
+  canWriteCollection() {
+    if (this.search || this.trashView || !this.collectionAccess) return true;
+    return canWrite(this.collectionAccess, this.user);
+  }
+  
+  // The item of a collection other than the one shown, if it is listed or in the tree
+  getCollectionItem(path) {
+    return this.items.find(i => i.path === path) || this.treeNodes.get(path)?.item || null;
+  }
+  
+  // Whether items may be added to a collection, as far as its permissions are known
+  canWriteTo(path) {
+    if (path === this.currentPath) return this.canWriteCollection();
+    const item = this.getCollectionItem(path);
+    return !item || canWrite(item, this.user);
+  }
+  
+  // Like isAllowed, additionally requiring write access to the current collection unless
+  // collection is false, but tells the user why an operation is refused
+  ensureAllowed(operation, items = [], collection = true) {
+    if (!this.isAllowed(operation)) {
+      this.showError(this.supports(OPERATION_METHODS[operation])
+        ? `${OPERATIONS[operation]} is not allowed`
+        : `${OPERATIONS[operation]} is not supported by this backend`);
+      return false;
     }
-    this.renderGrid();
+    const denied = items.find(item => !canWrite(item, this.user));
+    if (denied) {
+      this.showError(`You do not have permission to change "${this.getDisplayName(denied)}"`);
+      return false;
+    }
+    if (collection && !this.canWriteCollection()) {
+      this.showError(`You do not have permission to change ${this.getRelativePath(this.currentPath) || 'the root collection'}`);
+      return false;
+    }
+    return true;
   }
   
-  navigateTo(path) {
-    // Normalize paths for comparison (remove trailing slashes, ensure leading slash)
-    const normalizePath = (p) => {
-      if (!p) return '';
-      p = p.trim();
-      if (!p.startsWith('/')) p = '/' + p;
-      // Don't remove trailing slash for root paths like '/db'
-      if (p.length > 1 && p.endsWith('/')) {
-        p = p.slice(0, -1);
+  // Items can be dragged if they may be moved or copied
+  canDrag(item) {
+    return this.isAllowed('move', [item]) || this.isAllowed('copy');
+  }
+  
+  getPasteOperation() {
+    return this.clipboardMode === 'cut' ? 'move' : 'copy';
+  }
+  
+  // Hide the toolbar buttons of disabled and unsupported operations, disable those the user may
+  // not perform here
+  updatePermissions() {
+    const buttons = [
+      ['.btn-create-collection', ['create']],
+      ['.btn-upload', ['upload']],
+      ['.btn-upload-folder', ['upload']],
+      ['.btn-paste', ['copy', 'move']]
+    ];
+    buttons.forEach(([selector, operations]) => {
+      const button = this.shadowRoot.querySelector(selector);
+      if (!button) return;
+      const hide = operations.every(operation => this.disabledOperations.has(operation) || !this.supports(OPERATION_METHODS[operation]));
+      button.style.display = hide ? 'none' : '';
+      if (selector !== '.btn-paste') {
+        button.disabled = !this.isAllowed(operations[0]) || !this.canWriteCollection();
       }
-      return p;
-    };
+    });
     
-    const normalizedPath = normalizePath(path);
-    const normalizedCurrent = normalizePath(this.currentPath);
-    const normalizedRoot = normalizePath(this.root);
+    // Searching is not an operation which can be disabled, but not every adapter implements it
+    const searchButton = this.shadowRoot.querySelector('.btn-search');
+    if (searchButton) {
+      searchButton.style.display = this.supports('search') ? '' : 'none';
+      if (!this.supports('search')) {
+        this.shadowRoot.querySelector('.search-bar').style.display = 'none';
+      }
+    }
+    this.updatePasteButton();
+  }
+  
+  // Picker
+  
+  updatePickerMode() {
+    const fileManager = this.shadowRoot.querySelector('.file-manager');
+    if (!fileManager) return;
+    fileManager.classList.toggle('read-only', !this.canModify());
+    fileManager.classList.toggle('picker-mode', this.mode === 'picker');
+    this.updatePickerBar();
+    this.updatePermissions();
+  }
+  
+  // The selected items which may be chosen, or the current collection if collections are
+  // accepted and nothing is selected
+  getChosenPaths() {
+    const paths = Array.from(this.selectedItems).filter(path => {
+      const item = this.items.find(i => (i.path || i.name) === path);
+      return item && acceptsItem(this.accept, item);
+    });
+    if (paths.length === 0 && this.accept.collections && !this.search && !this.trashView) {
+      return [this.currentPath];
+    }
+    return this.multiple ? paths : paths.slice(0, 1);
+  }
+  
+  updatePickerBar() {
+    const bar = this.shadowRoot.querySelector('.picker-bar');
+    if (!bar) return;
+    bar.style.display = this.mode === 'picker' ? '' : 'none';
+    if (this.mode !== 'picker') return;
     
-    // Ensure the path is within the configured root
-    if (normalizedPath && !normalizedPath.startsWith(normalizedRoot)) {
-      console.warn('Navigation blocked: path is outside configured root', {
-        path: normalizedPath,
-        root: normalizedRoot
-      });
-      this.showError('Cannot navigate outside the configured root collection');
-      return;
+    const paths = this.getChosenPaths();
+    const selection = bar.querySelector('.picker-selection');
+    selection.textContent = paths.length > 0
+      ? paths.map(path => `/${this.getRelativePath(path)}`).join(', ')
+      : `Select ${this.multiple ? 'one or more items' : 'an item'} to choose`;
+    selection.title = paths.join('\n');
+    bar.querySelector('.btn-picker-choose').disabled = paths.length === 0;
+  }
+  
+  choose(paths = this.getChosenPaths()) {
+    if (paths.length === 0) return;
+    this.values = paths;
+    this.updateFormValue();
+    const items = paths.map(path => this.items.find(item => (item.path || item.name) === path) || { path, type: 'collection' });
+    this.emit('choose', { value: this.value, paths, items });
+    this.emit('change', {});
+  }
+  
+  // Several paths are submitted as separate entries, like a select element with multiple
+  updateFormValue() {
+    if (!this.internals) return;
+    if (this.values.length > 1) {
+      const data = new FormData();
+      this.values.forEach(path => data.append(this.name || '', path));
+      this.internals.setFormValue(data);
+    } else {
+      this.internals.setFormValue(this.values[0] || null);
+    }
+    if (this.hasAttribute('required') && this.values.length === 0) {
+      this.internals.setValidity({ valueMissing: true }, 'Please choose an item');
+    } else {
+      this.internals.setValidity({});
     }
+  }
+  
+  // Properties
+  openProperties(paths) {
+    const items = paths
+      .map(path => this.items.find(i => (i.path || i.name) === path))
+      .filter(item => item && item.name !== '..');
+    if (items.length === 0) return;
     
-    if (!path || normalizedPath === normalizedCurrent) {
-      return;
+    this.properties = { items, touched: new Map() };
+    this.renderProperties();
+    const dialog = this.shadowRoot.querySelector('.properties-dialog');
+    if (!dialog.open) {
+      dialog.showModal();
+    }
+  }
+  
+  closeProperties() {
+    const dialog = this.shadowRoot.querySelector('.properties-dialog');
+    if (dialog.open) {
+      dialog.close();
+    }
+    this.properties = null;
+  }
+  
+  // Whether the current user may change the mode, owner and group of the items in the dialog
+  canEditProperties() {
+    return this.isAllowed('permissions') && this.properties.items.every(item => canChangePermissions(item, this.user));
+  }
+  
+  renderProperties() {
+    const dialog = this.shadowRoot.querySelector('.properties-dialog');
+    const { items } = this.properties;
+    const single = items.length === 1 ? items[0] : null;
+    const editable = this.canEditProperties();
+    const disabled = editable ? '' : 'disabled';
+    
+    // Values shared by all items, null where they differ
+    const common = (values) => values.every(value => value === values[0]) ? values[0] : null;
+    const owner = common(items.map(item => item.owner || ''));
+    const group = common(items.map(item => item.group || ''));
+    const modes = items.map(item => parseMode(item.permissions ?? item.mode));
+    const modeKnown = modes.every(mode => mode !== null);
+    
+    const checkbox = (bit) => {
+      const set = modes.filter(mode => mode !== null && mode & bit).length;
+      const mixed = set > 0 && set < modes.length;
+      return `<input type="checkbox" data-bit="${bit}" ${set === modes.length && modeKnown ? 'checked' : ''} ${mixed ? 'data-mixed' : ''} ${editable && modeKnown ? '' : 'disabled'}>`;
+    };
+    
+    let info;
+    if (single) {
+      const mimeType = getItemMimeType(single);
+      const size = getItemSize(single);
+      info = `
+        <dt>Location</dt><dd>/${escapeHtml(this.getRelativePath(single.path || single.name))}</dd>
+        <dt>Type</dt><dd>${escapeHtml(getItemTypeLabel(single))}${mimeType ? ` (${escapeHtml(mimeType)})` : ''}</dd>
+        ${size !== null ? `<dt>Size</dt><dd>${formatSize(size)}</dd>` : ''}
+        ${getItemCreated(single) ? `<dt>Created</dt><dd>${formatDate(getItemCreated(single))}</dd>` : ''}
+        ${getItemModified(single) ? `<dt>Modified</dt><dd>${formatDate(getItemModified(single))}</dd>` : ''}
+      `;
+    } else {
+      const total = items.reduce((sum, item) => sum + (getItemSize(item) || 0), 0);
+      const collections = items.filter(item => item.type === 'collection').length;
+      info = `
+        <dt>Items</dt><dd>${items.length - collections} resource(s), ${collections} collection(s)</dd>
+        <dt>Size</dt><dd>${formatSize(total)}</dd>
+      `;
     }
     
-    this.loadCollection(normalizedPath);
+    dialog.innerHTML = `
+      <div class="properties-title">Properties of ${escapeHtml(single ? this.getDisplayName(single) : `${items.length} items`)}</div>
+      <dl class="properties-info">${info}</dl>
+      <div class="properties-fields">
+        <label>Owner <input type="text" class="properties-owner" value="${escapeHtml(owner ?? '')}" placeholder="${owner === null ? '(mixed)' : ''}" ${disabled}></label>
+        <label>Group <input type="text" class="properties-group" value="${escapeHtml(group ?? '')}" placeholder="${group === null ? '(mixed)' : ''}" ${disabled}></label>
+      </div>
+      <table class="properties-mode">
+        <thead><tr><th></th><th>Read</th><th>Write</th><th>Execute</th></tr></thead>
+        <tbody>
+          ${MODE_ROWS.map(row => `<tr><th>${row.label}</th>${row.bits.map(bit => `<td>${checkbox(bit)}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+      </table>
+      <div class="properties-special">
+        ${SPECIAL_BITS.map(special => `<label>${checkbox(special.bit)} ${special.label}</label>`).join('')}
+      </div>
+      <div class="properties-octal"></div>
+      ${items.some(item => item.type === 'collection') ? `
+        <label class="properties-recursive">
+          <input type="checkbox" class="properties-recursive-input" ${disabled}>
+          Apply to the contents of collections as well
+        </label>
+      ` : ''}
+      <div class="properties-actions">
+        ${editable ? '' : '<span class="properties-note">Only the owner or a member of dba may change these</span>'}
+        <button data-action="close">Close</button>
+        <button data-action="apply" class="properties-apply" ${disabled}>Apply</button>
+      </div>
+    `;
+    // Checkboxes of bits set on some of the items only
+    dialog.querySelectorAll('[data-mixed]').forEach(input => {
+      input.indeterminate = true;
+    });
+    this.updatePropertiesMode();
   }
   
-  async uploadFiles(files) {
-    const loadingEl = this.shadowRoot.querySelector('.loading');
-    if (!loadingEl) {
-      console.error('Loading element not found');
-      return;
+  // The mode of an item once the bits changed in the dialog are applied
+  getChangedMode(item) {
+    let mode = parseMode(item.permissions ?? item.mode);
+    if (mode === null) return null;
+    this.properties.touched.forEach((set, bit) => {
+      mode = set ? mode | bit : mode & ~bit;
+    });
+    return mode;
+  }
+  
+  // Show the resulting mode in octal and symbolic notation, if it is the same for all items
+  updatePropertiesMode() {
+    const octal = this.shadowRoot.querySelector('.properties-octal');
+    const modes = this.properties.items.map(item => this.getChangedMode(item));
+    const mode = modes.every(value => value === modes[0]) ? modes[0] : null;
+    octal.textContent = mode === null ? '' : `${mode.toString(8).padStart(4, '0')} (${formatPermissions(mode)})`;
+  }
+  
+  handlePropertiesChange(e) {
+    const bit = e.target.dataset.bit;
+    if (!bit) return;
+    this.properties.touched.set(Number(bit), e.target.checked);
+    this.updatePropertiesMode();
+  }
+  
+  handlePropertiesClick(e) {
+    const control = e.target.closest('[data-action]');
+    if (!control || control.disabled) return;
+    
+    switch (control.dataset.action) {
+      case 'close':
+        this.closeProperties();
+        break;
+      case 'apply':
+        this.applyProperties();
+        break;
     }
+  }
+  
+  async applyProperties() {
+    const dialog = this.shadowRoot.querySelector('.properties-dialog');
+    const { items, touched } = this.properties;
+    if (!this.ensureAllowed('permissions', [], false)) return;
     
-    loadingEl.style.display = 'flex';
+    const owner = dialog.querySelector('.properties-owner').value.trim();
+    const group = dialog.querySelector('.properties-group').value.trim();
+    const recursive = !!dialog.querySelector('.properties-recursive-input')?.checked;
+    
+    // Only what was changed is sent, except for collections changed recursively, whose
+    // contents may differ from the collection itself
+    const changes = items.map(item => {
+      const deep = recursive && item.type === 'collection';
+      const change = {};
+      if (owner && (deep || owner !== (item.owner || ''))) change.owner = owner;
+      if (group && (deep || group !== (item.group || ''))) change.group = group;
+      const mode = this.getChangedMode(item);
+      if (touched.size > 0 && mode !== null && (deep || mode !== parseMode(item.permissions ?? item.mode))) {
+        change.permissions = formatPermissions(mode);
+      }
+      if (deep && Object.keys(change).length > 0) change.recursive = true;
+      return { item, change };
+    }).filter(({ change }) => Object.keys(change).length > 0);
+    
+    if (changes.length === 0) {
+      this.closeProperties();
+      return;
+    }
     
+    const applyButton = dialog.querySelector('.properties-apply');
+    applyButton.disabled = true;
+    let changed = 0;
     try {
-      const uploadPath = this.currentPath;
-      for (const file of files) {
-        await this.uploadFile(uploadPath, file);
+      for (const { item, change } of changes) {
+        await this.changeItemPermissions(item.path, change);
+        changed++;
       }
-      
-      // Clear cache and loaded ranges for this path to force fresh load
-      this.cache.delete(uploadPath);
-      this.loadedRanges = [];
-      this.items = []; // Clear items array
-      
-      // Small delay to ensure server has processed the upload
-      await new Promise(resolve => setTimeout(resolve, 300));
-      
-      // Refresh collection - force reload by passing false for append
-      await this.loadCollection(uploadPath, false);
-      this.showMessage(`Successfully uploaded ${files.length} file(s)`);
     } catch (error) {
-      console.error('Upload error:', error);
-      this.showError(`Failed to upload file(s): ${error.message}`);
-    } finally {
-      loadingEl.style.display = 'none';
+      // Error already shown in changeItemPermissions, items changed so far are shown after refreshing
+      applyButton.disabled = false;
+      if (changed > 0) this.refresh();
+      return;
     }
+    
+    this.closeProperties();
+    await this.refresh();
+    this.showMessage(`Changed the properties of ${changed} item(s)`);
   }
   
-  performCopy() {
-    if (this.selectedItems.size === 0) return;
-    
-    const selectedPaths = Array.from(this.selectedItems);
-    const selectedItems = selectedPaths
-      .map(path => this.items.find(i => (i.path || i.name) === path))
-      .filter(item => item != null);
+  // Preview
+  async openPreview(path, editing = false) {
+    const item = this.items.find(i => (i.path || i.name) === path);
+    if (!item || item.type !== 'resource') return;
+    if (!(await this.confirmDiscardChanges())) return;
     
-    if (selectedItems.length === 0) return;
+    this.preview = { item, type: getPreviewType(item), text: null, error: null, editing: editing && this.isAllowed('edit', [item]) };
+    this.previewZoom = null;
     
-    // Store all selected items in clipboard
-    this.clipboard = selectedItems.map(item => ({
-      path: item.path || item.name,
-      type: item.type || (item.name?.endsWith('/') ? 'collection' : 'resource'),
-      name: item.name || (item.path || item.name).split('/').pop()
-    }));
-    this.clipboardMode = 'copy';
+    // Keep the previewed file selected and in view, so that it can be found in the collection
+    this.selectedItems.clear();
+    this.selectedItems.add(path);
+    const index = this.visibleItems.indexOf(item);
+    this.lastSelectedIndex = index >= 0 ? index : null;
+    this.scrollItemIntoView(index);
+    this.updateSelectionState();
+    this.renderPreview();
     
-    this.updatePasteButton();
-    const count = this.clipboard.length;
-    const names = this.clipboard.map(c => c.name).join(', ');
-    this.showMessage(`Copied ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+    // Images are loaded by the browser, everything else is shown as text
+    if (!this.preview.type || this.preview.type === 'image') return;
+    const preview = this.preview;
+    try {
+      const blob = await this.fetchFileContent(path);
+      preview.text = await blob.text();
+    } catch (error) {
+      preview.error = error.message;
+    }
+    // Another file may have been opened in the meantime
+    if (this.preview === preview) {
+      this.renderPreview();
+    }
   }
   
-  performCut() {
-    if (this.selectedItems.size === 0) return;
+  closePreview() {
+    if (!this.preview) return;
+    this.preview = null;
+    this.renderPreview();
+  }
+  
+  // Files of the collection (or search results) the preview steps through
+  getPreviewItems() {
+    return this.visibleItems.filter(item => item.type === 'resource');
+  }
+  
+  // The previewed item may have been replaced by reloading the collection, so look for its path
+  getPreviewIndex(items) {
+    const path = this.preview.item.path || this.preview.item.name;
+    return items.findIndex(item => (item.path || item.name) === path);
+  }
+  
+  stepPreview(offset) {
+    if (!this.preview) return;
+    const items = this.getPreviewItems();
+    const next = items[this.getPreviewIndex(items) + offset];
+    if (next) {
+      this.openPreview(next.path || next.name);
+    }
+  }
+  
+  renderPreview() {
+    const panel = this.shadowRoot.querySelector('.preview-panel');
+    if (!panel) return;
+    if (!this.preview) {
+      panel.style.display = 'none';
+      panel.innerHTML = '';
+      return;
+    }
     
-    const selectedPaths = Array.from(this.selectedItems);
-    const selectedItems = selectedPaths
-      .map(path => this.items.find(i => (i.path || i.name) === path))
-      .filter(item => item != null);
+    const { item, type, editing } = this.preview;
+    const path = item.path || item.name;
+    const name = this.getDisplayName(item);
+    const items = this.getPreviewItems();
+    const index = this.getPreviewIndex(items);
+    const fileType = getFileType(item);
+    const editable = fileType && EDITABLE_TYPES.includes(fileType) && this.isAllowed('edit', [item]);
     
-    if (selectedItems.length === 0) return;
+    // Zoom for images, pretty printing for XML and editing for what eXide can open
+    let tools = '';
+    if (editing) {
+      tools += `
+        <button data-action="save" title="Save (Cmd+S / Ctrl+S)" disabled>Save</button>
+        <button data-action="find" title="Find and replace (Cmd+F / Ctrl+F)">
+          <svg width="14" height="14" fill="currentColor"><use href="#icon-search"></use></svg>
+        </button>
+        ${type === 'xml' ? '<button data-action="check" title="Check whether the XML is well-formed">Check XML</button>' : ''}
+        <span class="spacer"></span>
+        <button data-action="stop-edit" title="Leave the editor">Close Editor</button>
+      `;
+    } else if (type === 'image') {
+      tools += `
+        <button data-action="zoom-out" title="Zoom out (-)">
+          <svg width="14" height="14" fill="currentColor"><use href="#icon-zoom-out"></use></svg>
+        </button>
+        <span class="preview-zoom"></span>
+        <button data-action="zoom-in" title="Zoom in (+)">
+          <svg width="14" height="14" fill="currentColor"><use href="#icon-zoom-in"></use></svg>
+        </button>
+        <button data-action="zoom-fit" title="Fit into the pane (0)">Fit</button>
+      `;
+    } else if (type === 'xml') {
+      tools += `
+        <label class="preview-format-toggle" title="Indent the XML for reading">
+          <input type="checkbox" data-action="format" ${this.previewFormatted ? 'checked' : ''}>
+          Pretty print
+        </label>
+      `;
+    }
+    const handlers = this.getItemOpenHandlers(item);
+    if (!editing && (editable || handlers.length > 0)) {
+      tools += `
+        <span class="spacer"></span>
+        ${editable ? `<button data-action="edit" title="Edit the file here" ${this.preview.text === null ? 'disabled' : ''}>Edit</button>` : ''}
+        ${handlers.map((handler, i) => `<button data-action="open-with" data-handler="${i}">Open in ${escapeHtml(handler.label)}</button>`).join('')}
+      `;
+    }
     
-    // Store all selected items in clipboard
-    this.clipboard = selectedItems.map(item => ({
-      path: item.path || item.name,
-      type: item.type || (item.name?.endsWith('/') ? 'collection' : 'resource'),
-      name: item.name || (item.path || item.name).split('/').pop()
-    }));
-    this.clipboardMode = 'cut';
+    panel.innerHTML = `
+      <div class="preview-header">
+        <span class="preview-title" title="${escapeHtml(path)}">${escapeHtml(name)}</span>
+        <span class="preview-position">${index >= 0 ? `${index + 1} / ${items.length}` : ''}</span>
+        <button data-action="previous" title="Previous file (Left arrow)" ${index > 0 ? '' : 'disabled'}>
+          <svg width="14" height="14" fill="currentColor"><use href="#icon-chevron-left"></use></svg>
+        </button>
+        <button data-action="next" title="Next file (Right arrow)" ${index >= 0 && index < items.length - 1 ? '' : 'disabled'}>
+          <svg width="14" height="14" fill="currentColor"><use href="#icon-chevron-right"></use></svg>
+        </button>
+        <button class="btn-close" data-action="close" title="Close preview (Esc)">×</button>
+      </div>
+      ${tools ? `<div class="preview-toolbar">${tools}</div>` : ''}
+      <div class="preview-body">${this.renderPreviewContent()}</div>
+    `;
+    panel.style.display = '';
     
-    this.updatePasteButton();
-    const count = this.clipboard.length;
-    const names = this.clipboard.map(c => c.name).join(', ');
-    this.showMessage(`Cut ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
+    const image = panel.querySelector('.preview-image');
+    if (image) {
+      const preview = this.preview;
+      image.addEventListener('load', () => this.applyPreviewZoom());
+      image.addEventListener('error', () => {
+        if (this.preview !== preview) return;
+        preview.error = 'The image could not be loaded';
+        panel.querySelector('.preview-body').innerHTML = this.renderPreviewContent();
+      });
+      this.applyPreviewZoom();
+    }
+    
+    const textarea = panel.querySelector('.editor-text');
+    if (textarea) {
+      textarea.value = this.preview.text;
+      textarea.addEventListener('input', () => this.updateEditorState());
+    }
   }
   
-  async copyPathToClipboard(fullPath) {
-    // Calculate relative path from root
-    let relativePath = fullPath;
+  renderPreviewContent() {
+    const { item, type, text, error, editing } = this.preview;
+    const path = item.path || item.name;
     
-    if (this.root && this.root.trim()) {
-      const normalizedRoot = this.root.trim();
-      const normalizedPath = fullPath.trim();
-      
-      // If the path starts with the root, remove it to get relative path
-      if (normalizedPath.startsWith(normalizedRoot)) {
-        relativePath = normalizedPath.substring(normalizedRoot.length);
-        // Remove leading slash if present
-        if (relativePath.startsWith('/')) {
-          relativePath = relativePath.substring(1);
+    if (error) {
+      return `<div class="preview-message">Failed to load the file: ${escapeHtml(error)}</div>`;
+    }
+    if (!type) {
+      const size = getItemSize(item);
+      return `<div class="preview-message">No preview available for ${escapeHtml(getItemTypeLabel(item))} files${size !== null ? ` (${formatSize(size)})` : ''}</div>`;
+    }
+    if (type === 'image') {
+      return `<img class="preview-image" src="${escapeHtml(this.getImageUrl(path))}" alt="${escapeHtml(this.getDisplayName(item))}">`;
+    }
+    if (text === null) {
+      return '<div class="preview-message">Loading...</div>';
+    }
+    if (editing) {
+      // The text is filled in once rendered, see renderPreview()
+      return `
+        <div class="editor">
+          <div class="editor-find" style="display: none;">
+            <input type="text" class="editor-find-input" placeholder="Find" aria-label="Find">
+            <input type="text" class="editor-replace-input" placeholder="Replace" aria-label="Replace with">
+            <label class="editor-match-case" title="Match case">
+              <input type="checkbox" class="editor-match-case-input">
+              Aa
+            </label>
+            <button data-action="find-previous" title="Previous match (Shift+Enter)">
+              <svg width="12" height="12" fill="currentColor"><use href="#icon-chevron-left"></use></svg>
+            </button>
+            <button data-action="find-next" title="Next match (Enter)">
+              <svg width="12" height="12" fill="currentColor"><use href="#icon-chevron-right"></use></svg>
+            </button>
+            <button data-action="replace" title="Replace the current match">Replace</button>
+            <button data-action="replace-all" title="Replace all matches">All</button>
+            <span class="editor-find-status"></span>
+            <button class="btn-close" data-action="find-close" title="Close (Esc)">×</button>
+          </div>
+          <textarea class="editor-text" spellcheck="false" aria-label="Content of ${escapeHtml(this.getDisplayName(item))}"></textarea>
+          <div class="editor-status"></div>
+        </div>
+      `;
+    }
+    
+    const source = type === 'xml' && this.previewFormatted ? formatXml(text) : text;
+    return `<pre class="preview-code"><code>${highlightCode(source, type)}</code></pre>`;
+  }
+  
+  handlePreviewClick(e) {
+    const control = e.target.closest('[data-action]');
+    if (!control || control.disabled) return;
+    
+    switch (control.dataset.action) {
+      case 'previous':
+        this.stepPreview(-1);
+        break;
+      case 'next':
+        this.stepPreview(1);
+        break;
+      case 'close':
+        this.confirmDiscardChanges().then(confirmed => confirmed && this.closePreview());
+        break;
+      case 'zoom-in':
+        this.zoomPreview(PREVIEW_ZOOM_STEP);
+        break;
+      case 'zoom-out':
+        this.zoomPreview(1 / PREVIEW_ZOOM_STEP);
+        break;
+      case 'zoom-fit':
+        this.previewZoom = null;
+        this.applyPreviewZoom();
+        break;
+      case 'format':
+        this.previewFormatted = control.checked;
+        this.renderPreview();
+        break;
+      case 'open-with': {
+        const handler = this.getItemOpenHandlers(this.preview.item)[control.dataset.handler];
+        if (handler) {
+          this.openWith(handler, this.preview.item);
         }
+        break;
       }
+      case 'edit':
+        this.startEditing();
+        break;
+      case 'stop-edit':
+        this.stopEditing();
+        break;
+      case 'save':
+        this.saveEditor();
+        break;
+      case 'check':
+        this.checkEditor();
+        break;
+      case 'find':
+        this.openEditorFind();
+        break;
+      case 'find-previous':
+        this.findInEditor(true);
+        break;
+      case 'find-next':
+        this.findInEditor();
+        break;
+      case 'replace':
+        this.replaceInEditor();
+        break;
+      case 'replace-all':
+        this.replaceAllInEditor();
+        break;
+      case 'find-close':
+        this.closeEditorFind();
+        break;
     }
+  }
+  
+  // Returns true if the key has been handled by the preview
+  handlePreviewKeyDown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    // The tree handles the arrow keys itself
+    if (e.composedPath().some(element => element.classList?.contains('tree-panel'))) return false;
     
-    try {
-      await navigator.clipboard.writeText(relativePath);
-      this.showMessage(`Copied path to clipboard: ${relativePath}`);
-    } catch (error) {
-      console.error('Failed to copy to clipboard:', error);
-      // Fallback for older browsers
-      const textArea = document.createElement('textarea');
-      textArea.value = relativePath;
-      textArea.style.position = 'fixed';
-      textArea.style.left = '-999999px';
-      document.body.appendChild(textArea);
-      textArea.select();
-      try {
-        document.execCommand('copy');
-        this.showMessage(`Copied path to clipboard: ${relativePath}`);
-      } catch (err) {
-        this.showError(`Failed to copy path: ${err.message}`);
-      } finally {
-        document.body.removeChild(textArea);
-      }
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        this.stepPreview(-1);
+        break;
+      case 'ArrowRight':
+      case 'ArrowDown':
+        this.stepPreview(1);
+        break;
+      case ' ':
+        // Space activates focused buttons
+        if (e.composedPath()[0]?.tagName === 'BUTTON') return false;
+        this.confirmDiscardChanges().then(confirmed => confirmed && this.closePreview());
+        break;
+      case 'Escape':
+        this.confirmDiscardChanges().then(confirmed => confirmed && this.closePreview());
+        break;
+      case '+':
+      case '=':
+        this.zoomPreview(PREVIEW_ZOOM_STEP);
+        break;
+      case '-':
+        this.zoomPreview(1 / PREVIEW_ZOOM_STEP);
+        break;
+      case '0':
+        this.previewZoom = null;
+        this.applyPreviewZoom();
+        break;
+      default:
+        return false;
+    }
+    e.preventDefault();
+    return true;
+  }
+  
+  zoomPreview(factor) {
+    const image = this.shadowRoot.querySelector('.preview-image');
+    if (!image || !image.naturalWidth) return;
+    // Zooming in from "fit" starts at the size the image is shown with
+    const current = this.previewZoom ?? ((image.clientWidth / image.naturalWidth) || 1);
+    this.previewZoom = Math.min(PREVIEW_ZOOM_MAX, Math.max(PREVIEW_ZOOM_MIN, current * factor));
+    this.applyPreviewZoom();
+  }
+  
+  applyPreviewZoom() {
+    const image = this.shadowRoot.querySelector('.preview-image');
+    const label = this.shadowRoot.querySelector('.preview-zoom');
+    if (!image) return;
+    
+    const fit = this.previewZoom === null || !image.naturalWidth;
+    image.classList.toggle('fit', fit);
+    image.style.width = fit ? '' : `${Math.round(image.naturalWidth * this.previewZoom)}px`;
+    if (label) {
+      label.textContent = fit ? 'Fit' : `${Math.round(this.previewZoom * 100)}%`;
+    }
+  }
+  
+  // Editor
+  startEditing() {
+    if (!this.preview || this.preview.text === null) return;
+    this.preview.editing = true;
+    this.renderPreview();
+    this.shadowRoot.querySelector('.editor-text')?.focus();
+  }
+  
+  async stopEditing() {
+    if (!(await this.confirmDiscardChanges())) return;
+    this.preview.editing = false;
+    this.renderPreview();
+  }
+  
+  // Whether the editor holds changes which have not been saved
+  hasUnsavedChanges() {
+    if (!this.preview?.editing) return false;
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    return !!textarea && textarea.value !== this.preview.text;
+  }
+  
+  // Ask before unsaved changes are thrown away, resolves to true if it is fine to go on
+  async confirmDiscardChanges() {
+    if (!this.hasUnsavedChanges()) return true;
+    const name = this.getDisplayName(this.preview.item);
+    const confirmed = await this.showConfirmation(`Discard unsaved changes to ${name}?`, 'error');
+    if (confirmed) {
+      // Forget the changes, so that nobody asks again
+      this.shadowRoot.querySelector('.editor-text').value = this.preview.text;
+      this.updateEditorState();
     }
+    return confirmed;
   }
   
-  async performPaste() {
-    if (!this.clipboard || this.clipboard.length === 0) return;
-    
-    try {
-      // The copy/move endpoint expects the target collection, not a full path
-      // Files will be copied/moved with their original names to the target collection
-      const targetCollection = this.currentPath;
-      
-      // Handle both single item (backwards compatibility) and array of items
-      const itemsToPaste = Array.isArray(this.clipboard) ? this.clipboard : [this.clipboard];
-      const pathsToPaste = itemsToPaste.map(item => item.path);
-      
-      // Use move if clipboard mode is 'cut', otherwise copy
-      if (this.clipboardMode === 'cut') {
-        await this.moveItems(pathsToPaste, targetCollection);
-      } else {
-        await this.copyItems(pathsToPaste, targetCollection);
-      }
-      
-      // Clear cache and loaded ranges to force fresh load
-      this.cache.delete(targetCollection);
-      this.loadedRanges = [];
-      this.items = [];
-      
-      await this.loadCollection(targetCollection, false);
-      
-      const count = itemsToPaste.length;
-      const names = itemsToPaste.map(item => item.name).join(', ');
-      const action = this.clipboardMode === 'cut' ? 'Moved' : 'Pasted';
-      this.showMessage(`${action} ${count} item(s): ${names.substring(0, 50)}${names.length > 50 ? '...' : ''}`);
-      
-      // Clear clipboard after paste (especially for cut operations)
-      this.clipboard = null;
-      this.clipboardMode = 'copy';
-      this.updatePasteButton();
-    } catch (error) {
-      console.error('Paste error:', error);
-      this.showError(`Failed to paste item(s): ${error.message}`);
+  handleBeforeUnload(e) {
+    if (this.hasUnsavedChanges()) {
+      e.preventDefault();
+      e.returnValue = '';
     }
   }
   
-  async performDelete() {
-    if (this.selectedItems.size === 0) return;
-    
-    // Create a copy of selected items immediately to prevent any clearing
-    const itemsToDelete = Array.from(this.selectedItems);
-    
-    const confirmMessage = `Are you sure you want to delete ${itemsToDelete.length} item(s)?`;
+  handlePageHide() {
+    this.discardHistory();
+  }
+  
+  updateEditorState() {
+    const dirty = this.hasUnsavedChanges();
+    const saveBtn = this.shadowRoot.querySelector('.preview-panel [data-action="save"]');
+    const title = this.shadowRoot.querySelector('.preview-title');
+    if (saveBtn) saveBtn.disabled = !dirty;
+    if (title) title.classList.toggle('modified', dirty);
+  }
+  
+  setEditorStatus(message, type = 'info') {
+    const status = this.shadowRoot.querySelector('.editor-status');
+    if (!status) return;
+    status.textContent = message;
+    status.className = `editor-status editor-status-${type}`;
+  }
+  
+  checkEditor() {
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    if (!textarea) return true;
+    const error = checkWellFormed(textarea.value);
+    this.setEditorStatus(error || 'The document is well-formed', error ? 'error' : 'success');
+    return !error;
+  }
+  
+  async saveEditor() {
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    if (!this.preview?.editing || !textarea) return;
     
-    const confirmed = await this.showConfirmation(confirmMessage, 'error');
-    if (!confirmed) return;
+    const { item, type } = this.preview;
+    const name = this.getDisplayName(item);
+    const text = textarea.value;
+    if (!this.ensureAllowed('edit', [item], false)) return;
     
-    const loadingEl = this.shadowRoot.querySelector('.loading');
-    loadingEl.style.display = 'flex';
+    // Storing a broken document may be intended, e.g. to continue later, but should not happen by accident
+    if (type === 'xml' && !this.checkEditor()) {
+      const confirmed = await this.showConfirmation(`${name} is not well-formed XML. Save anyway?`, 'error');
+      if (!confirmed) return;
+    }
     
     try {
-      const deletePath = this.currentPath;
-      
-      // Delete all items in a single request
-      await this.deleteItems(itemsToDelete);
-      
-      // Clear cache and loaded ranges to force fresh load
-      this.cache.delete(deletePath);
-      this.loadedRanges = [];
-      this.items = [];
-      
-      // Refresh collection
-      await this.loadCollection(deletePath, false);
-      this.selectedItems.clear();
-      this.lastSelectedIndex = null;
-      this.showMessage(`Deleted ${itemsToDelete.length} item(s)`);
+      await this.saveFileContent(item.path, text, getContentType(item));
+      this.preview.text = text;
+      this.updateEditorState();
+      this.setEditorStatus(`Saved at ${new Date().toLocaleTimeString()}`, 'success');
+      this.showMessage(`Saved ${name}`);
+      // Size and modification date have changed
+      this.refresh();
     } catch (error) {
-      console.error('Delete error:', error);
-      this.showError(`Failed to delete item(s): ${error.message}`);
-    } finally {
-      loadingEl.style.display = 'none';
+      this.setEditorStatus(`Failed to save: ${error.message}`, 'error');
     }
   }
   
-  async performCreateCollection() {
-    const collectionName = await this.showPrompt('Enter collection name:', '', 'info');
-    
-    if (!collectionName || !collectionName.trim()) return;
+  handleEditorKeyDown(e) {
+    if (!this.preview?.editing) return;
+    const key = e.key.toLowerCase();
+    const hasModifier = (e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey;
     
-    const name = collectionName.trim();
+    if (hasModifier && key === 's') {
+      e.preventDefault();
+      this.saveEditor();
+    } else if (hasModifier && key === 'f') {
+      e.preventDefault();
+      this.openEditorFind();
+    } else if (e.target.closest('.editor-find')) {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        if (e.target.classList.contains('editor-replace-input')) {
+          this.replaceInEditor();
+        } else {
+          this.findInEditor(e.shiftKey);
+        }
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        this.closeEditorFind();
+      }
+    }
+  }
+  
+  openEditorFind() {
+    const findBar = this.shadowRoot.querySelector('.editor-find');
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    if (!findBar || !textarea) return;
+    findBar.style.display = 'flex';
     
-    // Validate collection name (basic validation - no slashes, not empty)
-    if (name.includes('/') || name.includes('\\')) {
-      this.showError('Collection name cannot contain slashes');
-      return;
+    // Search for the selected text, if any
+    const input = findBar.querySelector('.editor-find-input');
+    const selected = textarea.value.substring(textarea.selectionStart, textarea.selectionEnd);
+    if (selected && !selected.includes('\n')) {
+      input.value = selected;
+    }
+    input.focus();
+    input.select();
+    this.updateFindStatus();
+  }
+  
+  closeEditorFind() {
+    const findBar = this.shadowRoot.querySelector('.editor-find');
+    if (!findBar) return;
+    findBar.style.display = 'none';
+    // Back to the text with the last match selected
+    this.shadowRoot.querySelector('.editor-text')?.focus();
+  }
+  
+  getFindOptions() {
+    return {
+      query: this.shadowRoot.querySelector('.editor-find-input')?.value || '',
+      replacement: this.shadowRoot.querySelector('.editor-replace-input')?.value || '',
+      matchCase: !!this.shadowRoot.querySelector('.editor-match-case-input')?.checked
+    };
+  }
+  
+  updateFindStatus(message = null) {
+    const status = this.shadowRoot.querySelector('.editor-find-status');
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    if (!status || !textarea) return;
+    const { query, matchCase } = this.getFindOptions();
+    if (message === null) {
+      message = query ? `${countMatches(textarea.value, query, { matchCase })} match(es)` : '';
     }
+    status.textContent = message;
+  }
+  
+  findInEditor(backwards = false) {
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    const { query, matchCase } = this.getFindOptions();
+    if (!textarea || !query) return false;
     
-    try {
-      await this.createCollection(this.currentPath, name);
-      
-      // Clear cache and loaded ranges to force fresh load
-      this.cache.delete(this.currentPath);
-      this.loadedRanges = [];
-      this.items = [];
-      
-      // Refresh collection
-      await this.loadCollection(this.currentPath, false);
-      this.showMessage(`Collection "${name}" created successfully`);
-    } catch (error) {
-      console.error('Create collection error:', error);
-      // Error already shown in createCollection method
+    const from = backwards ? textarea.selectionStart : textarea.selectionEnd;
+    const match = findText(textarea.value, query, from, { matchCase, backwards });
+    if (!match) {
+      this.updateFindStatus('No matches');
+      return false;
     }
+    this.selectInEditor(textarea, match[0], match[1]);
+    this.updateFindStatus();
+    return true;
   }
   
-  async performRename(path) {
-    const item = this.items.find(i => (i.path || i.name) === path);
-    if (!item) return;
+  // Select a range of the text and scroll it into view, keeping the focus where it is
+  selectInEditor(textarea, start, end) {
+    textarea.setSelectionRange(start, end);
+    const line = textarea.value.substring(0, start).split('\n').length - 1;
+    const lineHeight = parseFloat(getComputedStyle(textarea).lineHeight) || 18;
+    textarea.scrollTop = Math.max(0, line * lineHeight - textarea.clientHeight / 2);
+  }
+  
+  replaceInEditor() {
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    const { query, replacement, matchCase } = this.getFindOptions();
+    if (!textarea || !query) return;
     
-    const currentName = item.name || path.split('/').pop();
-    const newName = await this.showPrompt('Enter new name:', currentName, 'info');
+    // Replace the current match, if the selection is one, and go on to the next
+    const selected = textarea.value.substring(textarea.selectionStart, textarea.selectionEnd);
+    const isMatch = matchCase ? selected === query : selected.toLowerCase() === query.toLowerCase();
+    if (isMatch) {
+      textarea.setRangeText(replacement, textarea.selectionStart, textarea.selectionEnd, 'end');
+      this.updateEditorState();
+    }
+    this.findInEditor();
+  }
+  
+  replaceAllInEditor() {
+    const textarea = this.shadowRoot.querySelector('.editor-text');
+    const { query, replacement, matchCase } = this.getFindOptions();
+    if (!textarea || !query) return;
     
-    if (!newName || newName === currentName) return;
+    const result = replaceAllText(textarea.value, query, replacement, { matchCase });
+    if (result.count > 0) {
+      textarea.value = result.text;
+      this.updateEditorState();
+    }
+    this.updateFindStatus(`Replaced ${result.count} match(es)`);
+  }
+  
+  // Scroll the grid or list so that the item at the index is visible
+  scrollItemIntoView(index) {
+    const gridContainer = this.shadowRoot.querySelector('.grid-container');
+    if (!gridContainer || index < 0 || gridContainer.clientHeight === 0) return;
     
-    try {
-      await this.renameItem(path, newName);
-      await this.loadCollection(this.currentPath);
-      this.showMessage(`Renamed to: ${newName}`);
-    } catch (error) {
-      console.error('Rename error:', error);
+    const asList = gridContainer.classList.contains('list-view');
+    const { columns, rowHeight } = this.getVirtualMetrics(gridContainer, asList);
+    const top = Math.floor(index / columns) * rowHeight;
+    if (top < gridContainer.scrollTop) {
+      gridContainer.scrollTop = top;
+    } else if (top + rowHeight > gridContainer.scrollTop + gridContainer.clientHeight) {
+      gridContainer.scrollTop = top + rowHeight - gridContainer.clientHeight;
     }
+    this.renderWindow();
   }
   
   // Context Menu
@@ -1622,10 +5566,17 @@ class FileManager extends HTMLElement {
     const path = item.path || item.name;
     const isSelected = this.selectedItems.has(path);
     
-    // Check if item is an editable file type for eXide
+    // Check if item is an editable file type and what it can be opened with
     const fileType = item.type === 'resource' ? getFileType(item) : null;
-    const editableTypes = ['xquery', 'javascript', 'css', 'xml', 'json', 'html'];
-    const isEditable = fileType && editableTypes.includes(fileType);
+    const isEditable = fileType && EDITABLE_TYPES.includes(fileType) && this.isAllowed('edit', [item]);
+    const openHandlers = this.getItemOpenHandlers(item);
+    
+    // Only offer what the user may do with the item
+    const hidden = (allowed) => allowed ? '' : 'style="display: none;"';
+    const changeable = (operation) => this.isAllowed(operation, [item]) && this.canWriteCollection();
+    const canPaste = this.clipboard && this.isAllowed(this.getPasteOperation()) && this.canWriteCollection();
+    // The properties dialog is there to change permissions, which not every adapter can
+    const showProperties = item.name !== '..' && this.supports('changePermissions');
     
     // Check if any selected items are files (for download option)
     const selectedPaths = Array.from(this.selectedItems);
@@ -1637,20 +5588,43 @@ class FileManager extends HTMLElement {
     const isFile = item.type === 'resource';
     const showDownload = (hasSelectedFiles || isFile) && 'showDirectoryPicker' in window;
     
-    contextMenu.innerHTML = `
+    // Items in the trash can only be restored or deleted for good
+    contextMenu.innerHTML = this.trashView ? `
+      <div class="context-menu-item" data-action="restore">
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-undo"></use></svg>
+        Restore
+      </div>
+      <div class="context-menu-item" data-action="delete-permanently">
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-delete"></use></svg>
+        Delete Permanently
+      </div>
+    ` : `
       <div class="context-menu-item" data-action="open" ${item.type === 'collection' ? '' : 'style="display: none;"'}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-folder"></use></svg>
         Open
       </div>
-      <div class="context-menu-item" data-action="open-exide" ${isEditable ? '' : 'style="display: none;"'}>
+      <div class="context-menu-item" data-action="preview" ${isFile ? '' : 'style="display: none;"'}>
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-eye"></use></svg>
+        Preview
+      </div>
+      <div class="context-menu-item" data-action="edit" ${isEditable ? '' : 'style="display: none;"'}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-edit"></use></svg>
-        Open in eXide
+        Edit
+      </div>
+      <div class="context-menu-item context-menu-submenu" ${openHandlers.length > 0 ? '' : 'style="display: none;"'}>
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-open-with"></use></svg>
+        Open with…
+        <div class="context-submenu">
+          ${openHandlers.map((handler, i) => `
+            <div class="context-menu-item" data-action="open-with" data-handler="${i}">${escapeHtml(handler.label)}</div>
+          `).join('')}
+        </div>
       </div>
-      <div class="context-menu-item" data-action="copy">
+      <div class="context-menu-item" data-action="copy" ${hidden(this.isAllowed('copy'))}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-copy"></use></svg>
         Copy
       </div>
-      <div class="context-menu-item" data-action="cut">
+      <div class="context-menu-item" data-action="cut" ${hidden(changeable('move'))}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-cut"></use></svg>
         Cut
       </div>
@@ -1658,7 +5632,7 @@ class FileManager extends HTMLElement {
         <svg width="16" height="16" fill="currentColor"><use href="#icon-copy-path"></use></svg>
         Copy Relative Path
       </div>
-      <div class="context-menu-item" data-action="paste" ${this.clipboard ? '' : 'style="display: none;"'}>
+      <div class="context-menu-item" data-action="paste" ${hidden(canPaste)}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-clipboard"></use></svg>
         Paste
       </div>
@@ -1667,23 +5641,35 @@ class FileManager extends HTMLElement {
         <svg width="16" height="16" fill="currentColor"><use href="#icon-download"></use></svg>
         Download to Folder
       </div>
-      <div class="context-menu-separator"></div>
-      <div class="context-menu-item" data-action="rename">
+      <div class="context-menu-separator" ${hidden(changeable('rename') || changeable('delete'))}></div>
+      <div class="context-menu-item" data-action="rename" ${hidden(changeable('rename'))}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-rename"></use></svg>
         Rename
       </div>
-      <div class="context-menu-item" data-action="delete">
+      <div class="context-menu-item" data-action="delete" ${hidden(changeable('delete'))}>
         <svg width="16" height="16" fill="currentColor"><use href="#icon-delete"></use></svg>
         Delete
       </div>
+      <div class="context-menu-separator" ${hidden(showProperties)}></div>
+      <div class="context-menu-item" data-action="properties" ${hidden(showProperties)}>
+        <svg width="16" height="16" fill="currentColor"><use href="#icon-info"></use></svg>
+        Properties
+      </div>
     `;
     
     // Attach event listeners
+    this.setContextMenuRoles(contextMenu);
     contextMenu.querySelectorAll('.context-menu-item').forEach(item => {
       item.addEventListener('click', (e) => {
         const action = item.dataset.action;
-        this.handleContextMenuAction(action, path, item);
+        // Entries opening a submenu do nothing themselves
+        if (!action) {
+          e.stopPropagation();
+          return;
+        }
+        // Hidden first so that focus returns to the grid before e.g. a prompt takes it
         this.hideContextMenu();
+        this.handleContextMenuAction(action, path, item);
       });
     });
     
@@ -1695,7 +5681,126 @@ class FileManager extends HTMLElement {
   
   hideContextMenu() {
     const contextMenu = this.shadowRoot.querySelector('.context-menu');
+    const hadFocus = contextMenu.contains(this.shadowRoot.activeElement);
     contextMenu.style.display = 'none';
+    contextMenu.querySelectorAll('.context-menu-submenu.open').forEach(submenu => this.closeSubmenu(submenu));
+    // Focus returns to where the menu was opened from the keyboard
+    if (hadFocus && this.menuReturnFocus?.isConnected) {
+      this.menuReturnFocus.focus();
+    }
+    this.menuReturnFocus = null;
+  }
+  
+  // Open the context menu of the focused item from the keyboard, next to the item
+  openContextMenuAt(element) {
+    const path = element.dataset.path;
+    const item = this.items.find(i => (i.path || i.name) === path);
+    if (!item) return;
+    // Like right-clicking, an item outside the selection is selected alone
+    if (!this.selectedItems.has(path)) {
+      this.moveFocus(Number(element.dataset.index));
+    }
+    const rect = element.getBoundingClientRect();
+    this.menuReturnFocus = element;
+    this.showContextMenu(rect.left + rect.width / 2, rect.top + rect.height / 2, item);
+    this.focusMenuItem(0);
+  }
+  
+  // Menu semantics for the entries rendered, which are focused with the arrow keys
+  setContextMenuRoles(contextMenu) {
+    contextMenu.querySelectorAll('.context-menu-item').forEach(item => {
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+    });
+    contextMenu.querySelectorAll('.context-menu-separator').forEach(separator => {
+      separator.setAttribute('role', 'separator');
+    });
+    contextMenu.querySelectorAll('.context-menu-submenu').forEach(submenu => {
+      submenu.setAttribute('aria-haspopup', 'menu');
+      submenu.setAttribute('aria-expanded', 'false');
+      submenu.querySelector('.context-submenu').setAttribute('role', 'menu');
+    });
+  }
+  
+  // Entries of the menu, or of the submenu, which are shown
+  getMenuItems(menu) {
+    return Array.from(menu.children).filter(item => item.classList.contains('context-menu-item') && item.style.display !== 'none');
+  }
+  
+  focusMenuItem(index, menu = this.shadowRoot.querySelector('.context-menu')) {
+    const items = this.getMenuItems(menu);
+    if (items.length === 0) return;
+    items[(index + items.length) % items.length].focus();
+  }
+  
+  openSubmenu(submenu) {
+    submenu.classList.add('open');
+    submenu.setAttribute('aria-expanded', 'true');
+    this.focusMenuItem(0, submenu.querySelector('.context-submenu'));
+  }
+  
+  closeSubmenu(submenu) {
+    submenu.classList.remove('open');
+    submenu.setAttribute('aria-expanded', 'false');
+  }
+  
+  handleContextMenuKeyDown(e) {
+    const item = e.target.closest('.context-menu-item');
+    if (!item) return;
+    const menu = item.parentElement;
+    const items = this.getMenuItems(menu);
+    const index = items.indexOf(item);
+    const parentSubmenu = menu.classList.contains('context-submenu') ? menu.parentElement : null;
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        this.focusMenuItem(index + 1, menu);
+        break;
+      case 'ArrowUp':
+        this.focusMenuItem(index - 1, menu);
+        break;
+      case 'Home':
+        this.focusMenuItem(0, menu);
+        break;
+      case 'End':
+        this.focusMenuItem(-1, menu);
+        break;
+      case 'ArrowRight':
+        if (item.classList.contains('context-menu-submenu')) {
+          this.openSubmenu(item);
+        }
+        break;
+      case 'ArrowLeft':
+        if (parentSubmenu) {
+          this.closeSubmenu(parentSubmenu);
+          parentSubmenu.focus();
+        }
+        break;
+      case 'Enter':
+      case ' ':
+        if (item.classList.contains('context-menu-submenu')) {
+          this.openSubmenu(item);
+        } else {
+          item.click();
+        }
+        break;
+      case 'Escape':
+        // Escape leaves the submenu first, then the menu
+        if (parentSubmenu) {
+          this.closeSubmenu(parentSubmenu);
+          parentSubmenu.focus();
+        } else {
+          this.hideContextMenu();
+        }
+        break;
+      case 'Tab':
+        this.hideContextMenu();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
   }
   
   handleContextMenuAction(action, path, item) {
@@ -1703,21 +5808,36 @@ class FileManager extends HTMLElement {
       case 'open':
         this.navigateTo(path);
         break;
-      case 'open-exide':
-        this.openInExide(path);
+      case 'preview':
+        this.openPreview(path);
+        break;
+      case 'edit':
+        this.openPreview(path, true);
+        break;
+      case 'open-with': {
+        const file = this.items.find(i => (i.path || i.name) === path);
+        const handler = file && this.getItemOpenHandlers(file)[item.dataset.handler];
+        if (handler) {
+          this.openWith(handler, file);
+        }
         break;
+      }
       case 'download':
         this.downloadFilesToDirectory();
         break;
+      case 'properties':
+        // The selection, if the item belongs to it
+        this.openProperties(this.selectedItems.has(path) ? Array.from(this.selectedItems) : [path]);
+        break;
       case 'copy':
         // If the right-clicked item is not selected, select only it
         if (!this.selectedItems.has(path)) {
           this.selectedItems.clear();
           this.lastSelectedIndex = null;
           this.selectedItems.add(path);
-          const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
+          const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
           this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
-          this.renderGrid();
+          this.updateSelectionState();
         }
         this.performCopy();
         break;
@@ -1727,9 +5847,9 @@ class FileManager extends HTMLElement {
           this.selectedItems.clear();
           this.lastSelectedIndex = null;
           this.selectedItems.add(path);
-          const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
+          const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
           this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
-          this.renderGrid();
+          this.updateSelectionState();
         }
         this.performCut();
         break;
@@ -1745,9 +5865,9 @@ class FileManager extends HTMLElement {
           this.selectedItems.clear();
           this.lastSelectedIndex = null;
           this.selectedItems.add(path);
-          const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
+          const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
           this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
-          this.renderGrid();
+          this.updateSelectionState();
         }
         this.performRename(path);
         break;
@@ -1758,18 +5878,40 @@ class FileManager extends HTMLElement {
           this.selectedItems.clear();
           this.lastSelectedIndex = null;
           this.selectedItems.add(path);
-          const clickedIndex = this.items.findIndex(i => (i.path || i.name) === path);
+          const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
           this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
-          this.renderGrid();
+          this.updateSelectionState();
         }
         // performDelete will use all selected items
         this.performDelete();
         break;
+      case 'restore':
+      case 'delete-permanently':
+        // If the right-clicked item is not selected, select only it
+        if (!this.selectedItems.has(path)) {
+          this.selectedItems.clear();
+          this.selectedItems.add(path);
+          const clickedIndex = this.visibleItems.findIndex(i => (i.path || i.name) === path);
+          this.lastSelectedIndex = clickedIndex >= 0 ? clickedIndex : null;
+          this.updateSelectionState();
+        }
+        if (action === 'restore') {
+          this.restoreFromTrash(Array.from(this.selectedItems));
+        } else {
+          this.deleteFromTrash(Array.from(this.selectedItems));
+        }
+        break;
     }
   }
   
   // Utility Methods
+  // Dispatch an event to the host application, returns false if a cancelable event was canceled
+  emit(type, detail, cancelable = false) {
+    return this.dispatchEvent(new CustomEvent(type, { bubbles: true, composed: true, cancelable, detail }));
+  }
+  
   showError(message) {
+    this.emit('operation-error', { message });
     this.showMessage(message, 'error');
   }
   
@@ -1802,6 +5944,7 @@ class FileManager extends HTMLElement {
     
     // Show the footer
     messageFooter.style.display = 'flex';
+    this.announce(message, type === 'error');
     
     // Auto-hide after 5 seconds (10 seconds for errors)
     const hideDelay = type === 'error' ? 10000 : 5000;
@@ -1855,6 +5998,9 @@ class FileManager extends HTMLElement {
         this.messageTimeout = null;
       }
       
+      // Destructive questions start on the safe answer
+      const closeDialog = this.openMessageDialog(type === 'error' ? cancelBtn : confirmBtn, () => cancelBtn.click());
+      
       // Clean up function
       const cleanup = () => {
         messageFooter.style.display = 'none';
@@ -1864,6 +6010,7 @@ class FileManager extends HTMLElement {
         // Remove event listeners
         confirmBtn.onclick = null;
         cancelBtn.onclick = null;
+        closeDialog();
       };
       
       // Set up event handlers
@@ -1879,6 +6026,74 @@ class FileManager extends HTMLElement {
     });
   }
   
+  // Ask to pick one of several choices, optionally with a checkbox. Resolves to { value, checked }
+  showChoice(message, choices, type = 'info', optionLabel = null) {
+    return new Promise((resolve) => {
+      const messageFooter = this.shadowRoot.querySelector('.message-footer');
+      const messageText = this.shadowRoot.querySelector('.message-text');
+      const messageInput = this.shadowRoot.querySelector('.message-input');
+      const choicesEl = this.shadowRoot.querySelector('.message-choices');
+      const option = this.shadowRoot.querySelector('.message-option');
+      const optionInput = this.shadowRoot.querySelector('.message-option-input');
+      const closeBtn = this.shadowRoot.querySelector('.message-close');
+      
+      if (!messageFooter || !messageText || !choicesEl || !option) {
+        // Without the footer, fall back to the last choice (usually "Cancel")
+        resolve({ value: choices[choices.length - 1].value, checked: false });
+        return;
+      }
+      
+      // Hide input field and close button
+      if (messageInput) messageInput.style.display = 'none';
+      closeBtn.style.display = 'none';
+      
+      // Set message text and the optional checkbox
+      messageText.textContent = message;
+      optionInput.checked = false;
+      option.querySelector('.message-option-label').textContent = optionLabel || '';
+      option.style.display = optionLabel ? 'flex' : 'none';
+      
+      // Clean up function
+      let closeDialog = null;
+      const cleanup = () => {
+        messageFooter.style.display = 'none';
+        choicesEl.style.display = 'none';
+        choicesEl.innerHTML = '';
+        option.style.display = 'none';
+        closeBtn.style.display = 'block';
+        closeDialog();
+      };
+      
+      choicesEl.innerHTML = '';
+      choices.forEach(choice => {
+        const button = document.createElement('button');
+        button.className = 'message-choice-btn';
+        button.textContent = choice.label;
+        button.addEventListener('click', () => {
+          const checked = optionInput.checked;
+          cleanup();
+          resolve({ value: choice.value, checked });
+        });
+        choicesEl.appendChild(button);
+      });
+      choicesEl.style.display = 'flex';
+      
+      // Update classes based on type
+      messageFooter.className = `message-footer message-${type}`;
+      
+      // Show the footer
+      messageFooter.style.display = 'flex';
+      // Escape picks the last choice, usually "Cancel"
+      closeDialog = this.openMessageDialog(choicesEl.firstElementChild, () => choicesEl.lastElementChild.click());
+      
+      // Clear any existing timeout
+      if (this.messageTimeout) {
+        clearTimeout(this.messageTimeout);
+        this.messageTimeout = null;
+      }
+    });
+  }
+  
   showPrompt(message, defaultValue = '', type = 'info') {
     return new Promise((resolve) => {
       const messageFooter = this.shadowRoot.querySelector('.message-footer');
@@ -1910,6 +6125,7 @@ class FileManager extends HTMLElement {
       
       // Show the footer
       messageFooter.style.display = 'flex';
+      const closeDialog = this.openMessageDialog(messageInput, () => cancelBtn.click());
       
       // Focus and select input text
       setTimeout(() => {
@@ -1934,6 +6150,7 @@ class FileManager extends HTMLElement {
         confirmBtn.onclick = null;
         cancelBtn.onclick = null;
         messageInput.onkeydown = null;
+        closeDialog();
       };
       
       // Handle Enter key in input
@@ -1964,6 +6181,41 @@ class FileManager extends HTMLElement {
     });
   }
   
+  // Questions of the footer are dialogs taking the focus, which returns where it was once
+  // they are answered. Escape answers with cancel(). Returns the function closing the dialog.
+  openMessageDialog(focusTarget, cancel) {
+    const messageFooter = this.shadowRoot.querySelector('.message-footer');
+    const returnFocus = this.shadowRoot.activeElement;
+    messageFooter.setAttribute('role', 'alertdialog');
+    messageFooter.onkeydown = (e) => {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      e.stopPropagation();
+      cancel();
+    };
+    focusTarget?.focus();
+    
+    return () => {
+      messageFooter.removeAttribute('role');
+      messageFooter.onkeydown = null;
+      if (returnFocus?.isConnected && messageFooter.contains(this.shadowRoot.activeElement)) {
+        returnFocus.focus();
+      }
+    };
+  }
+  
+  // Tell screen reader users about the outcome of operations
+  announce(message, urgent = false) {
+    const region = this.shadowRoot.querySelector('.live-region');
+    if (!region) return;
+    region.setAttribute('aria-live', urgent ? 'assertive' : 'polite');
+    // Emptied first, so that a repeated message is announced again
+    region.textContent = '';
+    setTimeout(() => {
+      region.textContent = message;
+    }, 50);
+  }
+  
   hideMessage() {
     const messageFooter = this.shadowRoot.querySelector('.message-footer');
     if (messageFooter) {
@@ -0,0 +1,254 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getFileType } from './mime-types.js';
+import { getItemMimeType } from './item-metadata.js';
+
+// Further extensions of XML documents, e.g. schemas and stylesheets
+const XML_EXTENSIONS = ['xsl', 'xslt', 'xsd', 'rng', 'odd', 'xconf', 'xhtml', 'tei'];
+
+// Extensions of plain text files
+const TEXT_EXTENSIONS = ['txt', 'text', 'md', 'markdown', 'csv', 'tsv', 'log', 'ini', 'properties', 'yml', 'yaml', 'rnc', 'tex', 'bib'];
+
+// Texts longer than this are shown without highlighting, which would take too long
+export const HIGHLIGHT_LIMIT = 500000;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Decide how an item can be shown in the preview pane
+ * @param {Object} item - The item object
+ * @returns {string|null} - 'image', 'text', the language to highlight ('xml', 'xquery', 'json',
+ *   'css', 'javascript' or 'html'), or null if the item cannot be previewed
+ */
+export function getPreviewType(item) {
+  if (item.type === 'collection') return null;
+  const fileType = getFileType(item);
+  if (fileType) return fileType;
+
+  const mimeType = (getItemMimeType(item) || '').toLowerCase();
+  const name = item.name || item.path?.split('/').pop() || '';
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (XML_EXTENSIONS.includes(extension)) return 'xml';
+  if (mimeType.startsWith('text/') || TEXT_EXTENSIONS.includes(extension)) return 'text';
+  return null;
+}
+
+// Tokens are given as [class, pattern] where the class is either the suffix of the span's
+// tok-* class or a function returning the HTML for the token. Patterns must not capture.
+const XML_TAG = /<\/?[A-Za-z_][\w:.-]*(?:\s+[\w:.-]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*\s*\/?>/;
+
+const TAG_TOKENS = [
+  ['attr', /[\w:.-]+(?=\s*=)/],
+  ['string', /"[^"]*"|'[^']*'/],
+  ['punct', /\/?>|=/]
+];
+
+function highlightTag(tag) {
+  const [, open, name] = tag.match(/^(<\/?)([^\s/>]+)/);
+  return `<span class="tok-punct">${escapeHtml(open)}</span><span class="tok-tag">${escapeHtml(name)}</span>` +
+    tokenize(tag.substring(open.length + name.length), TAG_TOKENS);
+}
+
+const XML_TOKENS = [
+  ['comment', /<!--[\s\S]*?-->/],
+  ['cdata', /<!\[CDATA\[[\s\S]*?\]\]>/],
+  ['meta', /<[?!][\s\S]*?>/],
+  [highlightTag, XML_TAG],
+  ['entity', /&#?\w+;/]
+];
+
+const XQUERY_KEYWORDS = [
+  'xquery', 'version', 'encoding', 'module', 'namespace', 'declare', 'import', 'schema', 'at',
+  'function', 'variable', 'option', 'external', 'let', 'for', 'in', 'where', 'order', 'by',
+  'ascending', 'descending', 'group', 'count', 'return', 'if', 'then', 'else', 'some', 'every',
+  'satisfies', 'typeswitch', 'switch', 'case', 'default', 'try', 'catch', 'instance', 'of', 'as',
+  'treat', 'castable', 'cast', 'element', 'attribute', 'text', 'document', 'node', 'map', 'array',
+  'and', 'or', 'div', 'idiv', 'mod', 'eq', 'ne', 'lt', 'le', 'gt', 'ge', 'is', 'to', 'union',
+  'intersect', 'except', 'item', 'empty-sequence'
+];
+
+const XQUERY_TOKENS = [
+  ['comment', /\(:[\s\S]*?:\)/],
+  ['string', /"(?:[^"]|"")*"|'(?:[^']|'')*'/],
+  ['variable', /\$[\w:.-]+/],
+  // Names like local:count-items contain keywords but are none
+  ['keyword', new RegExp(`(?<![\\w:.-])(?:${XQUERY_KEYWORDS.join('|')})(?![\\w:.-])`)],
+  ['comment', /<!--[\s\S]*?-->/],
+  [highlightTag, XML_TAG],
+  ['number', /\b\d+(?:\.\d+)?\b/]
+];
+
+const JSON_TOKENS = [
+  ['attr', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/],
+  ['string', /"(?:[^"\\\n]|\\.)*"/],
+  ['keyword', /\b(?:true|false|null)\b/],
+  ['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/],
+  ['punct', /[{}[\],:]/]
+];
+
+const JAVASCRIPT_KEYWORDS = [
+  'const', 'let', 'var', 'function', 'return', 'if', 'else', 'for', 'while', 'do', 'switch', 'case',
+  'default', 'break', 'continue', 'new', 'class', 'extends', 'import', 'export', 'from', 'async',
+  'await', 'try', 'catch', 'finally', 'throw', 'typeof', 'instanceof', 'in', 'of', 'this', 'super',
+  'null', 'undefined', 'true', 'false', 'yield', 'delete', 'void', 'static'
+];
+
+const JAVASCRIPT_TOKENS = [
+  ['comment', /\/\/[^\n]*|\/\*[\s\S]*?\*\//],
+  ['string', /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`(?:[^`\\]|\\[\s\S])*`/],
+  ['keyword', new RegExp(`\\b(?:${JAVASCRIPT_KEYWORDS.join('|')})\\b`)],
+  ['number', /\b\d+(?:\.\d+)?\b/]
+];
+
+const CSS_TOKENS = [
+  ['comment', /\/\*[\s\S]*?\*\//],
+  ['string', /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/],
+  ['keyword', /@[\w-]+|!important/],
+  // Property names, but not selectors like a:hover
+  ['attr', /[\w-]+(?=\s*:[^{};]*[;}])/],
+  ['number', /#[\da-fA-F]{3,8}\b|-?\b\d+(?:\.\d+)?(?:%|[a-z]+)?/]
+];
+
+const TOKENS = {
+  xml: XML_TOKENS,
+  html: XML_TOKENS,
+  xquery: XQUERY_TOKENS,
+  json: JSON_TOKENS,
+  javascript: JAVASCRIPT_TOKENS,
+  css: CSS_TOKENS
+};
+
+/**
+ * Split a text into tokens and wrap each in a span with its class
+ * @param {string} text - The text to highlight
+ * @param {Array<Array>} tokens - [class, pattern] pairs, earlier ones take precedence
+ * @returns {string} - HTML with the text escaped
+ */
+function tokenize(text, tokens) {
+  const pattern = new RegExp(tokens.map(([, regex]) => `(${regex.source})`).join('|'), 'g');
+  let html = '';
+  let position = 0;
+  for (const match of text.matchAll(pattern)) {
+    const [type] = tokens[match.slice(1).findIndex(group => group !== undefined)];
+    html += escapeHtml(text.substring(position, match.index));
+    html += typeof type === 'function'
+      ? type(match[0])
+      : `<span class="tok-${type}">${escapeHtml(match[0])}</span>`;
+    position = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.substring(position));
+}
+
+/**
+ * Syntax highlight source code
+ * @param {string} text - The source code
+ * @param {string} language - 'xml', 'html', 'xquery', 'json', 'javascript' or 'css'; other
+ *   languages and texts longer than HIGHLIGHT_LIMIT are only escaped
+ * @returns {string} - HTML with tok-* spans, e.g. tok-tag, tok-attr, tok-string or tok-comment
+ */
+export function highlightCode(text, language) {
+  const tokens = TOKENS[language];
+  if (!tokens || text.length > HIGHLIGHT_LIMIT) {
+    return escapeHtml(text);
+  }
+  return tokenize(text, tokens);
+}
+
+function escapeXml(value) {
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function serializeAttributes(element) {
+  return Array.from(element.attributes)
+    .map(attribute => ` ${attribute.name}="${escapeXml(attribute.value).replace(/"/g, '&quot;')}"`)
+    .join('');
+}
+
+// Serialize a node as it is, without adding or removing whitespace
+function serializeInline(node) {
+  switch (node.nodeType) {
+    case Node.ELEMENT_NODE: {
+      const content = Array.from(node.childNodes).map(serializeInline).join('');
+      const start = `<${node.nodeName}${serializeAttributes(node)}`;
+      return content ? `${start}>${content}</${node.nodeName}>` : `${start}/>`;
+    }
+    case Node.TEXT_NODE:
+      return escapeXml(node.nodeValue);
+    case Node.CDATA_SECTION_NODE:
+      return `<![CDATA[${node.nodeValue}]]>`;
+    case Node.PROCESSING_INSTRUCTION_NODE:
+      return `<?${node.target} ${node.data}?>`;
+    case Node.COMMENT_NODE:
+      return `<!--${node.nodeValue}-->`;
+    case Node.DOCUMENT_TYPE_NODE: {
+      let id = '';
+      if (node.publicId) {
+        id = ` PUBLIC "${node.publicId}" "${node.systemId}"`;
+      } else if (node.systemId) {
+        id = ` SYSTEM "${node.systemId}"`;
+      }
+      return `<!DOCTYPE ${node.name}${id}>`;
+    }
+    default:
+      return '';
+  }
+}
+
+// Serialize a node on lines of its own, indenting the children of elements without text content
+function serializeIndented(node, prefix, indent) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const text = node.nodeValue.trim();
+    return text ? prefix + escapeXml(text) : '';
+  }
+  if (node.nodeType !== Node.ELEMENT_NODE) {
+    return prefix + serializeInline(node);
+  }
+
+  // Whitespace is significant in mixed content, so such elements are kept as they are
+  const children = Array.from(node.childNodes);
+  const mixed = children.some(child =>
+    (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) && child.nodeValue.trim() !== ''
+  );
+  if (mixed) {
+    return prefix + serializeInline(node);
+  }
+
+  const start = `<${node.nodeName}${serializeAttributes(node)}`;
+  const content = children
+    .map(child => serializeIndented(child, prefix + indent, indent))
+    .filter(line => line)
+    .join('\n');
+  return content
+    ? `${prefix}${start}>\n${content}\n${prefix}</${node.nodeName}>`
+    : `${prefix}${start}/>`;
+}
+
+/**
+ * Pretty-print an XML document. Elements containing text are left untouched, as
+ * whitespace may be significant in mixed content.
+ * @param {string} text - The XML source
+ * @param {string} indent - The indentation per level
+ * @returns {string} - The indented XML, or the text unchanged if it is not well-formed
+ */
+export function formatXml(text, indent = '  ') {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0) {
+    return text;
+  }
+
+  // The parser drops the XML declaration
+  const declaration = text.match(/^\s*(<\?xml[^>]*\?>)/);
+  const lines = declaration ? [declaration[1]] : [];
+  document.childNodes.forEach(node => {
+    const serialized = serializeIndented(node, '', indent);
+    if (serialized) lines.push(serialized);
+  });
+  return lines.join('\n');
+}
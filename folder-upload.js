@@ -0,0 +1,124 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+/**
+ * Collect the files and folders dropped onto the file manager. Folders are read
+ * recursively, so that their structure can be recreated when uploading.
+ * Must be called synchronously from the drop event handler: the items of the
+ * DataTransfer are not accessible anymore once the handler returns.
+ * @param {DataTransfer} dataTransfer - The dataTransfer of the drop event
+ * @returns {Promise<Object>} - { files, directories } where files is an array of
+ *   { file, path } and directories an array of paths, all relative to the drop
+ *   target, e.g. 'letters/1900/letter-01.xml'
+ */
+export function readDataTransfer(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []).filter(item => item.kind === 'file');
+
+  // Without the entries API only the dropped files themselves are available
+  if (!items.some(item => item.webkitGetAsEntry || item.getAsFileSystemHandle)) {
+    const files = Array.from(dataTransfer.files || []).map(file => ({ file, path: file.name }));
+    return Promise.resolve({ files, directories: [] });
+  }
+
+  // Get hold of the entries right away, reading them continues asynchronously
+  const sources = items.map(item => {
+    const entry = item.webkitGetAsEntry ? item.webkitGetAsEntry() : null;
+    if (entry) return entry;
+    if (item.getAsFileSystemHandle) return item.getAsFileSystemHandle();
+    return item.getAsFile();
+  });
+
+  return Promise.all(sources).then(async resolved => {
+    const result = { files: [], directories: [] };
+    for (const source of resolved) {
+      await readSource(source, '', result);
+    }
+    return result;
+  });
+}
+
+/**
+ * Read a single dropped entry, file handle or file into the result, descending into folders
+ * @param {FileSystemEntry|FileSystemHandle|File|null} source - The dropped item
+ * @param {string} parent - The relative path of the containing folder, empty or ending with '/'
+ * @param {Object} result - The { files, directories } collected so far
+ * @returns {Promise<void>}
+ */
+async function readSource(source, parent, result) {
+  if (!source) return;
+
+  // Plain File from getAsFile()
+  if (typeof File !== 'undefined' && source instanceof File) {
+    result.files.push({ file: source, path: parent + source.name });
+    return;
+  }
+
+  const path = parent + source.name;
+
+  // FileSystemHandle from getAsFileSystemHandle()
+  if (source.kind === 'file') {
+    result.files.push({ file: await source.getFile(), path });
+    return;
+  }
+  if (source.kind === 'directory') {
+    result.directories.push(path);
+    for await (const child of source.values()) {
+      await readSource(child, path + '/', result);
+    }
+    return;
+  }
+
+  // FileSystemEntry from webkitGetAsEntry()
+  if (source.isFile) {
+    const file = await new Promise((resolve, reject) => source.file(resolve, reject));
+    result.files.push({ file, path });
+  } else if (source.isDirectory) {
+    result.directories.push(path);
+    for (const child of await readAllEntries(source)) {
+      await readSource(child, path + '/', result);
+    }
+  }
+}
+
+/**
+ * Read all entries of a directory. readEntries() returns them in batches and
+ * has to be called until it returns an empty list.
+ * @param {FileSystemDirectoryEntry} directory - The directory entry
+ * @returns {Promise<Array<FileSystemEntry>>} - The entries of the directory
+ */
+async function readAllEntries(directory) {
+  const reader = directory.createReader();
+  const entries = [];
+  while (true) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) break;
+    entries.push(...batch);
+  }
+  return entries;
+}
+
+/**
+ * Get the collections which need to be created before uploading files into their folders
+ * @param {Array<Object>} files - The { file, path } entries to upload
+ * @param {Array<string>} directories - Additional (possibly empty) folders to create
+ * @returns {Array<string>} - Relative collection paths, parents before their children
+ */
+export function getUploadCollections(files, directories = []) {
+  const collections = new Set();
+  const addWithParents = (path) => {
+    const parts = path.split('/').filter(p => p);
+    for (let i = 1; i <= parts.length; i++) {
+      collections.add(parts.slice(0, i).join('/'));
+    }
+  };
+
+  directories.forEach(addWithParents);
+  files.forEach(({ path }) => {
+    const index = path.lastIndexOf('/');
+    if (index > 0) {
+      addWithParents(path.substring(0, index));
+    }
+  });
+
+  return Array.from(collections).sort((a, b) => a.split('/').length - b.split('/').length);
+}
@@ -0,0 +1,68 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getFileType } from './mime-types.js';
+
+/**
+ * Parse the text typed into the filter box. Supported forms:
+ * - `type:xml` matches items by file type (as returned by getFileType) or `type:collection`
+ * - `*.xml`, `chapter-?.xml` are globs matched against the whole name
+ * - anything else matches as a case insensitive substring of the name
+ * @param {string} query - The filter text
+ * @returns {Object|null} - The parsed filter or null if the query is empty
+ */
+export function parseFilter(query) {
+  const text = (query || '').trim();
+  if (!text) return null;
+
+  const typeMatch = text.match(/^type:\s*(\S*)$/i);
+  if (typeMatch) {
+    return { kind: 'type', value: typeMatch[1].toLowerCase() };
+  }
+
+  if (/[*?]/.test(text)) {
+    // Capture each literal run so that the matching parts can be highlighted
+    let source = '';
+    text.split(/([*?])/).forEach(part => {
+      if (part === '*') {
+        source += '.*?';
+      } else if (part === '?') {
+        source += '.';
+      } else if (part) {
+        source += `(${part.replace(/[.+^${}()|[\]\\]/g, '\\$&')})`;
+      }
+    });
+    return { kind: 'glob', value: text, regex: new RegExp(`^${source}$`, 'id') };
+  }
+
+  return { kind: 'text', value: text.toLowerCase() };
+}
+
+/**
+ * Match an item against a parsed filter
+ * @param {Object} item - The item object
+ * @param {Object} filter - A filter returned by parseFilter
+ * @returns {Array<Array<number>>|null} - The [start, end] ranges of the name to highlight
+ *   (possibly empty, e.g. for type filters) or null if the item does not match
+ */
+export function matchItem(item, filter) {
+  const name = item.name || '';
+
+  switch (filter.kind) {
+    case 'type': {
+      const type = item.type === 'collection' ? 'collection' : getFileType(item);
+      if (!filter.value) return [];
+      return type && type.startsWith(filter.value) ? [] : null;
+    }
+    case 'glob': {
+      const match = filter.regex.exec(name);
+      if (!match) return null;
+      return match.indices.slice(1).filter(range => range && range[1] > range[0]);
+    }
+    case 'text':
+    default: {
+      const index = name.toLowerCase().indexOf(filter.value);
+      return index < 0 ? null : [[index, index + filter.value.length]];
+    }
+  }
+}
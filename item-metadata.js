@@ -0,0 +1,261 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getFileType } from './mime-types.js';
+
+// Columns shown in the list view, in display order
+export const LIST_COLUMNS = [
+  { key: 'name', label: 'Name' },
+  { key: 'type', label: 'Type' },
+  { key: 'size', label: 'Size' },
+  { key: 'modified', label: 'Modified' },
+  { key: 'owner', label: 'Owner / Group' },
+  { key: 'permissions', label: 'Permissions' }
+];
+
+// Sort keys offered in the toolbar, the list view additionally sorts by its other columns
+export const SORT_KEYS = [
+  { key: 'name', label: 'Name' },
+  { key: 'type', label: 'Type' },
+  { key: 'size', label: 'Size' },
+  { key: 'modified', label: 'Date' }
+];
+
+/**
+ * Get the mime-type of an item
+ * @param {Object} item - The item object
+ * @returns {string|null} - The mime-type or null if not provided by the API
+ */
+export function getItemMimeType(item) {
+  // API may return it as 'mime', 'mime-type', or 'mimeType'
+  return item.mime || item['mime-type'] || item.mimeType || null;
+}
+
+/**
+ * Get a short, human readable type label for an item
+ * @param {Object} item - The item object
+ * @returns {string} - 'Collection', the file type, the mime-type or the file extension
+ */
+export function getItemTypeLabel(item) {
+  if (item.type === 'collection') return 'Collection';
+  const fileType = getFileType(item);
+  if (fileType) return fileType.toUpperCase();
+  const mimeType = getItemMimeType(item);
+  if (mimeType) return mimeType;
+  const name = item.name || '';
+  return name.includes('.') ? name.split('.').pop().toUpperCase() : 'File';
+}
+
+/**
+ * Get the size of an item in bytes
+ * @param {Object} item - The item object
+ * @returns {number|null} - The size or null if unknown (always null for collections)
+ */
+export function getItemSize(item) {
+  if (item.type === 'collection') return null;
+  const size = item.size ?? item['content-length'] ?? item.contentLength;
+  if (size === undefined || size === null || size === '') return null;
+  const number = Number(size);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Get the last modification date of an item
+ * @param {Object} item - The item object
+ * @returns {Date|null} - The date or null if not provided or not parseable
+ */
+export function getItemModified(item) {
+  // API may return it as 'modified', 'lastModified', 'last-modified' or only 'created'
+  const value = item.modified || item.lastModified || item['last-modified'] || item.created;
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the creation date of an item
+ * @param {Object} item - The item object
+ * @returns {Date|null} - The date or null if not provided or not parseable
+ */
+export function getItemCreated(item) {
+  if (!item.created) return null;
+  const date = new Date(item.created);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the date an item in the trash was deleted
+ * @param {Object} item - The item object
+ * @returns {Date|null} - The date or null if not in the trash or not parseable
+ */
+export function getItemDeleted(item) {
+  if (!item.deleted) return null;
+  const date = new Date(item.deleted);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Get the owner and group of an item
+ * @param {Object} item - The item object
+ * @returns {string} - "owner / group", or whichever of the two is known
+ */
+export function getItemOwner(item) {
+  const owner = item.owner || '';
+  const group = item.group || '';
+  if (owner && group) return `${owner} / ${group}`;
+  return owner || group;
+}
+
+/**
+ * Get the permissions of an item as a symbolic string
+ * @param {Object} item - The item object
+ * @returns {string} - e.g. 'rwxr-xr-x', or an empty string if unknown
+ */
+export function getItemPermissions(item) {
+  const value = item.permissions ?? item.mode;
+  if (value === undefined || value === null) return '';
+  return formatPermissions(value);
+}
+
+/**
+ * Convert a numeric (octal) mode into its symbolic representation, where setuid, setgid
+ * and the sticky bit show as s or t in place of the execute flag (S or T if it is not set).
+ * Strings which are already symbolic are returned unchanged.
+ * @param {number|string} mode - The mode, e.g. 0o755, '755', '4755' or 'rwxr-xr-x'
+ * @returns {string} - The symbolic representation, e.g. 'rwxr-xr-x' or 'rwsr-xr-x'
+ */
+export function formatPermissions(mode) {
+  let value = mode;
+  if (typeof value === 'string') {
+    if (!/^[0-7]{3,4}$/.test(value)) return value;
+    value = parseInt(value, 8);
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) return '';
+  const flags = ['r', 'w', 'x'];
+  // Special bit and its letter for the user, group and other triplets
+  const special = [[0o4000, 's'], [0o2000, 's'], [0o1000, 't']];
+  let result = '';
+  for (let shift = 6; shift >= 0; shift -= 3) {
+    const bits = (value >> shift) & 7;
+    const [bit, letter] = special[2 - shift / 3];
+    flags.forEach((flag, i) => {
+      if (i === 2 && value & bit) {
+        result += bits & 1 ? letter : letter.toUpperCase();
+      } else {
+        result += bits & (4 >> i) ? flag : '-';
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Format a size in bytes for display
+ * @param {number|null} bytes - The size in bytes
+ * @returns {string} - e.g. '12.3 KB', or an empty string if unknown
+ */
+export function formatSize(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = -1;
+  do {
+    value /= 1024;
+    unit++;
+  } while (value >= 1024 && unit < units.length - 1);
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * Format a date for display
+ * @param {Date|null} date - The date
+ * @returns {string} - The localized date and time, or an empty string if unknown
+ */
+export function formatDate(date) {
+  if (!date) return '';
+  return date.toLocaleString(undefined, {
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+// Numeric aware, case insensitive comparison: "file2.xml" sorts before "file10.xml"
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Compare two names the way a user expects, i.e. numeric aware and case insensitive
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} - Negative, zero or positive as for Array.prototype.sort
+ */
+export function compareNames(a, b) {
+  return collator.compare(a || '', b || '');
+}
+
+/**
+ * Get the value used to sort an item by the given column
+ * @param {Object} item - The item object
+ * @param {string} key - One of the keys in LIST_COLUMNS
+ * @returns {string|number|null} - The sort value, null if unknown
+ */
+export function getSortValue(item, key) {
+  switch (key) {
+    case 'type':
+      return getItemTypeLabel(item);
+    case 'size':
+      return getItemSize(item);
+    case 'modified':
+      return getItemModified(item)?.getTime() ?? null;
+    case 'deleted':
+      return getItemDeleted(item)?.getTime() ?? null;
+    case 'owner':
+      return getItemOwner(item);
+    case 'permissions':
+      return getItemPermissions(item);
+    case 'location': {
+      // Items in the trash are sorted by where they were deleted from
+      const path = item.originalPath || item.path;
+      return path ? path.substring(0, path.lastIndexOf('/')) : '';
+    }
+    case 'name':
+    default:
+      return item.name || '';
+  }
+}
+
+/**
+ * Sort items by the given column. The parent entry ".." always stays on top,
+ * items without a value for the column are sorted last. Strings are compared
+ * with compareNames, ties are broken by name.
+ * @param {Array<Object>} items - The items to sort (not modified)
+ * @param {string} key - One of the keys in LIST_COLUMNS
+ * @param {string} direction - 'asc' or 'desc'
+ * @param {boolean} foldersFirst - Whether collections are kept before resources
+ * @returns {Array<Object>} - A new, sorted array
+ */
+export function sortItems(items, key = 'name', direction = 'asc', foldersFirst = true) {
+  const factor = direction === 'desc' ? -1 : 1;
+  return [...items].sort((a, b) => {
+    if (a.name === '..') return -1;
+    if (b.name === '..') return 1;
+    if (foldersFirst && (a.type === 'collection') !== (b.type === 'collection')) {
+      return a.type === 'collection' ? -1 : 1;
+    }
+    const valueA = getSortValue(a, key);
+    const valueB = getSortValue(b, key);
+    if (valueA === valueB) {
+      return key === 'name' ? 0 : compareNames(a.name, b.name) * factor;
+    }
+    if (valueA === null || valueA === '') return 1;
+    if (valueB === null || valueB === '') return -1;
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      return (valueA - valueB) * factor;
+    }
+    const result = compareNames(String(valueA), String(valueB));
+    return (result === 0 && key !== 'name' ? compareNames(a.name, b.name) : result) * factor;
+  });
+}
@@ -0,0 +1,147 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+/**
+ * An item of a listing, as the component works with it:
+ * @typedef {Object} Item
+ * @property {string} name - Name of the collection or resource, '..' for the parent entry
+ * @property {string} path - Absolute path, e.g. /db/apps/test/data/a.xml
+ * @property {'collection'|'resource'} type - Whether it is a collection or a resource
+ * @property {string} [mime] - Mime-type of a resource
+ * @property {number} [size] - Size of a resource in bytes
+ * @property {string} [modified] - Date of the last modification
+ * @property {string} [created] - Date of creation
+ * @property {string|number} [permissions] - Symbolic like 'rwxr-xr-x' or a numeric mode
+ * @property {string} [owner] - Owner
+ * @property {string} [group] - Group
+ * @property {string} [collection] - Collection a search result was found in
+ *
+ * Other properties, e.g. writable, are kept as they are.
+ */
+
+// Values of type meaning a collection or a resource
+const COLLECTION_TYPES = ['collection', 'directory', 'folder', 'dir'];
+const RESOURCE_TYPES = ['resource', 'file', 'document', 'binary', 'xml'];
+
+/**
+ * Find the list of items in the response formats of the collections and search APIs:
+ * { items: [...] }, { collection: [...] }, { collections: [...], resources: [...] }, a plain
+ * array, an object with a single array property, or an object mapping names to items
+ * @param {Object|Array} data - The parsed response
+ * @returns {Array<Object>} - The raw items
+ * @throws {Error} - If the response has none of these formats
+ */
+export function extractItems(data) {
+  const asArray = (value) => Array.isArray(value) ? value : [value];
+
+  if (Array.isArray(data)) return data;
+  if (!data || typeof data !== 'object') {
+    throw new Error(`Unexpected response: expected a list of items, got ${describe(data)}`);
+  }
+  if ('items' in data) return data.items ? asArray(data.items) : [];
+  // Search results name the collection an item was found in, a string, in the same property
+  if (data.collection && typeof data.collection === 'object') return asArray(data.collection);
+  if (data.collections || data.resources) {
+    return [
+      ...(data.collections ? asArray(data.collections) : []).map(c => ({ ...c, type: 'collection' })),
+      ...(data.resources ? asArray(data.resources) : []).map(r => ({ ...r, type: 'resource' }))
+    ];
+  }
+  const arrayKeys = Object.keys(data).filter(key => Array.isArray(data[key]));
+  if (arrayKeys.length === 1) return data[arrayKeys[0]];
+
+  // Items keyed by their names
+  const values = Object.entries(data);
+  if (values.length > 0 && values.every(([, value]) => value && typeof value === 'object' && !Array.isArray(value))) {
+    return values.map(([key, value]) => ({ ...value, name: value.name || key }));
+  }
+  throw new Error(`Unexpected response: expected a list of items, got ${describe(data)}`);
+}
+
+/**
+ * The default mapper, translating the property names used by jinks and eXide into those of
+ * the schema: key, isCollection, mime-type or mimeType, content-length, lastModified or
+ * last-modified, mode. A trailing slash of the key or path marks a collection.
+ * @param {Object} raw - An item as found by extractItems()
+ * @returns {Object} - The item with the properties of the schema set as far as known
+ */
+export function mapItem(raw) {
+  if (!raw || typeof raw !== 'object') return raw;
+  const item = { ...raw };
+  const location = item.path || item.key;
+  if (!item.path && item.key) {
+    item.path = item.key;
+  }
+  if (!item.name && location) {
+    item.name = location.split('/').filter(p => p).pop() || location;
+  }
+  if (typeof item.type === 'string') {
+    const type = item.type.toLowerCase();
+    if (COLLECTION_TYPES.includes(type)) item.type = 'collection';
+    else if (RESOURCE_TYPES.includes(type)) item.type = 'resource';
+  }
+  if (item.isCollection !== undefined) {
+    item.type = item.isCollection ? 'collection' : 'resource';
+  } else if (!isKnownType(item.type) && typeof location === 'string' && location.endsWith('/')) {
+    item.type = 'collection';
+  }
+  const aliases = {
+    mime: item.mime || item['mime-type'] || item.mimeType,
+    size: item.size ?? item['content-length'] ?? item.contentLength,
+    modified: item.modified || item.lastModified || item['last-modified'],
+    permissions: item.permissions ?? item.mode
+  };
+  Object.entries(aliases).filter(([, value]) => value !== undefined && value !== null).forEach(([key, value]) => {
+    item[key] = value;
+  });
+  if (item.path && item.path.length > 1) {
+    item.path = item.path.replace(/\/+$/, '');
+  }
+  return item;
+}
+
+/**
+ * Complete a mapped item: the parent entry points to the parent collection, other items
+ * without a path are taken to be in the collection listed or, for search results, in the
+ * one they name. Items not saying whether they are a collection count as resources.
+ * @param {Object} item - The item as returned by a mapper
+ * @param {string} collectionPath - The collection listed
+ * @returns {Item|null} - The item, null if it has neither name nor path
+ */
+export function normalizeItem(item, collectionPath) {
+  if (!item || typeof item !== 'object' || !item.name) return null;
+
+  if (item.name === '..') {
+    // The key or path of the parent entry may already be the parent collection
+    let parentPath = item.path && item.path !== collectionPath ? item.path : null;
+    if (!parentPath) {
+      const parts = collectionPath.split('/').filter(p => p);
+      parts.pop();
+      parentPath = parts.length > 0 ? '/' + parts.join('/') : '/';
+    }
+    return { ...item, path: parentPath, type: 'collection' };
+  }
+
+  if (!item.path) {
+    // Search results name the collection they were found in
+    const parent = typeof item.collection === 'string' ? item.collection : collectionPath;
+    item.path = parent.endsWith('/') ? parent + item.name : parent + '/' + item.name;
+  }
+  if (!isKnownType(item.type)) {
+    console.warn('Item without type, taken as resource:', item.path);
+    item.type = 'resource';
+  }
+  return item;
+}
+
+function isKnownType(type) {
+  return type === 'collection' || type === 'resource';
+}
+
+// Short description of a value for error messages
+function describe(data) {
+  if (data === null || data === undefined) return 'nothing';
+  if (typeof data !== 'object') return `a ${typeof data}`;
+  const keys = Object.keys(data);
+  return keys.length > 0 ? `an object with ${keys.slice(0, 5).join(', ')}` : 'an empty object';
+}
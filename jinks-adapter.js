@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { BackendAdapter } from './backend-adapter.js';
+
+/**
+ * The default backend: the file manager API of jinks, with resources read and written
+ * through the REST interface of eXist-db next to it
+ */
+export class JinksAdapter extends BackendAdapter {
+  /**
+   * @param {string} apiBase - Base URL of jinks, e.g. /exist/apps/jinks
+   */
+  constructor(apiBase = '/exist/apps/jinks') {
+    super();
+    this.apiBase = apiBase;
+  }
+
+  // e.g. /exist/apps/jinks -> /exist/rest
+  getRestBase() {
+    return this.apiBase.replace('/apps/jinks', '/rest');
+  }
+
+  /**
+   * eXide is installed next to jinks
+   * @returns {string} - URL of eXide's start page
+   */
+  getExideUrl() {
+    return `${this.apiBase.replace('/apps/jinks', '/apps/eXide')}/index.html`;
+  }
+
+  getFileUrl(path) {
+    return `${this.getRestBase()}${path}`;
+  }
+
+  async listCollection(path, { start, end, sort, order, foldersFirst }) {
+    // API: GET /api/collections/{collection}
+    // The sort order is forwarded so that server-side pagination matches the displayed order
+    const params = new URLSearchParams({ start, end, sort, order, foldersFirst });
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(path)}?${params}`;
+    const response = await this.fetch(url);
+    await this.checkResponse(response, 'Collection');
+
+    // Try to parse as JSON regardless of content-type
+    // Some APIs return JSON with text/javascript or text/plain content-type
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.text();
+
+    // Check if it looks like JSON (starts with { or [)
+    if (!text.trim().match(/^[\s]*[{\[]/)) {
+      console.warn('Response does not appear to be JSON, content-type:', contentType);
+      console.warn('Response text:', text.substring(0, 500));
+      throw new Error(`Response is not valid JSON. Content-type: ${contentType}`);
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (parseError) {
+      console.error('Failed to parse JSON:', parseError);
+      console.error('Response text:', text.substring(0, 500));
+      throw new Error(`Failed to parse JSON response: ${parseError.message}`);
+    }
+  }
+
+  async search(path, { query, content = false, start, end, sort, order }) {
+    // API: GET /api/collections/{collection}/search
+    // - name: name or glob pattern matched against resources and collections below the collection
+    // - content: text to find in documents using the full-text index (instead of name)
+    // - start, end: range of results to return
+    const params = new URLSearchParams({ start, end, sort, order });
+    params.set(content ? 'content' : 'name', query);
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(path)}/search?${params}`;
+    const response = await this.fetch(url);
+    await this.checkResponse(response, 'Search');
+    return this.checkResult(await response.json(), 'Search');
+  }
+
+  async upload(collection, file, { onProgress = null, signal = null, name = null, overwrite = false } = {}) {
+    const formData = new FormData();
+
+    // API: POST /api/upload
+    // - collection: query parameter (collection path)
+    // - path: query parameter (optional, filename if not provided)
+    // - deploy: query parameter (optional, boolean)
+    // - overwrite: query parameter (optional, boolean), set when the user chose to replace an existing resource
+    // - file[]: form data (binary file)
+    formData.append('file[]', file);
+
+    // Build URL with query parameters
+    const url = new URL(`${this.apiBase}/api/upload`, window.location.origin);
+    url.searchParams.append('collection', collection);
+    // path parameter is optional - if not provided, filename from upload will be used
+    if (name) {
+      url.searchParams.append('path', name);
+    }
+    if (overwrite) {
+      url.searchParams.append('overwrite', 'true');
+    }
+    // deploy parameter is optional - default is false
+
+    const headers = await this.getAuthHeaders();
+
+    // XMLHttpRequest rather than fetch, as only it reports the progress of the upload
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', url.toString());
+      Object.entries(headers).forEach(([header, value]) => xhr.setRequestHeader(header, value));
+
+      if (onProgress) {
+        xhr.upload.addEventListener('progress', (e) => {
+          onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+        });
+      }
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status < 200 || xhr.status >= 300) {
+          const errorText = xhr.responseText || '';
+          console.error('Upload HTTP error:', xhr.status, errorText);
+          const error = new Error(`HTTP error! status: ${xhr.status} - ${errorText.substring(0, 100)}`);
+          error.status = xhr.status;
+          reject(error);
+          return;
+        }
+
+        // API returns JSON with files array
+        try {
+          resolve(JSON.parse(xhr.responseText));
+        } catch (e) {
+          // Fallback for non-JSON responses
+          resolve({ success: true, message: xhr.responseText });
+        }
+      });
+      xhr.addEventListener('error', () => {
+        console.error('Error uploading file:', file.name);
+        reject(new Error('Network error'));
+      });
+      xhr.addEventListener('abort', () => {
+        reject(new DOMException('Upload canceled', 'AbortError'));
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new DOMException('Upload canceled', 'AbortError'));
+          return;
+        }
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.send(formData);
+    });
+  }
+
+  async createCollection(collection, name) {
+    // API: POST /api/collections/{collection}?name={name}
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collection)}?name=${encodeURIComponent(name)}`;
+    const response = await this.fetch(url, { method: 'POST' });
+    await this.checkResponse(response, 'Create collection');
+    return this.checkResult(await response.json(), 'Create collection');
+  }
+
+  async deleteItems(collection, paths) {
+    // API: DELETE /api/collections/{collection}?remove=path1&remove=path2
+    // The remove parameter is an array (exploded form style), so multiple remove= parameters
+    // Paths can be relative to the collection or absolute
+    const removeParams = paths.map(path => `remove=${encodeURIComponent(path)}`).join('&');
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collection)}?${removeParams}`;
+    const response = await this.fetch(url, { method: 'DELETE' });
+    await this.checkResponse(response, 'Delete');
+
+    // Try to parse as JSON, but handle non-JSON responses
+    const contentType = response.headers.get('content-type') || '';
+    const text = await response.text();
+    let result;
+    if (contentType.includes('application/json') || contentType.includes('text/javascript')) {
+      try {
+        result = JSON.parse(text);
+      } catch (e) {
+        result = { success: true, message: text };
+      }
+    } else {
+      result = { success: true, message: text };
+    }
+    return this.checkResult(result, 'Delete');
+  }
+
+  async renameItem(collection, name, newName) {
+    // API: PATCH /api/collections/{collection}/resources/{resource}
+    // - Request body: JSON with "name" (new name)
+    return this.patchItem(collection, name, { name: newName }, 'Rename');
+  }
+
+  async changePermissions(collection, name, changes) {
+    // PATCH /api/collections/{collection}/resources/{resource}, like renaming
+    // - Request body: JSON with any of "owner", "group" and "permissions" (symbolic, e.g. "rwxr-xr-x",
+    //   with s/S and t/T for setuid, setgid and sticky), plus "recursive" to apply them to the
+    //   contents of a collection as well
+    return this.patchItem(collection, name, changes, 'Change permissions');
+  }
+
+  async patchItem(collection, name, body, label) {
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collection)}/resources/${encodeURIComponent(name)}`;
+    const response = await this.fetch(url, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    await this.checkResponse(response, label);
+    return response.json();
+  }
+
+  async copyItems(collection, sources, target, options = {}) {
+    // API: POST /api/collections/{collection}/copy
+    // - collection: source collection path (path parameter)
+    // - Request body: JSON with "target" (target collection path) and "sources" (array of resource/collection names relative to source collection or absolute paths)
+    // - Optional "overwrite" (replace existing items) and "names" (source path -> new name for items kept next to an existing one)
+    return this.transferItems('copy', collection, sources, target, options);
+  }
+
+  async moveItems(collection, sources, target, options = {}) {
+    // API: POST /api/collections/{collection}/move, with the body of copying
+    return this.transferItems('move', collection, sources, target, options);
+  }
+
+  async transferItems(action, collection, sources, target, { overwrite = false, names = {} }) {
+    const body = { target, sources };
+    // Conflict decisions are only sent along if the user made one
+    if (overwrite) {
+      body.overwrite = true;
+    }
+    if (Object.keys(names).length > 0) {
+      body.names = names;
+    }
+    const url = `${this.apiBase}/api/collections/${encodeURIComponent(collection)}/${action}`;
+    const response = await this.fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+    await this.checkResponse(response, action === 'copy' ? 'Copy' : 'Move');
+    return response.json();
+  }
+
+  async writeFile(path, content, contentType) {
+    // Store the content through the REST API
+    const response = await this.fetch(this.getFileUrl(path), {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: content
+    });
+    await this.checkResponse(response, 'Save');
+  }
+
+  // The API reports some failures with a success status
+  checkResult(result, label) {
+    if (result && result.status === 'fail' && result.message) {
+      console.error(`${label} failed, response:`, result);
+      throw new Error(result.message);
+    }
+    return result;
+  }
+}
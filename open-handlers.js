@@ -0,0 +1,101 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getFileType } from './mime-types.js';
+import { getItemMimeType } from './item-metadata.js';
+
+/**
+ * Bring handlers registered by the host page into a uniform shape. Each handler is
+ * { id, label, types, mimeTypes, extensions, match, url, target, open, default } where
+ * types are file types as returned by getFileType() (e.g. 'xml'), mimeTypes may end in
+ * a wildcard (e.g. 'image/*'), match is an optional function(item) and a handler without
+ * any of these applies to all files. It either opens a url (see expandUrl) in the
+ * window or tab named by target, or calls open(item, fileManager).
+ * @param {Array<Object>} handlers - The handlers as given
+ * @returns {Array<Object>} - The handlers, without entries lacking a label or a way to open
+ */
+export function normalizeOpenHandlers(handlers) {
+  if (!Array.isArray(handlers)) return [];
+  return handlers
+    .filter(handler => handler && handler.label && (typeof handler.open === 'function' || handler.url))
+    .map(handler => ({
+      ...handler,
+      id: handler.id || handler.label,
+      types: handler.types || [],
+      mimeTypes: handler.mimeTypes || [],
+      extensions: (handler.extensions || []).map(extension => extension.replace(/^\./, '').toLowerCase()),
+      target: handler.target || '_blank',
+      default: !!handler.default
+    }));
+}
+
+/**
+ * Parse the open-handlers attribute
+ * @param {string|null} value - A JSON array of handlers
+ * @returns {Array<Object>} - The handlers, an empty array if the value is missing or invalid
+ */
+export function parseOpenHandlers(value) {
+  if (!value) return [];
+  try {
+    return normalizeOpenHandlers(JSON.parse(value));
+  } catch (error) {
+    console.error('Invalid open-handlers configuration:', error);
+    return [];
+  }
+}
+
+/**
+ * Check whether a handler applies to an item
+ * @param {Object} handler - A normalized handler
+ * @param {Object} item - The item object
+ * @returns {boolean} - True for resources matching any of the handler's criteria
+ */
+export function matchesOpenHandler(handler, item) {
+  if (item.type === 'collection') return false;
+  const { types, mimeTypes, extensions, match } = handler;
+  if (types.length === 0 && mimeTypes.length === 0 && extensions.length === 0 && !match) {
+    return true;
+  }
+
+  const fileType = getFileType(item);
+  if (fileType && types.includes(fileType)) return true;
+
+  const mimeType = (getItemMimeType(item) || '').toLowerCase().split(';')[0].trim();
+  if (mimeType && mimeTypes.some(pattern =>
+    pattern.endsWith('/*') ? mimeType.startsWith(pattern.slice(0, -1)) : mimeType === pattern
+  )) {
+    return true;
+  }
+
+  const name = item.name || '';
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  if (extension && extensions.includes(extension)) return true;
+
+  return typeof match === 'function' && !!match(item);
+}
+
+function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Fill in the placeholders of a handler's url: {path} (absolute path of the item),
+ * {relative} (path relative to the root), {collection} (path of the containing
+ * collection) and {name}. Values are URL encoded, slashes of paths are kept.
+ * @param {string} template - e.g. '/exist/apps/tei-publisher/{relative}'
+ * @param {Object} item - The item object
+ * @param {string} root - The root collection of the file manager
+ * @returns {string} - The url
+ */
+export function expandUrl(template, item, root) {
+  const path = item.path || '';
+  const collection = path.substring(0, path.lastIndexOf('/'));
+  const relative = path.startsWith(root + '/') ? path.substring(root.length + 1) : path;
+  const values = {
+    path: encodePath(path),
+    relative: encodePath(relative),
+    collection: encodePath(collection),
+    name: encodeURIComponent(item.name || '')
+  };
+  return template.replace(/\{(path|relative|collection|name)\}/g, (placeholder, key) => values[key]);
+}
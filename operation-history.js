@@ -0,0 +1,114 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+/**
+ * Undo/redo history of file operations. Each operation is recorded as
+ * { label, undo, redo, discard } where undo and redo are async functions calling
+ * the inverse and the original API, and the optional discard is called once the
+ * operation can no longer be undone or redone, e.g. to purge items held for undo.
+ */
+export class OperationHistory {
+  /**
+   * @param {Object} options - { limit, onChange } with the maximum number of operations
+   *   kept and a callback invoked whenever the history changes
+   */
+  constructor({ limit = 50, onChange = () => {} } = {}) {
+    this.limit = limit;
+    this.onChange = onChange;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.running = false;
+  }
+
+  /**
+   * Record an operation which has just been performed. Operations undone before
+   * cannot be redone anymore afterwards.
+   * @param {Object} operation - { label, undo, redo, discard }
+   */
+  record(operation) {
+    this.redoStack.forEach(discarded => this.discard(discarded));
+    this.redoStack = [];
+    this.undoStack.push(operation);
+    while (this.undoStack.length > this.limit) {
+      this.discard(this.undoStack.shift());
+    }
+    this.onChange();
+  }
+
+  /**
+   * @returns {Object|null} - The operation undo() would reverse
+   */
+  peekUndo() {
+    return this.undoStack[this.undoStack.length - 1] || null;
+  }
+
+  /**
+   * @returns {Object|null} - The operation redo() would repeat
+   */
+  peekRedo() {
+    return this.redoStack[this.redoStack.length - 1] || null;
+  }
+
+  /**
+   * Reverse the last operation. If it fails, the operation stays on the undo stack.
+   * @returns {Promise<Object|null>} - The operation undone, null if there was none or another one is running
+   */
+  async undo() {
+    return this.step(this.undoStack, this.redoStack, 'undo');
+  }
+
+  /**
+   * Repeat the last undone operation. If it fails, the operation stays on the redo stack.
+   * @returns {Promise<Object|null>} - The operation redone, null if there was none or another one is running
+   */
+  async redo() {
+    return this.step(this.redoStack, this.undoStack, 'redo');
+  }
+
+  /**
+   * Forget all operations
+   */
+  clear() {
+    [...this.undoStack, ...this.redoStack].forEach(operation => this.discard(operation));
+    this.undoStack = [];
+    this.redoStack = [];
+    this.onChange();
+  }
+
+  /**
+   * Forget a single operation, e.g. once the time to undo it is over. Operations
+   * which are no longer in the history are ignored.
+   * @param {Object} operation - An operation recorded before
+   */
+  expire(operation) {
+    const stack = [this.undoStack, this.redoStack].find(s => s.includes(operation));
+    if (!stack) return;
+    stack.splice(stack.indexOf(operation), 1);
+    this.discard(operation);
+    this.onChange();
+  }
+
+  async step(from, to, action) {
+    if (this.running || from.length === 0) return null;
+    const operation = from.pop();
+    this.running = true;
+    try {
+      await operation[action]();
+      to.push(operation);
+      return operation;
+    } catch (error) {
+      from.push(operation);
+      throw error;
+    } finally {
+      this.running = false;
+      this.onChange();
+    }
+  }
+
+  discard(operation) {
+    if (!operation.discard) return;
+    Promise.resolve()
+      .then(() => operation.discard())
+      .catch(error => console.error('Error discarding operation:', error));
+  }
+}
@@ -0,0 +1,99 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { getItemPermissions } from './item-metadata.js';
+
+// Operations which can be disabled with the disabled-operations attribute, and how errors name them
+export const OPERATIONS = {
+  create: 'Creating collections',
+  upload: 'Uploading',
+  copy: 'Copying',
+  move: 'Moving',
+  rename: 'Renaming',
+  delete: 'Deleting',
+  edit: 'Editing',
+  permissions: 'Changing permissions'
+};
+
+/**
+ * Parse the disabled-operations attribute
+ * @param {string|null} value - Operation names separated by commas or spaces, e.g. 'upload delete'
+ * @returns {Set<string>} - The known operations among them
+ */
+export function parseOperations(value) {
+  const operations = new Set();
+  (value || '').split(/[\s,]+/).filter(name => name).forEach(name => {
+    if (name in OPERATIONS) {
+      operations.add(name);
+    } else {
+      console.warn(`Unknown operation in disabled-operations: ${name}`);
+    }
+  });
+  return operations;
+}
+
+/**
+ * Check whether a user may write to an item, following the permissions of eXist-db: the owner
+ * bits apply to the owner, the group bits to members of the item's group, the other bits to
+ * everybody else, and members of the dba group may write everything
+ * @param {Object} item - The item object, or the metadata of a collection. An explicit boolean
+ *   'writable' property reported by the API takes precedence over the permissions
+ * @param {Object|null} user - { name, groups } of the current user
+ * @returns {boolean} - False only if the item is known not to be writable
+ */
+export function canWrite(item, user) {
+  if (typeof item.writable === 'boolean') return item.writable;
+  const permissions = getItemPermissions(item);
+  if (!user || permissions.length < 9) return true;
+  if (user.groups.includes('dba')) return true;
+  if (item.owner && item.owner === user.name) return permissions[1] === 'w';
+  if (item.group && user.groups.includes(item.group)) return permissions[4] === 'w';
+  return permissions[7] === 'w';
+}
+
+/**
+ * Check whether a user may change the mode, owner or group of an item, which eXist-db
+ * allows its owner and members of the dba group
+ * @param {Object} item - The item object
+ * @param {Object|null} user - { name, groups } of the current user
+ * @returns {boolean} - False only if the user is known not to own the item
+ */
+export function canChangePermissions(item, user) {
+  if (!user || !item.owner) return true;
+  return user.groups.includes('dba') || item.owner === user.name;
+}
+
+/**
+ * Convert permissions into a numeric mode
+ * @param {number|string} value - e.g. 0o755, '0755', 'rwxr-xr-x' or 'rwsr-xr-T'
+ * @returns {number|null} - The mode including the setuid, setgid and sticky bits, null if unknown
+ */
+export function parseMode(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value & 0o7777 : null;
+  if (typeof value !== 'string') return null;
+  if (/^[0-7]{3,4}$/.test(value)) return parseInt(value, 8);
+  if (!/^[r-][w-][xsS-][r-][w-][xsS-][r-][w-][xtT-]$/.test(value)) return null;
+
+  let mode = 0;
+  for (let i = 0; i < 9; i++) {
+    const flag = value[i];
+    const bit = 1 << (8 - i);
+    if (flag === 'r' || flag === 'w' || flag === 'x' || flag === 's' || flag === 't') mode |= bit;
+    if (flag === 's' || flag === 'S') mode |= i === 2 ? 0o4000 : 0o2000;
+    if (flag === 't' || flag === 'T') mode |= 0o1000;
+  }
+  return mode;
+}
+
+/**
+ * Get the metadata of a collection sent along with its listing
+ * @param {Object|Array} data - The response of the collections API
+ * @returns {Object|null} - { writable, permissions, owner, group } as far as reported,
+ *   null if the response has none of them
+ */
+export function getCollectionAccess(data) {
+  if (!data || Array.isArray(data) || typeof data !== 'object') return null;
+  const keys = ['writable', 'permissions', 'mode', 'owner', 'group'].filter(key => data[key] !== undefined && data[key] !== null && typeof data[key] !== 'object');
+  if (keys.length === 0) return null;
+  return Object.fromEntries(keys.map(key => [key, data[key]]));
+}
@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { matchesOpenHandler } from './open-handlers.js';
+
+/**
+ * Parse the accept attribute of the picker mode. It lists, separated by commas or spaces,
+ * 'collection' and 'resource' for any collection or resource, file types as returned by
+ * getFileType() (e.g. 'xml'), mime-types (e.g. 'image/*') and extensions (e.g. '.odd').
+ * @param {string|null} value - e.g. 'xml, .odd'
+ * @returns {Object} - { collections, resources, types, mimeTypes, extensions }, where
+ *   resources is true if any resource is accepted. Without a value everything is accepted
+ */
+export function parseAccept(value) {
+  const tokens = (value || '').split(/[\s,]+/).map(token => token.trim().toLowerCase()).filter(token => token);
+  if (tokens.length === 0) {
+    return { collections: true, resources: true, types: [], mimeTypes: [], extensions: [] };
+  }
+  return {
+    collections: tokens.includes('collection'),
+    resources: tokens.includes('resource'),
+    types: tokens.filter(token => !token.startsWith('.') && !token.includes('/') && token !== 'collection' && token !== 'resource'),
+    mimeTypes: tokens.filter(token => token.includes('/')),
+    extensions: tokens.filter(token => token.startsWith('.')).map(token => token.substring(1))
+  };
+}
+
+/**
+ * Check whether an item may be chosen
+ * @param {Object} accept - As returned by parseAccept()
+ * @param {Object} item - The item object
+ * @returns {boolean} - True if the item is accepted
+ */
+export function acceptsItem(accept, item) {
+  if (item.name === '..') return false;
+  if (item.type === 'collection') return accept.collections;
+  if (accept.resources) return true;
+  const { types, mimeTypes, extensions } = accept;
+  if (types.length === 0 && mimeTypes.length === 0 && extensions.length === 0) return false;
+  return matchesOpenHandler({ types, mimeTypes, extensions }, item);
+}
@@ -0,0 +1,79 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { vi } from 'vitest';
+
+export const ROOT = '/db/apps/test';
+
+/**
+ * Wait for timers and pending requests
+ * @param {number} ms - How long to wait
+ */
+export function tick(ms = 10) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait until the component has loaded what it was asked to
+ * @param {HTMLElement} fileManager - The component
+ */
+export async function settle(fileManager) {
+  await tick();
+  await vi.waitFor(() => {
+    if (fileManager.loading) throw new Error('Still loading');
+  });
+  await tick();
+}
+
+/**
+ * Add a file manager talking to the mock server to the document
+ * @param {MockServer} server - The mock server, installed here
+ * @param {Object} attributes - Attributes of the component, root is ROOT by default
+ * @returns {Promise<HTMLElement>} - The component, with the root collection loaded
+ */
+export async function mountFileManager(server, attributes = {}) {
+  server.install();
+  await import('../file-manager.js');
+  const fileManager = document.createElement('jinks-file-manager');
+  Object.entries({ 'api-base': server.apiBase, root: ROOT, ...attributes }).forEach(([name, value]) => {
+    fileManager.setAttribute(name, value);
+  });
+  document.body.appendChild(fileManager);
+  await settle(fileManager);
+  return fileManager;
+}
+
+/**
+ * @param {HTMLElement} fileManager - The component
+ * @returns {string[]} - Names of the items shown, in their order
+ */
+export function shownNames(fileManager) {
+  return fileManager.visibleItems.map(item => item.name);
+}
+
+/**
+ * @param {HTMLElement} fileManager - The component
+ * @returns {string} - The message shown in the footer
+ */
+export function footerMessage(fileManager) {
+  return fileManager.shadowRoot.querySelector('.message-text').textContent;
+}
+
+/**
+ * Answer the confirmation shown in the footer
+ * @param {HTMLElement} fileManager - The component
+ * @param {boolean} confirm - Whether to confirm or cancel
+ */
+export function answerConfirmation(fileManager, confirm) {
+  fileManager.shadowRoot.querySelector(confirm ? '.message-confirm-btn' : '.message-cancel-btn').click();
+}
+
+/**
+ * Pick one of the choices shown in the footer
+ * @param {HTMLElement} fileManager - The component
+ * @param {string} label - Label of the button, e.g. 'Overwrite'
+ */
+export function answerChoice(fileManager, label) {
+  const buttons = Array.from(fileManager.shadowRoot.querySelectorAll('.message-choice-btn'));
+  buttons.find(button => button.textContent === label).click();
+}
@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager, settle, tick } from './helpers.js';
+
+describe('keyboard navigation', () => {
+  let server;
+  let fileManager;
+  const path = (name) => `${ROOT}/${name}`;
+  const element = (name) => fileManager.shadowRoot.querySelector(`[data-path="${path(name)}"]`);
+  const focused = () => fileManager.shadowRoot.activeElement?.dataset.path;
+  const press = (target, key, options = {}) => {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, composed: true, cancelable: true, ...options }));
+  };
+
+  beforeEach(async () => {
+    server = new MockServer({
+      files: {
+        [path('data')]: null,
+        [path('data/inner.xml')]: '<inner/>',
+        [path('alpha.xml')]: '<alpha/>',
+        [path('beta.xml')]: '<beta/>',
+        [path('bravo.xml')]: '<bravo/>',
+        [path('gamma.xml')]: '<gamma/>'
+      }
+    });
+    fileManager = await mountFileManager(server);
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  it('renders the items as options of a listbox with a single tab stop', () => {
+    const grid = fileManager.shadowRoot.querySelector('.grid-container');
+    expect(grid.getAttribute('role')).toBe('listbox');
+    expect(grid.getAttribute('aria-multiselectable')).toBe('true');
+    const items = Array.from(grid.querySelectorAll('.grid-item'));
+    expect(items.every(item => item.getAttribute('role') === 'option')).toBe(true);
+    expect(items.filter(item => item.tabIndex === 0)).toHaveLength(1);
+
+    fileManager.select([path('beta.xml')]);
+    expect(element('beta.xml').getAttribute('aria-selected')).toBe('true');
+    expect(element('alpha.xml').getAttribute('aria-selected')).toBe('false');
+  });
+
+  it('renders the list as a grid of rows', async () => {
+    fileManager.setView('list');
+    await settle(fileManager);
+    const table = fileManager.shadowRoot.querySelector('.list-table');
+    expect(table.getAttribute('role')).toBe('grid');
+    expect(element('alpha.xml').getAttribute('aria-rowindex')).toBe('3');
+    expect(element('alpha.xml').getAttribute('aria-selected')).toBe('false');
+  });
+
+  it('moves the focus with the arrow keys and selects the focused item', () => {
+    element('data').focus();
+    press(element('data'), 'ArrowRight');
+    expect(focused()).toBe(path('alpha.xml'));
+    expect(fileManager.getSelection()).toEqual([path('alpha.xml')]);
+    press(element('alpha.xml'), 'End');
+    expect(focused()).toBe(path('gamma.xml'));
+    press(element('gamma.xml'), 'Home');
+    expect(focused()).toBe(path('data'));
+    expect(element('data').tabIndex).toBe(0);
+    expect(element('gamma.xml').tabIndex).toBe(-1);
+  });
+
+  it('extends the selection with Shift and moves the focus alone with Ctrl', () => {
+    element('alpha.xml').focus();
+    fileManager.toggleSelection(path('alpha.xml'));
+    press(element('alpha.xml'), 'ArrowDown', { shiftKey: true });
+    press(element('beta.xml'), 'ArrowDown', { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('alpha.xml'), path('beta.xml'), path('bravo.xml')]);
+    press(element('bravo.xml'), 'ArrowUp', { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('alpha.xml'), path('beta.xml')]);
+
+    press(element('beta.xml'), 'ArrowDown', { ctrlKey: true });
+    expect(focused()).toBe(path('bravo.xml'));
+    expect(fileManager.getSelection().sort()).toEqual([path('alpha.xml'), path('beta.xml')]);
+    press(element('bravo.xml'), ' ', { ctrlKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('alpha.xml'), path('beta.xml'), path('bravo.xml')]);
+  });
+
+  it('selects all items with Ctrl+A', () => {
+    element('data').focus();
+    press(element('data'), 'a', { ctrlKey: true });
+    expect(fileManager.getSelection()).toHaveLength(5);
+  });
+
+  it('jumps to items by typing their name', () => {
+    element('data').focus();
+    press(element('data'), 'b');
+    expect(focused()).toBe(path('beta.xml'));
+    press(element('beta.xml'), 'r');
+    expect(focused()).toBe(path('bravo.xml'));
+    expect(fileManager.getSelection()).toEqual([path('bravo.xml')]);
+  });
+
+  it('opens collections with Enter and goes back with Backspace', async () => {
+    element('data').focus();
+    press(element('data'), 'Enter');
+    await settle(fileManager);
+    expect(fileManager.currentPath).toBe(path('data'));
+    expect(fileManager.shadowRoot.activeElement?.classList.contains('grid-item')).toBe(true);
+
+    press(fileManager.shadowRoot.activeElement, 'Backspace');
+    await settle(fileManager);
+    expect(fileManager.currentPath).toBe(ROOT);
+    expect(focused()).toBe(path('data'));
+
+    // Not above the root
+    press(element('data'), 'ArrowUp', { altKey: true });
+    await settle(fileManager);
+    expect(fileManager.currentPath).toBe(ROOT);
+  });
+
+  it('opens the context menu from the keyboard and returns the focus', () => {
+    element('beta.xml').focus();
+    press(element('beta.xml'), 'F10', { shiftKey: true });
+    const menu = fileManager.shadowRoot.querySelector('.context-menu');
+    expect(menu.style.display).toBe('block');
+    expect(fileManager.getSelection()).toEqual([path('beta.xml')]);
+
+    const active = fileManager.shadowRoot.activeElement;
+    expect(active.getAttribute('role')).toBe('menuitem');
+    press(active, 'ArrowDown');
+    expect(fileManager.shadowRoot.activeElement).not.toBe(active);
+    press(fileManager.shadowRoot.activeElement, 'Escape');
+    expect(menu.style.display).toBe('none');
+    expect(focused()).toBe(path('beta.xml'));
+  });
+
+  it('focuses confirmations and cancels them with Escape', async () => {
+    element('beta.xml').focus();
+    const answer = fileManager.showConfirmation('Really?', 'error');
+    const footer = fileManager.shadowRoot.querySelector('.message-footer');
+    expect(footer.getAttribute('role')).toBe('alertdialog');
+    expect(fileManager.shadowRoot.activeElement.classList.contains('message-cancel-btn')).toBe(true);
+
+    press(fileManager.shadowRoot.activeElement, 'Escape');
+    expect(await answer).toBe(false);
+    expect(footer.hasAttribute('role')).toBe(false);
+    expect(focused()).toBe(path('beta.xml'));
+  });
+
+  it('announces messages to screen readers', async () => {
+    fileManager.showMessage('Copied 2 item(s)');
+    await tick(100);
+    expect(fileManager.shadowRoot.querySelector('.live-region').textContent).toBe('Copied 2 item(s)');
+  });
+});
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { sortItems } from '../item-metadata.js';
+
+/**
+ * In-memory stand-in for the jinks file manager API and the eXist-db REST interface.
+ * install() replaces fetch and XMLHttpRequest, which uploads use, with versions answering
+ * from a tree of collections and resources kept in memory:
+ *
+ * - GET, POST and DELETE {apiBase}/api/collections/{collection} to list, create and delete
+ * - GET {apiBase}/api/collections/{collection}/search by name (glob) or content
+ * - PATCH {apiBase}/api/collections/{collection}/resources/{name} to rename and change permissions
+ * - POST {apiBase}/api/collections/{collection}/copy and /move
+ * - POST {apiBase}/api/upload
+ * - GET and PUT {restBase}{path}
+ *
+ * Every request is logged in requests. A route() callback answering with a Response takes
+ * precedence, e.g. to return other response shapes or errors.
+ */
+export class MockServer {
+  /**
+   * @param {Object} options - { apiBase, restBase, files } where files maps paths to the content
+   *   of resources, or to null for collections, e.g. { '/db/apps/test/a.xml': '<a/>' }.
+   *   Parent collections are created as needed
+   */
+  constructor({ apiBase = '/exist/apps/jinks', restBase = '/exist/rest', files = {} } = {}) {
+    this.apiBase = apiBase;
+    this.restBase = restBase;
+    this.entries = new Map([['/db', { type: 'collection' }]]);
+    this.requests = [];
+    this.route = null;
+    this.originals = null;
+    Object.entries(files).forEach(([path, content]) => {
+      if (content === null) {
+        this.addCollection(path);
+      } else {
+        this.addResource(path, content);
+      }
+    });
+  }
+
+  /**
+   * Replace the global fetch and XMLHttpRequest
+   */
+  install() {
+    this.originals = { fetch: globalThis.fetch, XMLHttpRequest: globalThis.XMLHttpRequest };
+    globalThis.fetch = (url, options) => this.fetch(url, options);
+    globalThis.XMLHttpRequest = createXhrClass(this);
+  }
+
+  /**
+   * Restore what install() replaced
+   */
+  uninstall() {
+    if (!this.originals) return;
+    globalThis.fetch = this.originals.fetch;
+    globalThis.XMLHttpRequest = this.originals.XMLHttpRequest;
+    this.originals = null;
+  }
+
+  /**
+   * @param {string} path - The collection, parents are created as needed
+   */
+  addCollection(path) {
+    const parts = path.split('/').filter(part => part);
+    for (let i = 1; i <= parts.length; i++) {
+      const current = '/' + parts.slice(0, i).join('/');
+      if (!this.entries.has(current)) {
+        this.entries.set(current, { type: 'collection', created: new Date().toISOString() });
+      }
+    }
+  }
+
+  /**
+   * @param {string} path - The resource, parent collections are created as needed
+   * @param {string} content - Its content
+   * @param {Object} properties - Further properties, e.g. { mime, owner }
+   */
+  addResource(path, content = '', properties = {}) {
+    this.addCollection(parentOf(path));
+    this.entries.set(path, {
+      type: 'resource',
+      content,
+      size: content.length,
+      modified: new Date().toISOString(),
+      ...properties
+    });
+  }
+
+  /**
+   * @param {string} path - An absolute path
+   * @returns {boolean} - Whether a collection or resource is there
+   */
+  has(path) {
+    return this.entries.has(path);
+  }
+
+  /**
+   * @param {string} path - A resource
+   * @returns {string|undefined} - Its content
+   */
+  read(path) {
+    return this.entries.get(path)?.content;
+  }
+
+  /**
+   * @param {string} path - A collection
+   * @returns {string[]} - The names of its members, sorted
+   */
+  list(path) {
+    return this.children(path).map(([child]) => child.split('/').pop()).sort();
+  }
+
+  children(path) {
+    return Array.from(this.entries.entries()).filter(([child]) => parentOf(child) === path && child !== path);
+  }
+
+  // Items as the API lists them
+  toItem(path, entry) {
+    const { content, ...properties } = entry;
+    return { name: path.split('/').pop(), path, ...properties };
+  }
+
+  /**
+   * Answer a request like fetch()
+   * @param {string|URL} url - The URL
+   * @param {Object} options - { method, headers, body }
+   * @returns {Promise<Response>} - The response
+   */
+  async fetch(url, options = {}) {
+    const request = {
+      method: (options.method || 'GET').toUpperCase(),
+      url: new URL(String(url), 'http://localhost'),
+      headers: options.headers || {},
+      body: options.body
+    };
+    this.requests.push({ method: request.method, url: decodeURIComponent(request.url.pathname + request.url.search), body: request.body });
+    if (this.route) {
+      const response = await this.route(request);
+      if (response) return response;
+    }
+    try {
+      return await this.handle(request);
+    } catch (error) {
+      return json({ status: 'fail', message: error.message }, error.status || 500);
+    }
+  }
+
+  async handle({ method, url, body }) {
+    const { pathname, searchParams } = url;
+    if (pathname.startsWith(this.restBase + '/')) {
+      return this.handleRest(method, decodeURIComponent(pathname.substring(this.restBase.length)), body);
+    }
+    if (pathname === `${this.apiBase}/api/upload` && method === 'POST') {
+      const file = body.get('file[]');
+      const collection = searchParams.get('collection');
+      const path = `${collection}/${searchParams.get('path') || file.name}`;
+      this.assertCollection(collection);
+      if (this.has(path) && searchParams.get('overwrite') !== 'true') {
+        throw httpError(409, `${path} already exists`);
+      }
+      this.addResource(path, await file.text(), file.type ? { mime: file.type } : {});
+      return json({ files: [{ name: path.split('/').pop(), path }] });
+    }
+
+    const match = pathname.match(/\/api\/collections\/([^/]+)(?:\/(search|copy|move|resources\/([^/]+)))?$/);
+    if (!match || !pathname.startsWith(this.apiBase)) {
+      return new Response('Not found', { status: 404 });
+    }
+    const collection = decodeURIComponent(match[1]);
+    const action = match[2] ? match[2].split('/')[0] : null;
+    const data = typeof body === 'string' && body ? JSON.parse(body) : {};
+
+    if (action === 'search' && method === 'GET') {
+      return json(this.search(collection, searchParams));
+    }
+    if ((action === 'copy' || action === 'move') && method === 'POST') {
+      this.transfer(collection, data, action === 'move');
+      return json({ status: 'ok' });
+    }
+    if (action === 'resources' && method === 'PATCH') {
+      const path = `${collection}/${decodeURIComponent(match[3])}`;
+      this.assertExists(path);
+      if (data.name) {
+        this.relocate(path, `${collection}/${data.name}`, false);
+      }
+      ['owner', 'group', 'permissions'].filter(key => data[key] !== undefined).forEach(key => {
+        this.entries.get(data.name ? `${collection}/${data.name}` : path)[key] = data[key];
+      });
+      return json({ status: 'ok' });
+    }
+    if (action) {
+      return new Response('Method not allowed', { status: 405 });
+    }
+
+    switch (method) {
+      case 'GET': {
+        this.assertCollection(collection);
+        const start = Number(searchParams.get('start') || 0);
+        const end = Number(searchParams.get('end') || 100);
+        const items = sortItems(
+          this.children(collection).map(([path, entry]) => this.toItem(path, entry)),
+          searchParams.get('sort') || 'name',
+          searchParams.get('order') || 'asc',
+          searchParams.get('foldersFirst') !== 'false'
+        );
+        return json({ items: items.slice(start, end), total: items.length });
+      }
+      case 'POST': {
+        this.assertCollection(collection);
+        this.addCollection(`${collection}/${searchParams.get('name')}`);
+        return json({ status: 'ok' });
+      }
+      case 'DELETE': {
+        searchParams.getAll('remove').forEach(path => {
+          const absolute = path.startsWith('/') ? path : `${collection}/${path}`;
+          this.assertExists(absolute);
+          this.remove(absolute);
+        });
+        return json({ status: 'ok' });
+      }
+    }
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  handleRest(method, path, body) {
+    if (method === 'PUT') {
+      this.addResource(path, typeof body === 'string' ? body : '');
+      return new Response('', { status: 201 });
+    }
+    const entry = this.entries.get(path);
+    if (!entry || entry.type !== 'resource') {
+      return new Response('Not found', { status: 404 });
+    }
+    return new Response(entry.content, { headers: { 'content-type': entry.mime || 'application/octet-stream' } });
+  }
+
+  search(collection, params) {
+    const name = params.get('name');
+    const content = params.get('content');
+    const pattern = name ? new RegExp('^' + name.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$', 'i') : null;
+    const items = Array.from(this.entries.entries())
+      .filter(([path]) => path.startsWith(collection + '/'))
+      .filter(([path, entry]) => pattern
+        ? pattern.test(path.split('/').pop())
+        : entry.type === 'resource' && entry.content.includes(content))
+      .map(([path, entry]) => ({ ...this.toItem(path, entry), collection: parentOf(path) }));
+    return { items, total: items.length };
+  }
+
+  transfer(collection, { target, sources = [], overwrite = false, names = {} }, move) {
+    this.assertCollection(target);
+    sources.forEach(source => {
+      const path = source.startsWith('/') ? source : `${collection}/${source}`;
+      this.assertExists(path);
+      this.relocate(path, `${target}/${names[source] || path.split('/').pop()}`, !move, overwrite);
+    });
+  }
+
+  // Move or copy an item together with everything below it
+  relocate(from, to, copy, overwrite = false) {
+    if (this.has(to)) {
+      if (!overwrite) throw httpError(409, `${to} already exists`);
+      this.remove(to);
+    }
+    Array.from(this.entries.entries())
+      .filter(([path]) => path === from || path.startsWith(from + '/'))
+      .forEach(([path, entry]) => {
+        this.entries.set(to + path.substring(from.length), { ...entry });
+        if (!copy) this.entries.delete(path);
+      });
+  }
+
+  remove(path) {
+    Array.from(this.entries.keys())
+      .filter(child => child === path || child.startsWith(path + '/'))
+      .forEach(child => this.entries.delete(child));
+  }
+
+  assertExists(path) {
+    if (!this.has(path)) throw httpError(404, `${path} not found`);
+  }
+
+  assertCollection(path) {
+    if (this.entries.get(path)?.type !== 'collection') throw httpError(404, `Collection ${path} not found`);
+  }
+}
+
+function parentOf(path) {
+  return path.substring(0, path.lastIndexOf('/')) || '/';
+}
+
+function json(data, status = 200) {
+  return new Response(JSON.stringify(data), { status, headers: { 'content-type': 'application/json' } });
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The part of XMLHttpRequest uploads use, answered by the server
+function createXhrClass(server) {
+  return class MockXMLHttpRequest {
+    constructor() {
+      this.listeners = {};
+      this.upload = { addEventListener: () => {} };
+      this.headers = {};
+      this.status = 0;
+      this.responseText = '';
+      this.aborted = false;
+    }
+
+    addEventListener(type, listener) {
+      (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    dispatch(type) {
+      (this.listeners[type] || []).forEach(listener => listener({ type }));
+    }
+
+    open(method, url) {
+      this.method = method;
+      this.url = url;
+    }
+
+    setRequestHeader(header, value) {
+      this.headers[header] = value;
+    }
+
+    abort() {
+      this.aborted = true;
+      this.dispatch('abort');
+    }
+
+    async send(body) {
+      const response = await server.fetch(this.url, { method: this.method, headers: this.headers, body });
+      if (this.aborted) return;
+      this.status = response.status;
+      this.responseText = await response.text();
+      this.dispatch('load');
+    }
+  };
+}
@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager, settle, shownNames, footerMessage } from './helpers.js';
+
+describe('navigation', () => {
+  let server;
+  let fileManager;
+
+  beforeEach(async () => {
+    server = new MockServer({
+      files: {
+        [`${ROOT}/b.xml`]: '<b/>',
+        [`${ROOT}/a.txt`]: 'a',
+        [`${ROOT}/data/c.xml`]: '<c/>',
+        [`${ROOT}/docs`]: null,
+        '/db/apps/other/secret.xml': '<secret/>',
+        [`${ROOT}ing/secret.xml`]: '<secret/>'
+      }
+    });
+    fileManager = await mountFileManager(server);
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  it('lists the root collection with collections first', () => {
+    expect(fileManager.currentPath).toBe(ROOT);
+    expect(shownNames(fileManager)).toEqual(['data', 'docs', 'a.txt', 'b.xml']);
+  });
+
+  it('navigates into a collection and reports it', async () => {
+    const events = [];
+    fileManager.addEventListener('navigate', (e) => events.push(e.detail.path));
+    await fileManager.navigate(`${ROOT}/data`);
+    expect(fileManager.currentPath).toBe(`${ROOT}/data`);
+    expect(shownNames(fileManager)).toEqual(['c.xml']);
+    expect(events).toEqual([`${ROOT}/data`]);
+  });
+
+  it('normalizes trailing slashes', async () => {
+    await fileManager.navigate(`${ROOT}/data/`);
+    expect(fileManager.currentPath).toBe(`${ROOT}/data`);
+  });
+
+  it('refuses to leave the root collection', async () => {
+    const requests = server.requests.length;
+    await fileManager.navigate('/db/apps/other');
+    expect(fileManager.currentPath).toBe(ROOT);
+    expect(server.requests.length).toBe(requests);
+    expect(footerMessage(fileManager)).toBe('Cannot navigate outside the configured root collection');
+  });
+
+  it('does not take collections sharing the prefix of the root for its descendants', async () => {
+    const requests = server.requests.length;
+    await fileManager.navigate(`${ROOT}ing`);
+    expect(fileManager.currentPath).toBe(ROOT);
+    expect(server.requests.length).toBe(requests);
+    expect(footerMessage(fileManager)).toBe('Cannot navigate outside the configured root collection');
+  });
+
+  it('falls back to sorting by name for unknown sort keys', async () => {
+    fileManager.setAttribute('sort', 'size');
+    await settle(fileManager);
+    expect(fileManager.sortKey).toBe('size');
+    fileManager.setAttribute('sort', 'bogus');
+    await settle(fileManager);
+    expect(fileManager.sortKey).toBe('name');
+    expect(server.requests.some(request => request.url.includes('sort=bogus'))).toBe(false);
+  });
+
+  it('shows the error of a failed listing', async () => {
+    const events = [];
+    fileManager.addEventListener('navigate', (e) => events.push(e.detail.path));
+    await fileManager.navigate(`${ROOT}/missing`);
+    expect(footerMessage(fileManager)).toContain('Failed to load collection');
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,309 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager, settle, tick, shownNames, footerMessage, answerConfirmation, answerChoice } from './helpers.js';
+
+describe('operations', () => {
+  let server;
+  let fileManager;
+
+  beforeEach(async () => {
+    server = new MockServer({
+      files: {
+        [`${ROOT}/a.xml`]: '<a/>',
+        [`${ROOT}/b.xml`]: '<b/>',
+        [`${ROOT}/data/a.xml`]: '<other/>',
+        [`${ROOT}/docs`]: null
+      }
+    });
+    fileManager = await mountFileManager(server);
+  });
+
+  afterEach(async () => {
+    // Items held for undo are purged on removal
+    fileManager.remove();
+    await tick();
+    server.uninstall();
+  });
+
+  describe('clipboard', () => {
+    it('moves cut items into another collection', async () => {
+      fileManager.select([`${ROOT}/b.xml`]);
+      fileManager.performCut();
+      await fileManager.performPaste(`${ROOT}/docs`);
+      await settle(fileManager);
+      expect(server.list(ROOT)).toEqual(['a.xml', 'data', 'docs']);
+      expect(server.list(`${ROOT}/docs`)).toEqual(['b.xml']);
+      expect(shownNames(fileManager)).toEqual(['data', 'docs', 'a.xml']);
+      expect(fileManager.clipboard).toBeNull();
+    });
+
+    it('copies items and keeps the originals', async () => {
+      fileManager.select([`${ROOT}/a.xml`, `${ROOT}/b.xml`]);
+      fileManager.performCopy();
+      await fileManager.performPaste(`${ROOT}/docs`);
+      expect(server.list(ROOT)).toEqual(['a.xml', 'b.xml', 'data', 'docs']);
+      expect(server.list(`${ROOT}/docs`)).toEqual(['a.xml', 'b.xml']);
+    });
+
+    it('leaves items cut and pasted into their own collection alone', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCut();
+      const requests = server.requests.length;
+      await fileManager.performPaste(ROOT);
+      expect(server.requests.length).toBe(requests);
+    });
+
+    it('offers pasting into collections of the tree only where it is allowed', async () => {
+      server.entries.get(`${ROOT}/docs`).writable = false;
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCopy();
+      // Only the tree knows the collections of the root then
+      await fileManager.navigate(`${ROOT}/data`);
+      fileManager.setAttribute('tree', '');
+      await fileManager.loadTreeChildren(ROOT);
+      const pasteEntry = (path) => {
+        fileManager.showTreeContextMenu(0, 0, path);
+        return fileManager.shadowRoot.querySelector('.context-menu [data-action="paste"]');
+      };
+      expect(pasteEntry(`${ROOT}/data`).style.display).toBe('');
+      expect(pasteEntry(`${ROOT}/docs`).style.display).toBe('none');
+
+      fileManager.setAttribute('disabled-operations', 'copy');
+      expect(pasteEntry(`${ROOT}/data`).style.display).toBe('none');
+    });
+
+    it('refuses to paste a collection into itself', async () => {
+      fileManager.select([`${ROOT}/docs`]);
+      fileManager.performCut();
+      await fileManager.performPaste(`${ROOT}/docs`);
+      expect(footerMessage(fileManager)).toBe('Cannot paste "docs" into itself');
+      expect(server.has(`${ROOT}/docs`)).toBe(true);
+    });
+
+    it('asks before replacing an item with the same name', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCopy();
+      const pasted = fileManager.performPaste(`${ROOT}/data`);
+      await tick();
+      expect(footerMessage(fileManager)).toBe('"a.xml" already exists in the target collection');
+      answerChoice(fileManager, 'Overwrite');
+      await pasted;
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<a/>');
+    });
+
+    it('restores the replaced item when undoing a copy which overwrote it', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCopy();
+      const pasted = fileManager.performPaste(`${ROOT}/data`);
+      await tick();
+      answerChoice(fileManager, 'Overwrite');
+      await pasted;
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<a/>');
+
+      await fileManager.history.undo();
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<other/>');
+      // The emptied holding collection is kept for redo
+      expect(server.list(`${ROOT}/data`)).toEqual([expect.stringMatching(/^\.deleted-/), 'a.xml']);
+      await fileManager.history.redo();
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<a/>');
+    });
+
+    it('restores the replaced item when undoing a move which overwrote it', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCut();
+      const pasted = fileManager.performPaste(`${ROOT}/data`);
+      await tick();
+      answerChoice(fileManager, 'Overwrite');
+      await pasted;
+      expect(server.has(`${ROOT}/a.xml`)).toBe(false);
+
+      await fileManager.history.undo();
+      expect(server.read(`${ROOT}/a.xml`)).toBe('<a/>');
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<other/>');
+      expect(server.list(`${ROOT}/data`)).toEqual([expect.stringMatching(/^\.deleted-/), 'a.xml']);
+    });
+
+    it('keeps both items under a new name', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      fileManager.performCopy();
+      const pasted = fileManager.performPaste(`${ROOT}/data`);
+      await tick();
+      answerChoice(fileManager, 'Keep Both');
+      await pasted;
+      expect(server.list(`${ROOT}/data`)).toHaveLength(2);
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<other/>');
+    });
+  });
+
+  describe('delete', () => {
+    it('keeps the items if the confirmation is canceled', async () => {
+      fileManager.select([`${ROOT}/a.xml`]);
+      const deleted = fileManager.performDelete();
+      await tick();
+      expect(footerMessage(fileManager)).toBe('Are you sure you want to delete 1 item(s)?');
+      answerConfirmation(fileManager, false);
+      await deleted;
+      expect(server.has(`${ROOT}/a.xml`)).toBe(true);
+    });
+
+    it('removes confirmed items and can undo it', async () => {
+      fileManager.select([`${ROOT}/a.xml`, `${ROOT}/b.xml`]);
+      const deleted = fileManager.performDelete();
+      await tick();
+      answerConfirmation(fileManager, true);
+      await deleted;
+      await settle(fileManager);
+      expect(server.has(`${ROOT}/a.xml`)).toBe(false);
+      expect(shownNames(fileManager)).toEqual(['data', 'docs']);
+
+      await fileManager.history.undo();
+      await settle(fileManager);
+      expect(server.read(`${ROOT}/a.xml`)).toBe('<a/>');
+      expect(server.has(`${ROOT}/b.xml`)).toBe(true);
+    });
+
+    it('holds deleted items next to them and purges them once they cannot be undone', async () => {
+      await fileManager.navigate(`${ROOT}/data`);
+      fileManager.select([`${ROOT}/data/a.xml`]);
+      const deleted = fileManager.performDelete();
+      await tick();
+      answerConfirmation(fileManager, true);
+      await deleted;
+      await settle(fileManager);
+      const held = server.list(`${ROOT}/data`);
+      expect(held).toEqual([expect.stringMatching(/^\.deleted-\d+$/)]);
+      expect(server.list(ROOT)).toEqual(['a.xml', 'b.xml', 'data', 'docs']);
+      expect(shownNames(fileManager)).toEqual([]);
+
+      fileManager.remove();
+      await tick();
+      expect(server.list(`${ROOT}/data`)).toEqual([]);
+    });
+
+    it('hides holding collections of other sessions and purges those which expired', async () => {
+      const stale = `${ROOT}/docs/.deleted-${Date.now() - 11 * 60 * 1000}`;
+      const recent = `${ROOT}/docs/.deleted-${Date.now()}`;
+      server.addResource(`${stale}/old.xml`, '<old/>');
+      server.addResource(`${recent}/new.xml`, '<new/>');
+      server.addResource(`${ROOT}/docs/c.xml`, '<c/>');
+      await fileManager.navigate(`${ROOT}/docs`);
+      await settle(fileManager);
+      expect(shownNames(fileManager)).toEqual(['c.xml']);
+      expect(server.has(stale)).toBe(false);
+      expect(server.has(recent)).toBe(true);
+    });
+
+    it('removes the holding collection if the items cannot be moved into it', async () => {
+      server.route = ({ url }) => url.pathname.endsWith('/move') ? new Response('Locked', { status: 423 }) : null;
+      fileManager.select([`${ROOT}/a.xml`]);
+      const deleted = fileManager.performDelete();
+      await tick();
+      answerConfirmation(fileManager, true);
+      await deleted;
+      await settle(fileManager);
+      expect(server.list(ROOT)).toEqual(['a.xml', 'b.xml', 'data', 'docs']);
+      expect(fileManager.history.peekUndo()).toBeNull();
+    });
+
+    it('lets the host page veto the deletion', async () => {
+      fileManager.addEventListener('before-delete', (e) => e.preventDefault());
+      fileManager.select([`${ROOT}/a.xml`]);
+      await fileManager.performDelete();
+      expect(server.has(`${ROOT}/a.xml`)).toBe(true);
+    });
+  });
+
+  it('renames an item', async () => {
+    await fileManager.renameItem(`${ROOT}/b.xml`, 'c.xml');
+    expect(server.read(`${ROOT}/c.xml`)).toBe('<b/>');
+    expect(server.has(`${ROOT}/b.xml`)).toBe(false);
+  });
+
+  it('creates collections', async () => {
+    await fileManager.createCollection(ROOT, 'new');
+    expect(server.list(ROOT)).toContain('new');
+  });
+
+  it('uploads files through the upload endpoint', async () => {
+    const results = [];
+    fileManager.addEventListener('upload-complete', (e) => results.push(e.detail));
+    await fileManager.upload([new File(['hello'], 'hello.txt', { type: 'text/plain' })], `${ROOT}/docs`);
+    await settle(fileManager);
+    expect(server.read(`${ROOT}/docs/hello.txt`)).toBe('hello');
+    expect(results[0].uploaded).toBe(1);
+    expect(results[0].failed).toBe(0);
+  });
+
+  describe('folder upload', () => {
+    const folder = () => [
+      { file: new File(['<new/>'], 'new.xml'), path: 'data/new.xml' },
+      { file: new File(['<deep/>'], 'deep.xml'), path: 'data/sub/deep.xml' }
+    ];
+    const created = () => server.requests.filter(request => request.method === 'POST' && request.url.includes('?name='));
+
+    it('asks before merging into an existing folder and creates only the missing ones', async () => {
+      const uploaded = fileManager.upload(folder(), ROOT);
+      await tick();
+      expect(footerMessage(fileManager)).toBe('Folder "data" already exists in the target collection');
+      answerChoice(fileManager, 'Merge');
+      await uploaded;
+      expect(server.read(`${ROOT}/data/new.xml`)).toBe('<new/>');
+      expect(server.read(`${ROOT}/data/sub/deep.xml`)).toBe('<deep/>');
+      expect(server.read(`${ROOT}/data/a.xml`)).toBe('<other/>');
+      expect(created().map(request => request.url)).toEqual([`/exist/apps/jinks/api/collections/${ROOT}/data?name=sub`]);
+    });
+
+    it('uploads the folder under another name or skips it', async () => {
+      let uploaded = fileManager.upload(folder(), ROOT);
+      await tick();
+      answerChoice(fileManager, 'Keep Both');
+      await uploaded;
+      expect(server.read(`${ROOT}/data (2)/sub/deep.xml`)).toBe('<deep/>');
+      expect(server.list(`${ROOT}/data`)).toEqual(['a.xml']);
+
+      const requests = server.requests.length;
+      uploaded = fileManager.upload(folder(), ROOT);
+      await tick();
+      answerChoice(fileManager, 'Skip');
+      expect(await uploaded).toEqual([]);
+      expect(server.list(`${ROOT}/data`)).toEqual(['a.xml']);
+      expect(created().length).toBe(2);
+      expect(server.requests.slice(requests).every(request => request.method === 'GET')).toBe(true);
+    });
+  });
+
+  it('hides operations the adapter does not implement', async () => {
+    const { BackendAdapter, JinksAdapter } = customElements.get('jinks-file-manager');
+    const jinks = new JinksAdapter(server.apiBase);
+    class ListingAdapter extends BackendAdapter {
+      listCollection(path, options) {
+        return jinks.listCollection(path, options);
+      }
+    }
+    const button = (selector) => fileManager.shadowRoot.querySelector(selector);
+    expect(button('.btn-search').style.display).toBe('');
+    fileManager.adapter = new ListingAdapter();
+    await settle(fileManager);
+    expect(button('.btn-search').style.display).toBe('none');
+    expect(button('.btn-upload').style.display).toBe('none');
+    expect(button('.btn-create-collection').style.display).toBe('none');
+
+    const item = fileManager.shadowRoot.querySelector(`[data-path="${ROOT}/a.xml"]`);
+    item.dispatchEvent(new KeyboardEvent('keydown', { key: 'F10', shiftKey: true, bubbles: true, composed: true }));
+    const entry = (action) => fileManager.shadowRoot.querySelector(`.context-menu [data-action="${action}"]`);
+    expect(entry('copy-path').style.display).toBe('');
+    expect(entry('properties').style.display).toBe('none');
+    expect(entry('rename').style.display).toBe('none');
+    expect(entry('delete').style.display).toBe('none');
+  });
+
+  it('reads and writes file contents through the REST interface', async () => {
+    const blob = await fileManager.fetchFileContent(`${ROOT}/a.xml`);
+    expect(await blob.text()).toBe('<a/>');
+    await fileManager.saveFileContent(`${ROOT}/a.xml`, '<changed/>', 'application/xml');
+    expect(server.read(`${ROOT}/a.xml`)).toBe('<changed/>');
+  });
+});
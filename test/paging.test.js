@@ -0,0 +1,59 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager, settle, tick, shownNames } from './helpers.js';
+
+describe('paging', () => {
+  let server;
+  let fileManager;
+
+  beforeEach(async () => {
+    const files = { [`${ROOT}/data/inner.xml`]: '<inner/>' };
+    ['a', 'b', 'c', 'd', 'e'].forEach(name => {
+      files[`${ROOT}/${name}.xml`] = `<${name}/>`;
+    });
+    server = new MockServer({ files });
+    fileManager = await mountFileManager(server);
+    fileManager.pageSize = 2;
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  it('loads further pages while the items do not fill the view', async () => {
+    // A view with room for everything, so there is nothing to scroll
+    const grid = fileManager.shadowRoot.querySelector('.grid-container');
+    Object.defineProperty(grid, 'clientHeight', { get: () => 500 });
+    await fileManager.refresh();
+    await settle(fileManager);
+    await settle(fileManager);
+    expect(shownNames(fileManager)).toEqual(['data', 'a.xml', 'b.xml', 'c.xml', 'd.xml', 'e.xml']);
+    expect(fileManager.hasMore).toBe(false);
+  });
+
+  it('navigates while a page is loading, ignoring the page', async () => {
+    await fileManager.refresh();
+    let release;
+    const pending = new Promise(resolve => { release = resolve; });
+    server.route = async ({ url }) => {
+      if (url.searchParams.get('start') === '2') await pending;
+      return null;
+    };
+    fileManager.loadMore();
+    expect(fileManager.loading).toBe(true);
+
+    const events = [];
+    fileManager.addEventListener('navigate', (e) => events.push(e.detail.path));
+    await fileManager.navigate(`${ROOT}/data`);
+    release();
+    await tick();
+    expect(fileManager.currentPath).toBe(`${ROOT}/data`);
+    expect(shownNames(fileManager)).toEqual(['inner.xml']);
+    expect(events).toEqual([`${ROOT}/data`]);
+    expect(fileManager.loading).toBe(false);
+  });
+});
@@ -0,0 +1,155 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager, settle, footerMessage } from './helpers.js';
+
+// The listing of the root collection in the different formats the component understands
+const SHAPES = {
+  'an items array': {
+    items: [
+      { name: 'sub', type: 'collection' },
+      { name: 'a.xml', type: 'resource' }
+    ]
+  },
+  'a collection array': {
+    collection: [
+      { name: 'sub', type: 'collection' },
+      { name: 'a.xml', type: 'resource' }
+    ]
+  },
+  'separate collections and resources': {
+    collections: [{ name: 'sub' }],
+    resources: [{ name: 'a.xml' }]
+  },
+  'a plain array': [
+    { name: 'sub', isCollection: true },
+    { name: 'a.xml', isCollection: false }
+  ],
+  'another array property': {
+    entries: [
+      { key: `${ROOT}/sub`, type: 'collection' },
+      { key: `${ROOT}/a.xml`, type: 'resource' }
+    ]
+  },
+  'items keyed by name': {
+    sub: { type: 'collection' },
+    'a.xml': { type: 'resource' }
+  }
+};
+
+describe('response shapes', () => {
+  let server;
+  let fileManager;
+  let listing;
+
+  beforeEach(async () => {
+    server = new MockServer({ files: { [`${ROOT}/sub`]: null } });
+    server.route = ({ method, url }) => {
+      if (listing !== undefined && method === 'GET' && url.pathname.includes('/api/collections/')) {
+        return new Response(JSON.stringify(listing), { headers: { 'content-type': 'application/json' } });
+      }
+    };
+    listing = undefined;
+    fileManager = await mountFileManager(server);
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  async function load(data) {
+    listing = data;
+    fileManager.cache.clear();
+    await fileManager.loadCollection(ROOT);
+    await settle(fileManager);
+    return fileManager.items.map(item => [item.name, item.type, item.path]);
+  }
+
+  Object.entries(SHAPES).forEach(([shape, data]) => {
+    it(`reads ${shape}`, async () => {
+      expect(await load(data)).toEqual([
+        ['sub', 'collection', `${ROOT}/sub`],
+        ['a.xml', 'resource', `${ROOT}/a.xml`]
+      ]);
+    });
+  });
+
+  it('accepts JSON sent with another content type', async () => {
+    server.route = () => new Response(JSON.stringify([{ name: 'a.xml', type: 'resource' }]), {
+      headers: { 'content-type': 'text/plain' }
+    });
+    fileManager.cache.clear();
+    await fileManager.loadCollection(ROOT);
+    await settle(fileManager);
+    expect(fileManager.items.map(item => item.name)).toEqual(['a.xml']);
+  });
+
+  it('drops items outside the root and the parent entry of the root', async () => {
+    const items = await load({
+      items: [
+        { name: '..', type: 'collection' },
+        { name: 'a.xml', type: 'resource' },
+        { name: 'secret.xml', type: 'resource', path: '/db/apps/other/secret.xml' }
+      ]
+    });
+    expect(items).toEqual([['a.xml', 'resource', `${ROOT}/a.xml`]]);
+  });
+
+  it('keeps the parent entry below the root', async () => {
+    listing = { items: [{ name: '..', type: 'collection' }, { name: 'b.xml', type: 'resource' }] };
+    await fileManager.navigate(`${ROOT}/sub`);
+    expect(fileManager.items.map(item => [item.name, item.path])).toEqual([
+      ['..', ROOT],
+      ['b.xml', `${ROOT}/sub/b.xml`]
+    ]);
+  });
+
+  it('takes the type from the item, not from its name', async () => {
+    const items = await load({
+      items: [
+        { name: 'v1.2', type: 'collection' },
+        { name: 'v1.3', isCollection: true },
+        { key: `${ROOT}/v1.4/` },
+        { name: 'README', type: 'file' }
+      ]
+    });
+    expect(items).toEqual([
+      ['v1.2', 'collection', `${ROOT}/v1.2`],
+      ['v1.3', 'collection', `${ROOT}/v1.3`],
+      ['v1.4', 'collection', `${ROOT}/v1.4`],
+      ['README', 'resource', `${ROOT}/README`]
+    ]);
+  });
+
+  it('maps the property names of eXide into the item schema', async () => {
+    await load([{ name: 'a.xml', isCollection: false, 'mime-type': 'application/xml', 'content-length': 12, 'last-modified': '2025-01-01T10:00:00Z', mode: 'rw-r--r--' }]);
+    const [item] = fileManager.items;
+    expect(item).toMatchObject({ mime: 'application/xml', size: 12, modified: '2025-01-01T10:00:00Z', permissions: 'rw-r--r--' });
+  });
+
+  it('reports responses it does not understand', async () => {
+    await load({ status: 'ok', message: 'Nothing here' });
+    expect(fileManager.items).toEqual([]);
+    expect(footerMessage(fileManager)).toBe('Failed to load collection: Unexpected response: expected a list of items, got an object with status, message');
+    expect(fileManager.shadowRoot.querySelector('.empty-state').textContent).toContain('Unexpected response');
+  });
+
+  it('uses the mapper of the adapter', async () => {
+    const { JinksAdapter } = customElements.get('jinks-file-manager');
+    const adapter = new JinksAdapter(server.apiBase);
+    adapter.mapItem = (raw) => ({ name: raw.title, type: raw.folder ? 'collection' : 'resource' });
+    fileManager.adapter = adapter;
+    expect(await load({ items: [{ title: 'x', folder: true }, { title: 'y' }] })).toEqual([
+      ['x', 'collection', `${ROOT}/x`],
+      ['y', 'resource', `${ROOT}/y`]
+    ]);
+  });
+
+  it('stops paging at the reported total', async () => {
+    await load({ items: [{ name: 'a.xml', type: 'resource' }], total: 1 });
+    expect(fileManager.hasMore).toBe(false);
+  });
+});
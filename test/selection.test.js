@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { MockServer } from './mock-server.js';
+import { ROOT, mountFileManager } from './helpers.js';
+
+describe('selection', () => {
+  let server;
+  let fileManager;
+  const path = (name) => `${ROOT}/${name}`;
+
+  beforeEach(async () => {
+    const files = {};
+    ['a.xml', 'b.xml', 'c.xml', 'd.xml', 'e.xml'].forEach(name => {
+      files[path(name)] = `<${name}/>`;
+    });
+    server = new MockServer({ files });
+    fileManager = await mountFileManager(server);
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  it('replaces the selection on a plain click', () => {
+    fileManager.toggleSelection(path('a.xml'));
+    fileManager.toggleSelection(path('c.xml'));
+    expect(fileManager.getSelection()).toEqual([path('c.xml')]);
+  });
+
+  it('adds and removes items with Ctrl', () => {
+    fileManager.toggleSelection(path('a.xml'));
+    fileManager.toggleSelection(path('c.xml'), { ctrlKey: true });
+    expect(fileManager.getSelection()).toEqual([path('a.xml'), path('c.xml')]);
+    fileManager.toggleSelection(path('a.xml'), { metaKey: true });
+    expect(fileManager.getSelection()).toEqual([path('c.xml')]);
+  });
+
+  it('selects a range with Shift, in both directions', () => {
+    fileManager.toggleSelection(path('b.xml'));
+    fileManager.toggleSelection(path('d.xml'), { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('b.xml'), path('c.xml'), path('d.xml')]);
+
+    fileManager.toggleSelection(path('e.xml'));
+    fileManager.toggleSelection(path('c.xml'), { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('c.xml'), path('d.xml'), path('e.xml')]);
+  });
+
+  it('extends a range from the last item clicked', () => {
+    fileManager.toggleSelection(path('a.xml'));
+    fileManager.toggleSelection(path('b.xml'), { shiftKey: true });
+    fileManager.toggleSelection(path('d.xml'), { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('a.xml'), path('b.xml'), path('c.xml'), path('d.xml')]);
+  });
+
+  it('marks selected items and reports changes', () => {
+    const events = [];
+    fileManager.addEventListener('selection-change', (e) => events.push(e.detail.paths));
+    fileManager.select([path('b.xml'), path('missing.xml')]);
+    expect(fileManager.getSelection()).toEqual([path('b.xml')]);
+    expect(events).toEqual([[path('b.xml')]]);
+    const selected = fileManager.shadowRoot.querySelectorAll('.selected');
+    expect(Array.from(selected).map(element => element.dataset.path)).toEqual([path('b.xml')]);
+  });
+});
+
+describe('selection in the picker', () => {
+  let server;
+  let fileManager;
+  const path = (name) => `${ROOT}/sub/${name}`;
+
+  beforeEach(async () => {
+    server = new MockServer({ files: { [`${ROOT}/sub`]: null } });
+    // A listing below the root, with the parent entry first
+    server.route = ({ method, url }) => {
+      if (method !== 'GET' || !url.pathname.endsWith(encodeURIComponent(`${ROOT}/sub`))) return null;
+      const items = [
+        { name: '..', type: 'collection' },
+        { name: 'docs', type: 'collection' },
+        ...['a.xml', 'b.txt', 'c.xml', 'd.txt', 'e.xml'].map(name => ({ name, type: 'resource' }))
+      ];
+      return new Response(JSON.stringify({ items }), { headers: { 'content-type': 'application/json' } });
+    };
+    fileManager = await mountFileManager(server, { mode: 'picker', accept: 'xml collection', multiple: '' });
+    await fileManager.navigate(`${ROOT}/sub`);
+  });
+
+  afterEach(() => {
+    fileManager.remove();
+    server.uninstall();
+  });
+
+  it('selects only the items which may be chosen in a range', () => {
+    expect(fileManager.items.map(item => item.name)).toEqual(['..', 'docs', 'a.xml', 'b.txt', 'c.xml', 'd.txt', 'e.xml']);
+    fileManager.toggleSelection(path('e.xml'));
+    fileManager.toggleSelection(path('docs'), { shiftKey: true });
+    expect(fileManager.getSelection().sort()).toEqual([path('a.xml'), path('c.xml'), path('docs'), path('e.xml')]);
+    expect(fileManager.getChosenPaths().sort()).toEqual(fileManager.getSelection().sort());
+  });
+
+  it('ignores clicks on items which may not be chosen', () => {
+    fileManager.toggleSelection(path('b.txt'));
+    fileManager.toggleSelection(ROOT);
+    expect(fileManager.getSelection()).toEqual([]);
+  });
+});
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { describe, it, expect } from 'vitest';
+import { WebDavAdapter } from '../webdav-adapter.js';
+
+describe('WebDAV adapter', () => {
+  // An adapter whose requests are answered with the given status, MKCOL on an existing collection gives 405
+  const answering = (status) => {
+    const adapter = new WebDavAdapter('/exist/webdav');
+    adapter.requests = [];
+    adapter.fetch = async (url, options) => {
+      adapter.requests.push(`${options.method} ${url}`);
+      return new Response(null, { status });
+    };
+    return adapter;
+  };
+
+  it('creates collections with MKCOL', async () => {
+    const adapter = answering(201);
+    await adapter.createCollection('/db/apps/test', 'data');
+    await adapter.ensureCollection('/db/apps/test', 'data');
+    expect(adapter.requests).toEqual([
+      'MKCOL /exist/webdav/db/apps/test/data/',
+      'MKCOL /exist/webdav/db/apps/test/data/'
+    ]);
+  });
+
+  it('reports existing collections unless they only have to exist', async () => {
+    const adapter = answering(405);
+    await expect(adapter.createCollection('/db/apps/test', 'data')).rejects.toThrow('data already exists');
+    await expect(adapter.ensureCollection('/db/apps/test', 'data')).resolves.toEqual({ success: true });
+  });
+
+  it('reports other errors when ensuring a collection', async () => {
+    const adapter = answering(403);
+    await expect(adapter.ensureCollection('/db/apps/test', 'data')).rejects.toMatchObject({ status: 403 });
+  });
+});
@@ -0,0 +1,167 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+// Entries which will not change anymore unless retried
+const SETTLED = ['done', 'failed', 'canceled'];
+
+/**
+ * Queue of file uploads which runs a limited number of uploads at the same time.
+ * Each entry tracks its progress and status ('queued', 'uploading', 'done', 'failed'
+ * or 'canceled') and can be canceled or retried individually.
+ */
+export class UploadQueue {
+  /**
+   * @param {Function} upload - Called as upload(collection, file, { ...options, onProgress, signal }), returns a Promise
+   * @param {Object} options - { concurrency, onChange } where onChange(entry, kind) is called with kind
+   *   'progress' while an upload advances and 'status' whenever entries are added, change status or are removed
+   */
+  constructor(upload, { concurrency = 3, onChange = () => {} } = {}) {
+    this.upload = upload;
+    this.concurrency = concurrency;
+    this.onChange = onChange;
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add files to the queue and start uploading
+   * @param {Array<Object>} files - { file, collection, options } for each file to upload, options
+   *   are passed on to the upload function
+   * @returns {Array<Object>} - The queue entries created
+   */
+  add(files) {
+    const added = files.map(({ file, collection, options = {} }) => this.reset({
+      id: this.nextId++,
+      file,
+      collection,
+      options
+    }));
+    this.entries.push(...added);
+    this.onChange(null, 'status');
+    this.pump();
+    return added;
+  }
+
+  /**
+   * Wait until all given entries are done, failed or canceled
+   * @param {Array<Object>} entries - Entries returned by add()
+   * @returns {Promise<Array<Object>>} - The entries
+   */
+  whenSettled(entries) {
+    return Promise.all(entries.map(entry => entry.settled)).then(() => entries);
+  }
+
+  /**
+   * Cancel a queued or running upload
+   * @param {Object} entry - The queue entry
+   */
+  cancel(entry) {
+    if (entry.status === 'queued') {
+      this.settle(entry, 'canceled');
+      this.pump();
+    } else if (entry.status === 'uploading') {
+      entry.controller.abort();
+    }
+  }
+
+  /**
+   * Queue a failed or canceled upload again
+   * @param {Object} entry - The queue entry
+   */
+  retry(entry) {
+    if (entry.status !== 'failed' && entry.status !== 'canceled') return;
+    this.reset(entry);
+    this.onChange(entry, 'status');
+    this.pump();
+  }
+
+  /**
+   * Remove finished (done or canceled) entries from the queue
+   */
+  clearFinished() {
+    this.entries = this.entries.filter(entry => entry.status !== 'done' && entry.status !== 'canceled');
+    this.onChange(null, 'status');
+  }
+
+  /**
+   * Summarize the queue
+   * @returns {Object} - Counts per status, the number of entries and the bytes loaded of the total size
+   */
+  getStats() {
+    const stats = { total: this.entries.length, queued: 0, uploading: 0, done: 0, failed: 0, canceled: 0, loaded: 0, size: 0 };
+    this.entries.forEach(entry => {
+      stats[entry.status]++;
+      if (entry.status !== 'canceled') {
+        stats.loaded += entry.loaded;
+        stats.size += entry.total;
+      }
+    });
+    return stats;
+  }
+
+  /**
+   * Whether uploads are queued or running
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.entries.some(entry => !SETTLED.includes(entry.status));
+  }
+
+  reset(entry) {
+    entry.status = 'queued';
+    entry.loaded = 0;
+    entry.total = entry.file.size || 0;
+    entry.error = null;
+    entry.controller = null;
+    entry.settled = new Promise(resolve => {
+      entry.resolve = resolve;
+    });
+    return entry;
+  }
+
+  settle(entry, status, error = null) {
+    entry.status = status;
+    entry.error = error;
+    entry.controller = null;
+    if (status === 'done') {
+      entry.loaded = entry.total;
+    }
+    entry.resolve(entry);
+    this.onChange(entry, 'status');
+  }
+
+  pump() {
+    let running = this.entries.filter(entry => entry.status === 'uploading').length;
+    for (const entry of this.entries) {
+      if (running >= this.concurrency) break;
+      if (entry.status === 'queued') {
+        running++;
+        this.start(entry);
+      }
+    }
+  }
+
+  async start(entry) {
+    entry.status = 'uploading';
+    entry.controller = new AbortController();
+    this.onChange(entry, 'status');
+
+    const onProgress = (loaded, total) => {
+      entry.loaded = loaded;
+      if (total) entry.total = total;
+      this.onChange(entry, 'progress');
+    };
+
+    try {
+      await this.upload(entry.collection, entry.file, { ...entry.options, onProgress, signal: entry.controller.signal });
+      this.settle(entry, 'done');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        this.settle(entry, 'canceled');
+      } else {
+        this.settle(entry, 'failed', error.message);
+      }
+    }
+    this.pump();
+  }
+}
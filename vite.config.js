@@ -42,6 +42,10 @@ export default defineConfig({
     },
     // Copy public assets
     copyPublicDir: false
+  },
+  test: {
+    environment: 'happy-dom',
+    include: ['test/**/*.test.js']
   }
 });
 
@@ -0,0 +1,299 @@
+// SPDX-License-Identifier: GPL-3.0-or-later
+// SPDX-FileCopyrightText: 2025 e-editiones.org
+
+import { BackendAdapter } from './backend-adapter.js';
+import { sortItems } from './item-metadata.js';
+
+const DAV = 'DAV:';
+
+// Properties requested when listing a collection
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<D:propfind xmlns:D="DAV:">
+  <D:prop>
+    <D:resourcetype/>
+    <D:getcontentlength/>
+    <D:getcontenttype/>
+    <D:getlastmodified/>
+    <D:creationdate/>
+  </D:prop>
+</D:propfind>`;
+
+/**
+ * Backend for WebDAV servers, e.g. eXist-db's at /exist/webdav. Paths are appended to
+ * the base URL, so with /exist/webdav the collection /db/apps/test is at
+ * /exist/webdav/db/apps/test. WebDAV has neither paging nor search: a collection is
+ * listed completely and sorted here, pages are cut from the listing.
+ */
+export class WebDavAdapter extends BackendAdapter {
+  /**
+   * @param {string} baseUrl - URL the paths are relative to, e.g. /exist/webdav
+   */
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.listing = null; // { path, items } of the last collection listed, for the following pages
+  }
+
+  getFileUrl(path) {
+    return this.baseUrl + path.split('/').map(segment => encodeURIComponent(segment)).join('/');
+  }
+
+  // Collections are addressed with a trailing slash, some servers redirect otherwise
+  getCollectionUrl(path) {
+    return this.getFileUrl(path).replace(/\/*$/, '/');
+  }
+
+  async listCollection(path, { start = 0, end = 100, sort = 'name', order = 'asc', foldersFirst = true } = {}) {
+    // The first page lists the collection, further pages are taken from that listing
+    if (start === 0 || !this.listing || this.listing.path !== path) {
+      this.listing = { path, items: await this.propfind(path) };
+    }
+    const items = sortItems(this.listing.items, sort, order, foldersFirst);
+    return { items: items.slice(start, end), total: items.length };
+  }
+
+  // PROPFIND with depth 1 returns the collection itself and its children
+  async propfind(path) {
+    const response = await this.fetch(this.getCollectionUrl(path), {
+      method: 'PROPFIND',
+      headers: {
+        'Depth': '1',
+        'Content-Type': 'application/xml; charset=utf-8'
+      },
+      body: PROPFIND_BODY
+    });
+    await this.checkResponse(response, 'PROPFIND');
+
+    const doc = new DOMParser().parseFromString(await response.text(), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Invalid PROPFIND response');
+    }
+    const collection = path.replace(/\/+$/, '');
+    const items = Array.from(doc.getElementsByTagNameNS(DAV, 'response'))
+      .map(response => this.parseResponse(response))
+      .filter(item => item && item.path !== collection);
+
+    // Like the jinks API, start with the parent entry, which the component drops outside the root
+    if (collection.lastIndexOf('/') > 0) {
+      items.unshift({ name: '..', type: 'collection' });
+    }
+    return items;
+  }
+
+  // Turn a response element of a multistatus into an item
+  parseResponse(response) {
+    const href = response.getElementsByTagNameNS(DAV, 'href')[0]?.textContent;
+    if (!href) return null;
+    const path = this.getPathOfHref(href);
+    if (path === null) return null;
+
+    // Only properties reported with status 200 are there
+    const prop = Array.from(response.getElementsByTagNameNS(DAV, 'propstat'))
+      .filter(propstat => / 200 /.test(`${propstat.getElementsByTagNameNS(DAV, 'status')[0]?.textContent || ''} `))
+      .map(propstat => propstat.getElementsByTagNameNS(DAV, 'prop')[0])
+      .filter(prop => prop);
+    const value = (name) => {
+      for (const element of prop) {
+        const child = element.getElementsByTagNameNS(DAV, name)[0];
+        if (child) return child;
+      }
+      return null;
+    };
+    const text = (name) => value(name)?.textContent.trim() || null;
+
+    const isCollection = !!value('resourcetype')?.getElementsByTagNameNS(DAV, 'collection')[0];
+    const item = {
+      name: path.split('/').pop(),
+      path,
+      type: isCollection ? 'collection' : 'resource'
+    };
+    const size = text('getcontentlength');
+    if (!isCollection && size !== null) {
+      item.size = Number(size);
+    }
+    const mimeType = text('getcontenttype');
+    if (!isCollection && mimeType) {
+      item.mime = mimeType.split(';')[0].trim();
+    }
+    const modified = this.parseDate(text('getlastmodified'));
+    if (modified) {
+      item.modified = modified;
+    }
+    const created = this.parseDate(text('creationdate'));
+    if (created) {
+      item.created = created;
+    }
+    return item;
+  }
+
+  // hrefs are URLs or absolute paths, percent-encoded, collections with a trailing slash
+  getPathOfHref(href) {
+    const base = new URL(this.baseUrl + '/', window.location.href).pathname;
+    let pathname = new URL(href, window.location.href).pathname;
+    if (!pathname.startsWith(base)) return null;
+    pathname = pathname.substring(base.length - 1).replace(/\/+$/, '');
+    try {
+      return pathname.split('/').map(segment => decodeURIComponent(segment)).join('/');
+    } catch (e) {
+      return pathname;
+    }
+  }
+
+  // Items are created in the item schema already
+  mapItem(raw) {
+    return raw;
+  }
+
+  // getlastmodified is an HTTP date, creationdate ISO 8601
+  parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  // Listings of a collection changed are out of date
+  invalidate() {
+    this.listing = null;
+  }
+
+  // Paths of items to delete or copy may be relative to the collection shown
+  resolvePath(collection, path) {
+    return path.startsWith('/') ? path : `${collection.replace(/\/+$/, '')}/${path}`;
+  }
+
+  async upload(collection, file, { onProgress = null, signal = null, name = null } = {}) {
+    // PUT replaces an existing resource, the component asks before overwriting
+    const url = this.getFileUrl(`${collection.replace(/\/+$/, '')}/${name || file.name}`);
+    const headers = await this.getAuthHeaders();
+    this.invalidate();
+
+    // XMLHttpRequest rather than fetch, as only it reports the progress of the upload
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('PUT', url);
+      xhr.setRequestHeader('Content-Type', file.type || 'application/octet-stream');
+      Object.entries(headers).forEach(([header, value]) => xhr.setRequestHeader(header, value));
+
+      if (onProgress) {
+        xhr.upload.addEventListener('progress', (e) => {
+          onProgress(e.loaded, e.lengthComputable ? e.total : 0);
+        });
+      }
+
+      xhr.addEventListener('load', () => {
+        if (xhr.status < 200 || xhr.status >= 300) {
+          const errorText = xhr.responseText || '';
+          console.error('Upload HTTP error:', xhr.status, errorText);
+          const error = new Error(`HTTP error! status: ${xhr.status} - ${errorText.substring(0, 100)}`);
+          error.status = xhr.status;
+          reject(error);
+          return;
+        }
+        resolve({ success: true });
+      });
+      xhr.addEventListener('error', () => {
+        console.error('Error uploading file:', file.name);
+        reject(new Error('Network error'));
+      });
+      xhr.addEventListener('abort', () => {
+        reject(new DOMException('Upload canceled', 'AbortError'));
+      });
+
+      if (signal) {
+        if (signal.aborted) {
+          reject(new DOMException('Upload canceled', 'AbortError'));
+          return;
+        }
+        signal.addEventListener('abort', () => xhr.abort(), { once: true });
+      }
+
+      xhr.send(file);
+    });
+  }
+
+  async createCollection(collection, name) {
+    const response = await this.mkcol(collection, name);
+    if (response.status === 405) {
+      throw new Error(`${name} already exists`);
+    }
+    await this.checkResponse(response, 'MKCOL');
+    return { success: true };
+  }
+
+  async ensureCollection(collection, name) {
+    // MKCOL is answered with 405 Method Not Allowed if the collection exists
+    const response = await this.mkcol(collection, name);
+    if (response.status !== 405) {
+      await this.checkResponse(response, 'MKCOL');
+    }
+    return { success: true };
+  }
+
+  async mkcol(collection, name) {
+    this.invalidate();
+    return this.fetch(this.getCollectionUrl(`${collection.replace(/\/+$/, '')}/${name}`), {
+      method: 'MKCOL'
+    });
+  }
+
+  async deleteItems(collection, paths) {
+    this.invalidate();
+    for (const path of paths) {
+      const response = await this.fetch(this.getFileUrl(this.resolvePath(collection, path)), {
+        method: 'DELETE'
+      });
+      await this.checkResponse(response, 'Delete');
+    }
+    return { success: true };
+  }
+
+  async renameItem(collection, name, newName) {
+    const parent = collection.replace(/\/+$/, '');
+    await this.transfer('MOVE', `${parent}/${name}`, `${parent}/${newName}`, false);
+    return { success: true };
+  }
+
+  async copyItems(collection, sources, target, options = {}) {
+    return this.transferItems('COPY', collection, sources, target, options);
+  }
+
+  async moveItems(collection, sources, target, options = {}) {
+    return this.transferItems('MOVE', collection, sources, target, options);
+  }
+
+  // Copy or move each item, under the name chosen for it if it conflicted with an existing one
+  async transferItems(method, collection, sources, target, { overwrite = false, names = {} }) {
+    for (const source of sources) {
+      const path = this.resolvePath(collection, source);
+      const name = names[source] || names[path] || path.split('/').pop();
+      await this.transfer(method, path, `${target.replace(/\/+$/, '')}/${name}`, overwrite);
+    }
+    return { success: true };
+  }
+
+  async transfer(method, from, to, overwrite) {
+    this.invalidate();
+    const response = await this.fetch(this.getFileUrl(from), {
+      method,
+      headers: {
+        // The destination has to be an absolute URL
+        'Destination': new URL(this.getFileUrl(to), window.location.href).href,
+        'Overwrite': overwrite ? 'T' : 'F'
+      }
+    });
+    if (response.status === 412) {
+      throw new Error(`${to.split('/').pop()} already exists`);
+    }
+    await this.checkResponse(response, method);
+  }
+
+  async writeFile(path, content, contentType) {
+    this.invalidate();
+    const response = await this.fetch(this.getFileUrl(path), {
+      method: 'PUT',
+      headers: { 'Content-Type': contentType },
+      body: content
+    });
+    await this.checkResponse(response, 'Save');
+  }
+}